@@ -8,7 +8,9 @@ const Charts = (() => {
   const instances = {
     donut: null,
     area: null,
-    line: null
+    line: null,
+    rentVsBuy: null,
+    variableRate: null
   };
 
   // Colors from CSS variables (Bootstrap-style theme)
@@ -22,12 +24,38 @@ const Charts = (() => {
     primaryArea: 'rgba(37, 99, 235, 0.6)',
     successArea: 'rgba(22, 163, 74, 0.6)',
     warningArea: 'rgba(234, 88, 12, 0.6)',
-    // Gigogne colors
-    secondary: '#0ea5e9',    // Light Blue - Principal P2
-    secondaryLight: 'rgba(14, 165, 233, 0.8)',
-    secondaryArea: 'rgba(14, 165, 233, 0.6)',
-    success2: '#86efac',     // Light Green - Interest P2
-    success2Area: 'rgba(134, 239, 172, 0.6)',
+    // Cost of ownership
+    neutral: '#64748b',      // Slate - Non-loan costs
+    // Rental investment
+    danger: '#dc2626',       // Red - Cash flow
+    dangerLight: 'rgba(220, 38, 38, 0.8)',
+  };
+
+  // Loan stack colors, one {principal, interest} pair per loan (main loan first)
+  const layerColors = [
+    { principal: '#2563eb', interest: '#16a34a' },   // Blue / Green
+    { principal: '#0ea5e9', interest: '#86efac' },   // Light Blue / Light Green
+    { principal: '#7c3aed', interest: '#a3e635' },   // Violet / Lime
+    { principal: '#db2777', interest: '#facc15' },   // Pink / Yellow
+    { principal: '#0d9488', interest: '#fdba74' },   // Teal / Light Orange
+  ];
+
+  /**
+   * Color pair of a loan of the stack
+   * @param {number} index - Loan index (0 = main loan)
+   * @returns {Object} {principal, interest}
+   */
+  const getLayerColors = (index) => layerColors[index % layerColors.length];
+
+  /**
+   * Convert a hex color to rgba
+   * @param {string} hex - Color '#rrggbb'
+   * @param {number} alpha - Opacity
+   * @returns {string} rgba() color
+   */
+  const withAlpha = (hex, alpha) => {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
   };
 
   /**
@@ -64,9 +92,9 @@ const Charts = (() => {
   /**
    * Render Donut Chart - Cost Breakdown (Tab 2)
    * Canvas: #chart-donut
-   * Shows Principal, Interest, Insurance split
+   * Shows Principal, Interest, Insurance split, plus non-loan ownership costs
    * 
-   * @param {Object} data - { principal, interest, insurance }
+   * @param {Object} data - { principal, interest, insurance, ownership }
    */
   const renderDonut = (data) => {
     // Destroy existing instance
@@ -87,40 +115,34 @@ const Charts = (() => {
       return;
     }
 
-    const total = data.principal + data.interest + data.insurance;
+    const ownership = data.ownership || 0;
+    const total = data.principal + data.interest + data.insurance + ownership;
     
     let labels, datasetData, backgroundColors;
 
-    if (data.gigogne) {
-      // Gigogne breakdown
-      // We need P1/P2 split for principal and interest.
-      // The data object passed to renderDonut needs to contain these if we want to show them.
-      // Currently updateAll passes { principal, interest, insurance, gigogne }.
-      // We need to calculate P1/P2 split from amortization table or pass it explicitly.
-      // Let's assume updateAll passes the full amortization table so we can sum it up.
-      
-      const amort = data.amortization || [];
-      let p1 = 0, p2 = 0, i1 = 0, i2 = 0;
+    const amort = data.amortization || [];
+    const stackLayers = amort.length > 0 ? amort[0].layers : null;
+
+    if (stackLayers) {
+      // Loan stack breakdown: principal then interest of each loan
+      const principals = stackLayers.map(() => 0);
+      const interests = stackLayers.map(() => 0);
       amort.forEach(row => {
-        p1 += row.principalP1 || 0;
-        p2 += row.principalP2 || 0;
-        i1 += row.interestP1 || 0;
-        i2 += row.interestP2 || 0;
+        row.layers.forEach((layer, index) => {
+          principals[index] += layer.principal;
+          interests[index] += layer.interest;
+        });
       });
-      
+
       labels = [
-        'Principal P1',
-        'Principal P2',
-        'Intérêts P1',
-        'Intérêts P2',
+        ...stackLayers.map(layer => `Principal ${layer.label}`),
+        ...stackLayers.map(layer => `Intérêts ${layer.label}`),
         'Assurance'
       ];
-      datasetData = [p1, p2, i1, i2, data.insurance];
+      datasetData = [...principals, ...interests, data.insurance];
       backgroundColors = [
-        colors.primary,
-        colors.secondary,
-        colors.success,
-        colors.success2,
+        ...stackLayers.map((layer, index) => getLayerColors(index).principal),
+        ...stackLayers.map((layer, index) => getLayerColors(index).interest),
         colors.warning
       ];
     } else {
@@ -136,6 +158,13 @@ const Charts = (() => {
         colors.warning
       ];
     }
+    
+    // Taxe foncière, charges, energy and maintenance over the loan duration
+    if (ownership > 0) {
+      labels.push('Frais de possession');
+      datasetData.push(ownership);
+      backgroundColors.push(colors.neutral);
+    }
 
     instances.donut = new Chart(canvas, {
       type: 'doughnut',
@@ -219,7 +248,7 @@ const Charts = (() => {
     }
 
     const amort = data.amortization;
-    const isGigogne = data.gigogne;
+    const stackLayers = amort[0].layers;
     
     // Group by year for better visualization (monthly data would be too dense)
     const yearlyData = {};
@@ -230,23 +259,21 @@ const Charts = (() => {
           principalPart: 0,
           interestPart: 0,
           insurance: 0,
-          // Gigogne
-          principalP1: 0,
-          principalP2: 0,
-          interestP1: 0,
-          interestP2: 0,
+          // Loan stack: principal and interest of each loan
+          layerPrincipal: stackLayers ? stackLayers.map(() => 0) : [],
+          layerInterest: stackLayers ? stackLayers.map(() => 0) : [],
           count: 0
         };
       }
-      yearlyData[year].principalPart += row.principalPart || (row.principalP1 + row.principalP2);
-      yearlyData[year].interestPart += row.interestPart || (row.interestP1 + row.interestP2);
+      yearlyData[year].principalPart += row.principalPart;
+      yearlyData[year].interestPart += row.interestPart;
       yearlyData[year].insurance += row.insurance;
       
-      if (isGigogne) {
-        yearlyData[year].principalP1 += row.principalP1 || 0;
-        yearlyData[year].principalP2 += row.principalP2 || 0;
-        yearlyData[year].interestP1 += row.interestP1 || 0;
-        yearlyData[year].interestP2 += row.interestP2 || 0;
+      if (stackLayers) {
+        row.layers.forEach((layer, index) => {
+          yearlyData[year].layerPrincipal[index] += layer.principal;
+          yearlyData[year].layerInterest[index] += layer.interest;
+        });
       }
       
       yearlyData[year].count++;
@@ -257,11 +284,21 @@ const Charts = (() => {
     const insuranceData = years.map(year => yearlyData[year].insurance);
     
     let datasets;
-    if (isGigogne) {
-      const p1Data = years.map(year => yearlyData[year].principalP1);
-      const p2Data = years.map(year => yearlyData[year].principalP2);
-      const i1Data = years.map(year => yearlyData[year].interestP1);
-      const i2Data = years.map(year => yearlyData[year].interestP2);
+    if (stackLayers) {
+      const interestSets = stackLayers.map((layer, index) => ({
+        label: `Intérêts ${layer.label}`,
+        data: years.map(year => yearlyData[year].layerInterest[index]),
+        backgroundColor: withAlpha(getLayerColors(index).interest, 0.6),
+        borderColor: getLayerColors(index).interest,
+        borderWidth: 1
+      }));
+      const principalSets = stackLayers.map((layer, index) => ({
+        label: `Principal ${layer.label}`,
+        data: years.map(year => yearlyData[year].layerPrincipal[index]),
+        backgroundColor: withAlpha(getLayerColors(index).principal, 0.6),
+        borderColor: getLayerColors(index).principal,
+        borderWidth: 1
+      }));
       
       datasets = [
         {
@@ -271,34 +308,8 @@ const Charts = (() => {
           borderColor: colors.warning,
           borderWidth: 1
         },
-        {
-          label: 'Intérêts P2',
-          data: i2Data,
-          backgroundColor: colors.success2Area,
-          borderColor: colors.success2,
-          borderWidth: 1
-        },
-        {
-          label: 'Intérêts P1',
-          data: i1Data,
-          backgroundColor: colors.successArea,
-          borderColor: colors.success,
-          borderWidth: 1
-        },
-        {
-          label: 'Principal P2',
-          data: p2Data,
-          backgroundColor: colors.secondaryArea,
-          borderColor: colors.secondary,
-          borderWidth: 1
-        },
-        {
-          label: 'Principal P1',
-          data: p1Data,
-          backgroundColor: colors.primaryArea,
-          borderColor: colors.primary,
-          borderWidth: 1
-        }
+        ...interestSets.reverse(),
+        ...principalSets.reverse()
       ];
     } else {
       const principalData = years.map(year => yearlyData[year].principalPart);
@@ -396,7 +407,7 @@ const Charts = (() => {
    * Shows remaining capital over time
    * Optional: second line for total paid so far
    * 
-   * @param {Object} data - { amortization: [{month, year, remainingCapital, totalPaid, ...}] }
+   * @param {Object} data - { amortization: [{month, year, remainingCapital, totalPaid, ...}], originalAmortization }
    */
   const renderLineChart = (data) => {
     // Destroy existing instance
@@ -418,7 +429,7 @@ const Charts = (() => {
     }
 
     const amort = data.amortization;
-    const isGigogne = data.gigogne;
+    const stackLayers = amort[0].layers;
     
     // Simpler approach: use end of each year
     const yearDataMap = {};
@@ -428,20 +439,18 @@ const Charts = (() => {
       if (!yearDataMap[row.year]) {
         yearDataMap[row.year] = {
           remainingCapital: 0,
-          remainingCapitalP1: 0,
-          remainingCapitalP2: 0,
+          layerRemaining: [],
           totalPaid: 0,
           year: row.year
         };
       }
       yearDataMap[row.year] = {
-        remainingCapital: row.remainingCapital || (row.remainingCapitalP1 + row.remainingCapitalP2),
-        remainingCapitalP1: row.remainingCapitalP1 || 0,
-        remainingCapitalP2: row.remainingCapitalP2 || 0,
-        totalPaid: runningTotal + row.payment + row.insurance,
+        remainingCapital: row.remainingCapital,
+        layerRemaining: row.layers ? row.layers.map(layer => layer.remainingCapital) : [],
+        totalPaid: runningTotal + row.payment + row.insurance + (row.prepayment || 0) + (row.penalty || 0),
         year: row.year
       };
-      runningTotal += row.payment + row.insurance;
+      runningTotal += row.payment + row.insurance + (row.prepayment || 0) + (row.penalty || 0);
     });
 
     const years = Object.keys(yearDataMap).map(Number).sort((a, b) => a - b);
@@ -449,32 +458,19 @@ const Charts = (() => {
     const finalTotalPaid = years.map(y => yearDataMap[y].totalPaid);
     
     let datasets;
-    if (isGigogne) {
-      const finalRemainingP1 = years.map(y => yearDataMap[y].remainingCapitalP1);
-      const finalRemainingP2 = years.map(y => yearDataMap[y].remainingCapitalP2);
-      
+    if (stackLayers) {
       datasets = [
-        {
-          label: 'Capital restant P1',
-          data: finalRemainingP1,
-          borderColor: colors.primary,
-          backgroundColor: colors.primaryLight,
-          borderWidth: 2,
-          fill: false,
-          tension: 0.1,
-          pointRadius: 3
-        },
-        {
-          label: 'Capital restant P2',
-          data: finalRemainingP2,
-          borderColor: colors.secondary,
-          backgroundColor: colors.secondaryLight,
+        ...stackLayers.map((layer, index) => ({
+          label: `Capital restant ${layer.label}`,
+          data: years.map(y => yearDataMap[y].layerRemaining[index]),
+          borderColor: getLayerColors(index).principal,
+          backgroundColor: withAlpha(getLayerColors(index).principal, 0.8),
           borderWidth: 2,
           fill: false,
           tension: 0.1,
           pointRadius: 3,
-          borderDash: [5, 5]
-        },
+          borderDash: index === 0 ? [] : [5, 5]
+        })),
         {
           label: 'Total payé',
           data: finalTotalPaid,
@@ -514,6 +510,53 @@ const Charts = (() => {
           borderDash: [5, 5]
         }
       ];
+      
+      // Original schedule, to show the effect of an early repayment
+      if (data.originalAmortization && data.originalAmortization.length > 0) {
+        const originalRemaining = {};
+        data.originalAmortization.forEach(row => {
+          originalRemaining[row.year] = row.remainingCapital;
+        });
+        
+        // The original schedule may run longer than the prepaid one
+        Object.keys(originalRemaining).map(Number).forEach(year => {
+          if (!years.includes(year)) {
+            years.push(year);
+            finalLabels.push(`Année ${year}`);
+          }
+        });
+        
+        datasets.push({
+          label: 'Capital restant dû (sans remboursement anticipé)',
+          data: years.map(y => originalRemaining[y]),
+          borderColor: colors.warning,
+          backgroundColor: colors.warningLight,
+          borderWidth: 2,
+          fill: false,
+          tension: 0.1,
+          pointRadius: 2,
+          borderDash: [2, 2]
+        });
+      }
+    }
+    
+    // Rental investment: cumulative cash flow (rent minus loan, insurance and owner costs)
+    if (data.rentalCashFlow && data.rentalCashFlow.length > 0) {
+      const cumulative = {};
+      data.rentalCashFlow.forEach(point => {
+        cumulative[point.year] = point.cumulative;
+      });
+      
+      datasets.push({
+        label: 'Cash-flow locatif cumulé',
+        data: years.map(y => cumulative[y]),
+        borderColor: colors.danger,
+        backgroundColor: colors.dangerLight,
+        borderWidth: 2,
+        fill: false,
+        tension: 0.1,
+        pointRadius: 2
+      });
     }
 
     instances.line = new Chart(canvas, {
@@ -570,6 +613,189 @@ const Charts = (() => {
     });
   };
 
+  /**
+   * Render Rent vs Buy Chart - Net worth of both paths (Tab 6)
+   * Canvas: #chart-rent-vs-buy
+   * 
+   * @param {Object} data - { points: [{year, buy, rent}], breakEvenYear }
+   */
+  const renderRentVsBuy = (data) => {
+    // Destroy existing instance
+    if (instances.rentVsBuy) {
+      instances.rentVsBuy.destroy();
+    }
+
+    const canvas = document.getElementById('chart-rent-vs-buy');
+    if (!canvas) {
+      return;
+    }
+
+    // Handle empty data
+    if (!data || !data.points || data.points.length === 0) {
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      return;
+    }
+
+    instances.rentVsBuy = new Chart(canvas, {
+      type: 'line',
+      data: {
+        labels: data.points.map(point => `Année ${point.year}`),
+        datasets: [
+          {
+            label: 'Patrimoine acheteur',
+            data: data.points.map(point => point.buy),
+            borderColor: colors.primary,
+            backgroundColor: colors.primaryLight,
+            borderWidth: 2,
+            fill: false,
+            tension: 0.1,
+            pointRadius: 3
+          },
+          {
+            label: 'Patrimoine locataire',
+            data: data.points.map(point => point.rent),
+            borderColor: colors.warning,
+            backgroundColor: colors.warningLight,
+            borderWidth: 2,
+            fill: false,
+            tension: 0.1,
+            pointRadius: 3,
+            borderDash: [5, 5]
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        scales: {
+          x: {
+            grid: {
+              display: false
+            }
+          },
+          y: {
+            ticks: {
+              callback: (value) => formatCurrency(value)
+            },
+            title: {
+              display: true,
+              text: 'Patrimoine net (€)'
+            }
+          }
+        },
+        plugins: {
+          legend: {
+            position: 'top'
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+            }
+          }
+        }
+      }
+    });
+  };
+
+  /**
+   * Render Variable Rate Chart - Yearly installment of each scenario vs the fixed rate (Tab 7)
+   * Canvas: #chart-variable-rate
+   * 
+   * @param {Object} data - Output of Formulas.compareVariableRateScenarios
+   */
+  const renderVariableRate = (data) => {
+    // Destroy existing instance
+    if (instances.variableRate) {
+      instances.variableRate.destroy();
+    }
+
+    const canvas = document.getElementById('chart-variable-rate');
+    if (!canvas) {
+      return;
+    }
+
+    // Handle empty data
+    if (!data || data.scenarios.length === 0) {
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      return;
+    }
+
+    const years = data.fixed.yearlyPayments.map(point => point.year);
+    const paymentOf = (points) => years.map(year => {
+      const point = points.find(p => p.year === year);
+      return point ? point.payment : null;
+    });
+
+    instances.variableRate = new Chart(canvas, {
+      type: 'line',
+      data: {
+        labels: years.map(year => `Année ${year}`),
+        datasets: [
+          ...data.scenarios.map((scenario, index) => ({
+            label: scenario.label,
+            data: paymentOf(scenario.yearlyPayments),
+            borderColor: getLayerColors(index).principal,
+            backgroundColor: withAlpha(getLayerColors(index).principal, 0.8),
+            borderWidth: scenario.key === data.selected ? 3 : 1.5,
+            fill: false,
+            stepped: true,
+            pointRadius: 0
+          })),
+          {
+            label: 'Taux fixe',
+            data: paymentOf(data.fixed.yearlyPayments),
+            borderColor: colors.neutral,
+            backgroundColor: colors.neutral,
+            borderWidth: 2,
+            fill: false,
+            pointRadius: 0,
+            borderDash: [5, 5]
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        scales: {
+          x: {
+            grid: {
+              display: false
+            }
+          },
+          y: {
+            ticks: {
+              callback: (value) => formatCurrency(value)
+            },
+            title: {
+              display: true,
+              text: 'Mensualité hors assurance (€)'
+            }
+          }
+        },
+        plugins: {
+          legend: {
+            position: 'top'
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+            }
+          }
+        }
+      }
+    });
+  };
+
   /**
    * Update all charts with new data
    * 
@@ -586,19 +812,22 @@ const Charts = (() => {
       principal: data.principal || 0,
       interest: data.interest || 0,
       insurance: data.insurance || 0,
-      gigogne: data.gigogne,
-      amortization: data.amortization // Pass full amortization for gigogne split
+      ownership: data.ownership || 0,
+      amortization: data.amortization // Rows carry the per-loan split of a loan stack
     });
 
     renderStackedArea({
-      amortization: data.amortization || [],
-      gigogne: data.gigogne
+      amortization: data.amortization || []
     });
 
     renderLineChart({
       amortization: data.amortization || [],
-      gigogne: data.gigogne
+      originalAmortization: data.originalAmortization,
+      rentalCashFlow: data.rentalCashFlow
     });
+
+    renderRentVsBuy(data.rentVsBuy);
+    renderVariableRate(data.variableRate);
   };
 
   // Public API
@@ -607,6 +836,8 @@ const Charts = (() => {
     renderDonut,
     renderStackedArea,
     renderLineChart,
+    renderRentVsBuy,
+    renderVariableRate,
     destroyAll,
     updateAll
   };
@@ -9,8 +9,22 @@ var AppDefaults = {
   propertyPrice: 250000,  // Fixed bug: was 0 in state.js
   capital: 50000,
   fraisDossier: 1000,
-  ages: { person1: 30 },
-  rates: { 15: 3.09, 20: 3.17, 25: 3.25 },
+  borrowers: [{ age: 30, coverage: 100, customRate: null, fixedPremium: null }],
+  household: { adults: 1, children: 0 },  // Household composition for the reste à vivre
+  department: '',            // Département code for the DMTO rate, '' = national flat rate
+  firstTimeBuyer: false,     // Primo-accédant (primary residence)
+  agencyFees: 0,             // Agency fees paid by the buyer, included in the price (€), outside the notary base
+  furnitureValue: 0,         // Furniture (mobilier) sold with the property, included in the price (€), outside the notary base
+  guaranteeType: 'caution',  // 'caution' (Crédit Logement), 'hypotheque' or 'ppd' (privilège de prêteur de deniers)
+  fmgRefundRate: 75,         // Share of the FMG paid back at loan end (%), caution only
+  insuranceMode: 'initial',  // 'initial' (capital initial) or 'crd' (capital restant dû)
+  capacityMode: 'legacy',    // 'legacy' (35% before insurance) or 'hcsf' (35% insurance included, 25-year cap)
+  // Bank rate grid: any number of {duration (years), rate (%)} points, sorted by duration
+  rates: [
+    { duration: 15, rate: 3.09 },
+    { duration: 20, rate: 3.17 },
+    { duration: 25, rate: 3.25 }
+  ],
   activeTab: 'summary',
   tableView: 'monthly',
 };
@@ -22,7 +36,109 @@ var GigogneDefaults = {
   rate: 0,  // PTZ default
 };
 
+// Prêt à taux zéro: when enabled, an eligible PTZ joins the loan stack
+var PtzDefaults = {
+  enabled: false,
+  zone: 'B1',               // 'Abis', 'A', 'B1', 'B2' or 'C'
+  referenceIncome: 30000,   // Revenu fiscal de référence of the household (year N-2, €)
+};
+
+// Action Logement employer loan: requested amount and duration, capped by ActionLogementRules
+var ActionLogementDefaults = {
+  enabled: false,
+  amount: 30000,        // Requested amount (€)
+  duration: 20,         // Duration (years)
+  companyStaff: 50,     // Staff of the borrower's employer (private sector)
+};
+
+// Épargne logement (PEL or CEL): savings balance and plan generation, the loan joins the loan stack
+var SavingsPlanDefaults = {
+  enabled: false,
+  type: 'pel',                  // 'pel' or 'cel'
+  balance: 20000,               // Current balance (€)
+  openingDate: '2017-01-01',    // Opening date (YYYY-MM-DD)
+  generation: 'auto',           // Generation start date, 'auto' to use the opening date
+  duration: 10,                 // Loan duration (years)
+};
+
+// VEFA (vente en l'état futur d'achèvement): calls for funds as cumulative % of the price,
+// months counted from signature. Legal caps: 35% at foundations, 70% out of water, 95% at completion
+var VefaDefaults = {
+  enabled: false,
+  calls: [
+    { label: 'Réservation', percent: 5, month: 0 },
+    { label: 'Achèvement des fondations', percent: 35, month: 4 },
+    { label: 'Mise hors d\'eau', percent: 70, month: 10 },
+    { label: 'Achèvement des travaux', percent: 95, month: 18 },
+    { label: 'Livraison', percent: 100, month: 20 }
+  ]
+};
+
+// Cost of ownership: recurring costs of the property besides the loan (€/year)
+var OwnershipDefaults = {
+  propertyTax: 1200,    // Taxe foncière
+  coOwnership: 1200,    // Charges de copropriété
+  homeInsurance: 250,   // Assurance habitation (MRH) or PNO
+  energy: 1500,         // Electricity, gas, heating
+  maintenanceRate: 1,   // Maintenance provision (% of the property price per year)
+};
+
+// Rent vs buy comparator: the renter invests the apport and any monthly difference
+var RentVsBuyDefaults = {
+  rent: 900,            // Current rent (€/month)
+  rentGrowth: 2,        // Yearly rent increase (%)
+  appreciation: 1.5,    // Yearly property value growth (%)
+  investmentReturn: 3,  // Yearly net return of invested savings (%)
+};
+
+// Variable rate loan: rate = index + margin, reviewed every reviewMonths within ±cap of the initial rate
+var VariableRateDefaults = {
+  enabled: false,
+  index: 'euribor12m',  // Key of VariableRateRules.indices
+  indexValue: 2.1,      // Index at signature (%)
+  margin: 1.2,          // Bank margin (%)
+  cap: 1,               // Cap around the initial rate (points), 0 = not capped
+  reviewMonths: 12,     // Review frequency (months)
+  scenario: 'flat',     // Key of VariableRateRules.scenarios, or 'custom'
+  customPath: '2.1; 2.5; 3; 3; 2.5',  // Index by year (%), the last value holds
+};
+
+// Renovation works: part of the project cost (no notary fees), optionally financed by an éco-PTZ
+var WorksDefaults = {
+  amount: 0,            // Works budget (€)
+  ecoPtzEnabled: false, // Finance part of the works with an éco-prêt à taux zéro
+  ecoPtzAmount: 30000,  // Requested éco-PTZ (€), capped by the works and the legal ceiling
+  ecoPtzDuration: 15,   // Éco-PTZ duration (years)
+};
+
+// Rental investment: expected rent of the financed property and the owner's yearly costs
+var InvestmentDefaults = {
+  enabled: false,
+  monthlyRent: 900,     // Expected rent, charges excluded (€/month)
+  propertyTax: 1000,    // Taxe foncière (€/year)
+  charges: 600,         // Non-recoverable costs: copropriété, gestion, assurance PNO (€/year)
+};
+
+var DeferralDefaults = {
+  type: 'none',         // 'none', 'partial' (interest only) or 'total' (interest capitalised)
+  months: 12,           // Deferral length, included in the loan duration
+};
+
+var PrepaymentDefaults = {
+  enabled: false,
+  month: 60,            // Month of the prepayment (after that month's installment)
+  amount: 20000,
+  type: 'partial',      // 'partial' or 'total'
+  mode: 'duration',     // 'duration' (keep payment, shorten loan) or 'payment' (keep end date, lower payment)
+};
+
 var ItemDefaults = {
+  borrower: {
+    age: 30,
+    coverage: 100,        // Insurance quotité (% of the loan covered)
+    customRate: null,     // Délégation d'assurance: quoted annual rate (%), null = age brackets
+    fixedPremium: null    // Délégation d'assurance: quoted monthly premium (€), overrides the rate
+  },
   revenue: {
     type: 'Salaire',      // Fixed: was 'salary' in state.js, now consistent
     amount: 2800,
@@ -32,18 +148,68 @@ var ItemDefaults = {
     type: 'Loyer',
     amount: 0,
     frequency: 'monthly'
+  },
+  rate: {
+    duration: 10,
+    rate: 3.00
+  },
+  vefaCall: {
+    label: 'Appel de fonds',
+    percent: 100,
+    month: 24
+  },
+  oneOffCost: {
+    label: 'Frais de courtage',
+    amount: 0,
+    financed: true,       // Included in the loan, otherwise paid from the apport
+    inTaeg: true          // Counted in the TAEG (brokerage, valuation required by the bank)
+  },
+  loanLayer: {
+    label: 'Prêt complémentaire',
+    amount: 20000,
+    rate: 1.5,            // Annual rate (%)
+    duration: 15,         // Years, deferral included
+    deferralType: 'none', // 'none', 'partial' (interest only) or 'total' (interest capitalised)
+    deferralMonths: 0
   }
 };
 
 var UIOptions = {
   revenueTypes: ['Salaire', 'Prime', 'Revenus fonciers', 'Autre'],
   chargeTypes: ['Loyer', 'Crédit', 'Pension', 'Autre'],
+  oneOffCostLabels: ['Frais de courtage', 'Frais d\'expertise', 'Autre'],
+  maxBorrowers: 4,
+  rateDurations: [7, 10, 12, 15, 20, 25, 27],  // Usual bank quote durations, suggested for new grid rows
+  rateDurationBounds: { min: 1, max: 30 },      // Accepted duration range for a grid row (years)
+  deferralMonths: { min: 1, max: 36 },          // Accepted deferral length (months)
 };
 
 var FormulaConstants = {
   // Debt ratio threshold
   debtRatio: 0.35,  // 35% rule
   
+  // Éco-PTZ (zero-rate loan for energy renovation works)
+  ecoPtz: {
+    maxAmount: 50000,               // Ceiling for a global renovation
+    maxDurationYears: 20
+  },
+  
+  // HCSF rules (Haut Conseil de Stabilité Financière, since 2022)
+  hcsf: {
+    maxDebtRatio: 0.35,             // 35% of income, insurance included
+    maxDurationYears: 25,
+    maxDeferralMonths: 24,          // New build: deferral adds up to 2 years (27 years)
+    exceptionQuota: 0.20,           // Banks may exceed the rules for 20% of their production
+    primaryResidenceShare: 0.80,    // At least 80% of the quota for primary residences
+    firstTimeBuyerShare: 0.30       // At least 30% of the quota for first-time buyers
+  },
+  
+  // Rental income: banks only count part of the rent (vacancy, unpaid rent)
+  rental: {
+    incomeWeight: 0.70,             // 70% of the rent is kept as income
+    revenueType: 'Revenus fonciers' // Revenue type weighted like rent
+  },
+  
   // Insurance rate by age bracket (annual rate as decimal)
   insuranceRates: {
     upTo25: 0.0012,      // 0.12%
@@ -92,13 +258,37 @@ var FormulaConstants = {
     minimum: 1000                   // Minimum total caution
   },
   
-  // TAEG calculation (Newton-Raphson)
+  // Hypothèque conventionnelle and PPD (notarial guarantees)
+  mortgageGuarantee: {
+    accessoriesRate: 0.20,          // Registration covers the loan + 20% accessories
+    publicityTaxRate: 0.00715,      // Taxe de publicité foncière (hypothèque only, PPD exempt)
+    csiRate: 0.0005,                // Contribution de sécurité immobilière
+    csiMinimum: 15,
+    emolumentRates: {               // Notary emoluments on the loan deed (same thresholds as the sale)
+      bracket1: 0.01936,
+      bracket2: 0.00798,
+      bracket3: 0.00532,
+      bracket4: 0.00399
+    },
+    debours: 400,                   // Formalities estimate
+    mainlevee: {                    // Release if the loan is repaid before its term (estimate)
+      rate: 0.0035,
+      minimum: 150
+    }
+  },
+  
+  // TAEG calculation (actuarial IRR of monthly cash flows, bisection)
   taeg: {
-    initialGuess: 0.003,            // ~3.6% annual rate (monthly: 0.003)
-    maxIterations: 100,
-    tolerance: 0.000001,
-    minRate: 0.0001,                // Prevent negative rates
-    maxRate: 0.1                    // Cap at 10% monthly
+    maxIterations: 200,
+    tolerance: 1e-12,               // Monthly rate precision
+    minRate: 0,                     // Lower bound of the monthly rate search
+    maxRate: 0.1                    // Upper bound: 10% monthly
+  },
+  
+  // Indemnités de remboursement anticipé (IRA), legal caps
+  prepayment: {
+    penaltyMonths: 6,               // At most 6 months of interest on the prepaid amount
+    penaltyCapRate: 0.03            // At most 3% of the remaining capital before prepayment
   },
   
   // Iterative calculations (property price/loan)
@@ -109,11 +299,275 @@ var FormulaConstants = {
   }
 };
 
+// Droits de mutation (DMTO) on old property, by département
+// Total rate = departmental rate + communal tax + collection fees on the departmental part
+// Since April 2025 départements may vote up to 5.00%; first-time buyers keep 4.50%
+// Check the DGFiP table and update the rates and effectiveDate when départements vote
+var DmtoRates = {
+  effectiveDate: '2025-06-01',
+  communeRate: 1.20,            // Taxe communale (%)
+  collectionFeeRate: 2.37,      // Frais d'assiette et de recouvrement (% of the departmental part)
+  firstTimeBuyerRate: 4.50,     // Departmental rate cap for first-time buyers (%)
+  departments: [
+    { code: '01', name: 'Ain', rate: 5.00 },
+    { code: '02', name: 'Aisne', rate: 5.00 },
+    { code: '03', name: 'Allier', rate: 5.00 },
+    { code: '04', name: 'Alpes-de-Haute-Provence', rate: 5.00 },
+    { code: '05', name: 'Hautes-Alpes', rate: 5.00 },
+    { code: '06', name: 'Alpes-Maritimes', rate: 5.00 },
+    { code: '07', name: 'Ardèche', rate: 5.00 },
+    { code: '08', name: 'Ardennes', rate: 5.00 },
+    { code: '09', name: 'Ariège', rate: 5.00 },
+    { code: '10', name: 'Aube', rate: 5.00 },
+    { code: '11', name: 'Aude', rate: 5.00 },
+    { code: '12', name: 'Aveyron', rate: 5.00 },
+    { code: '13', name: 'Bouches-du-Rhône', rate: 5.00 },
+    { code: '14', name: 'Calvados', rate: 5.00 },
+    { code: '15', name: 'Cantal', rate: 5.00 },
+    { code: '16', name: 'Charente', rate: 5.00 },
+    { code: '17', name: 'Charente-Maritime', rate: 5.00 },
+    { code: '18', name: 'Cher', rate: 5.00 },
+    { code: '19', name: 'Corrèze', rate: 5.00 },
+    { code: '2A', name: 'Corse-du-Sud', rate: 5.00 },
+    { code: '2B', name: 'Haute-Corse', rate: 5.00 },
+    { code: '21', name: 'Côte-d\'Or', rate: 5.00 },
+    { code: '22', name: 'Côtes-d\'Armor', rate: 5.00 },
+    { code: '23', name: 'Creuse', rate: 5.00 },
+    { code: '24', name: 'Dordogne', rate: 5.00 },
+    { code: '25', name: 'Doubs', rate: 5.00 },
+    { code: '26', name: 'Drôme', rate: 5.00 },
+    { code: '27', name: 'Eure', rate: 5.00 },
+    { code: '28', name: 'Eure-et-Loir', rate: 5.00 },
+    { code: '29', name: 'Finistère', rate: 5.00 },
+    { code: '30', name: 'Gard', rate: 5.00 },
+    { code: '31', name: 'Haute-Garonne', rate: 5.00 },
+    { code: '32', name: 'Gers', rate: 5.00 },
+    { code: '33', name: 'Gironde', rate: 5.00 },
+    { code: '34', name: 'Hérault', rate: 5.00 },
+    { code: '35', name: 'Ille-et-Vilaine', rate: 5.00 },
+    { code: '36', name: 'Indre', rate: 3.80 },
+    { code: '37', name: 'Indre-et-Loire', rate: 5.00 },
+    { code: '38', name: 'Isère', rate: 4.50 },
+    { code: '39', name: 'Jura', rate: 5.00 },
+    { code: '40', name: 'Landes', rate: 5.00 },
+    { code: '41', name: 'Loir-et-Cher', rate: 5.00 },
+    { code: '42', name: 'Loire', rate: 5.00 },
+    { code: '43', name: 'Haute-Loire', rate: 5.00 },
+    { code: '44', name: 'Loire-Atlantique', rate: 5.00 },
+    { code: '45', name: 'Loiret', rate: 5.00 },
+    { code: '46', name: 'Lot', rate: 5.00 },
+    { code: '47', name: 'Lot-et-Garonne', rate: 5.00 },
+    { code: '48', name: 'Lozère', rate: 5.00 },
+    { code: '49', name: 'Maine-et-Loire', rate: 5.00 },
+    { code: '50', name: 'Manche', rate: 5.00 },
+    { code: '51', name: 'Marne', rate: 5.00 },
+    { code: '52', name: 'Haute-Marne', rate: 5.00 },
+    { code: '53', name: 'Mayenne', rate: 5.00 },
+    { code: '54', name: 'Meurthe-et-Moselle', rate: 5.00 },
+    { code: '55', name: 'Meuse', rate: 5.00 },
+    { code: '56', name: 'Morbihan', rate: 4.50 },
+    { code: '57', name: 'Moselle', rate: 5.00 },
+    { code: '58', name: 'Nièvre', rate: 5.00 },
+    { code: '59', name: 'Nord', rate: 5.00 },
+    { code: '60', name: 'Oise', rate: 5.00 },
+    { code: '61', name: 'Orne', rate: 5.00 },
+    { code: '62', name: 'Pas-de-Calais', rate: 5.00 },
+    { code: '63', name: 'Puy-de-Dôme', rate: 5.00 },
+    { code: '64', name: 'Pyrénées-Atlantiques', rate: 5.00 },
+    { code: '65', name: 'Hautes-Pyrénées', rate: 5.00 },
+    { code: '66', name: 'Pyrénées-Orientales', rate: 5.00 },
+    { code: '67', name: 'Bas-Rhin', rate: 5.00 },
+    { code: '68', name: 'Haut-Rhin', rate: 5.00 },
+    { code: '69', name: 'Rhône', rate: 5.00 },
+    { code: '70', name: 'Haute-Saône', rate: 5.00 },
+    { code: '71', name: 'Saône-et-Loire', rate: 5.00 },
+    { code: '72', name: 'Sarthe', rate: 5.00 },
+    { code: '73', name: 'Savoie', rate: 5.00 },
+    { code: '74', name: 'Haute-Savoie', rate: 5.00 },
+    { code: '75', name: 'Paris', rate: 5.00 },
+    { code: '76', name: 'Seine-Maritime', rate: 5.00 },
+    { code: '77', name: 'Seine-et-Marne', rate: 5.00 },
+    { code: '78', name: 'Yvelines', rate: 5.00 },
+    { code: '79', name: 'Deux-Sèvres', rate: 5.00 },
+    { code: '80', name: 'Somme', rate: 5.00 },
+    { code: '81', name: 'Tarn', rate: 5.00 },
+    { code: '82', name: 'Tarn-et-Garonne', rate: 5.00 },
+    { code: '83', name: 'Var', rate: 5.00 },
+    { code: '84', name: 'Vaucluse', rate: 5.00 },
+    { code: '85', name: 'Vendée', rate: 5.00 },
+    { code: '86', name: 'Vienne', rate: 5.00 },
+    { code: '87', name: 'Haute-Vienne', rate: 5.00 },
+    { code: '88', name: 'Vosges', rate: 5.00 },
+    { code: '89', name: 'Yonne', rate: 5.00 },
+    { code: '90', name: 'Territoire de Belfort', rate: 5.00 },
+    { code: '91', name: 'Essonne', rate: 5.00 },
+    { code: '92', name: 'Hauts-de-Seine', rate: 5.00 },
+    { code: '93', name: 'Seine-Saint-Denis', rate: 5.00 },
+    { code: '94', name: 'Val-de-Marne', rate: 5.00 },
+    { code: '95', name: 'Val-d\'Oise', rate: 5.00 },
+    { code: '971', name: 'Guadeloupe', rate: 5.00 },
+    { code: '972', name: 'Martinique', rate: 5.00 },
+    { code: '973', name: 'Guyane', rate: 5.00 },
+    { code: '974', name: 'La Réunion', rate: 5.00 },
+    { code: '976', name: 'Mayotte', rate: 3.80 }
+  ]
+};
+
+// Reste à vivre (residual income): minimum left each month once charges and loan are paid
+// Bank practice varies, adjust to the lender's grid
+var ResteAVivreThresholds = {
+  adults: [800, 1200],    // Minimum for a household of 1 adult, 2 adults
+  additionalAdult: 400,   // Each adult beyond the table
+  perChild: 300           // Each dependent child
+};
+
+// Taux d'usure (usury ceilings) published quarterly by the Banque de France
+// TAEG must stay at or below the ceiling of the loan's category and duration band
+// Update the values and effectiveDate every quarter
+var UsuryRates = {
+  effectiveDate: '2025-10-01',
+  categories: {
+    fixed: {
+      label: 'Prêts à taux fixe',
+      bands: [
+        { maxYears: 10, label: 'moins de 10 ans', rate: 4.97 },
+        { maxYears: 20, label: '10 à moins de 20 ans', rate: 5.26 },
+        { maxYears: null, label: '20 ans et plus', rate: 5.30 }   // null = no upper bound
+      ]
+    },
+    variable: {
+      label: 'Prêts à taux variable',
+      bands: [
+        { maxYears: null, label: 'toutes durées', rate: 5.36 }
+      ]
+    },
+    bridge: {
+      label: 'Prêts relais',
+      bands: [
+        { maxYears: null, label: 'toutes durées', rate: 5.64 }
+      ]
+    }
+  }
+};
+
+// PTZ rules (barème since April 2025): new homes in every zone, old homes with works in B2 and C
+// Quotités are those of a collective new home or an old home with works
+// Check service-public.fr and update the ceilings and effectiveDate when the barème changes
+var PtzRules = {
+  effectiveDate: '2025-04-01',
+  familyCoefficients: [1, 1.5, 1.8, 2.1, 2.4, 2.7, 3.0, 3.3],  // By household size, 8 persons and more
+  incomeFloorDivisor: 9,        // Income retained: max(revenu fiscal de référence, operation cost / 9)
+  // Upper bound of each income tranche (retained income / family coefficient, €)
+  trancheCeilings: {
+    Abis: [25000, 31000, 37000, 49000],
+    A: [25000, 31000, 37000, 49000],
+    B1: [21500, 26000, 30000, 34500],
+    B2: [18000, 22500, 27000, 31500],
+    C: [18000, 22500, 27000, 31500]
+  },
+  // Quotité of the operation cost, total duration and deferral (différé) by tranche
+  tranches: [
+    { tranche: 1, quotity: 0.50, durationYears: 25, deferralYears: 15 },
+    { tranche: 2, quotity: 0.40, durationYears: 22, deferralYears: 10 },
+    { tranche: 3, quotity: 0.40, durationYears: 20, deferralYears: 8 },
+    { tranche: 4, quotity: 0.20, durationYears: 20, deferralYears: 5 }
+  ],
+  // Operation cost ceiling for one person, multiplied by the family coefficient
+  operationCeilings: { Abis: 150000, A: 150000, B1: 135000, B2: 110000, C: 100000 },
+  operationCeilingMaxPersons: 5,  // The ceiling stops growing at 5 persons
+  oldPropertyZones: ['B2', 'C'],
+  oldPropertyWorksShare: 0.25     // Works of at least 25% of the operation cost
+};
+
+// Action Logement prêt accession: employees of private non-farm companies with 10 staff or more,
+// primary residence only. Check actionlogement.fr and update with effectiveDate when the offer changes
+var ActionLogementRules = {
+  effectiveDate: '2025-01-01',
+  rate: 1.0,                // Fixed nominal rate (%), insurance excluded
+  maxAmount: 30000,         // Cap (€)
+  maxDurationYears: 25,
+  minCompanyStaff: 10
+};
+
+// Épargne logement loan rules: the loan interest may reach the acquired interest × rightsCoefficient.
+// Generations give the savings rate and the loan rate by opening date (PEL) or rate period (CEL).
+// Check service-public.fr and add a generation when the rates change
+var SavingsPlanRules = {
+  pel: {
+    label: 'PEL',
+    rightsCoefficient: 2.5,
+    maxLoan: 92000,
+    minAgeYears: 4,             // Plan age required to get the loan
+    interestCapYears: 15,       // The plan stops earning interest after 15 years
+    minDurationYears: 2,
+    maxDurationYears: 15,
+    generations: [
+      { from: '2003-08-01', savingsRate: 2.50, loanRate: 4.20 },
+      { from: '2014-02-01', savingsRate: 2.50, loanRate: 3.70 },
+      { from: '2015-02-01', savingsRate: 2.00, loanRate: 3.20 },
+      { from: '2016-02-01', savingsRate: 1.50, loanRate: 2.70 },
+      { from: '2016-08-01', savingsRate: 1.00, loanRate: 2.20 },
+      { from: '2023-01-01', savingsRate: 2.00, loanRate: 3.20 },
+      { from: '2024-01-01', savingsRate: 2.25, loanRate: 3.45 },
+      { from: '2025-01-01', savingsRate: 1.75, loanRate: 2.95 }
+    ]
+  },
+  cel: {
+    label: 'CEL',
+    rightsCoefficient: 2.5,
+    maxLoan: 23000,
+    minAgeYears: 1.5,
+    interestCapYears: Infinity,
+    minDurationYears: 2,
+    maxDurationYears: 15,
+    generations: [
+      { from: '2023-02-01', savingsRate: 2.00, loanRate: 3.50 },
+      { from: '2025-02-01', savingsRate: 1.50, loanRate: 3.00 },
+      { from: '2025-08-01', savingsRate: 1.25, loanRate: 2.75 }
+    ]
+  }
+};
+
+// Variable rate options and preset index paths
+// Scenario deltas move the index from its signature value, by year (the last value holds)
+var VariableRateRules = {
+  indices: {
+    euribor3m: 'Euribor 3 mois',
+    euribor12m: 'Euribor 12 mois'
+  },
+  caps: [0, 1, 2],
+  reviewMonths: [3, 12, 60],
+  scenarios: {
+    flat: { label: 'Stable', deltas: [0] },
+    rising: { label: 'Hausse', deltas: [0, 0.5, 1, 1.5, 2] },
+    falling: { label: 'Baisse', deltas: [0, -0.5, -1, -1.5] },
+    stressed: { label: 'Stress', deltas: [0, 2, 3, 3, 2.5, 2] }
+  }
+};
+
 // Expose all config objects globally
 Object.assign(window.Config, {
   AppDefaults,
   GigogneDefaults,
+  PtzDefaults,
+  ActionLogementDefaults,
+  SavingsPlanDefaults,
+  VefaDefaults,
+  OwnershipDefaults,
+  RentVsBuyDefaults,
+  VariableRateDefaults,
+  WorksDefaults,
+  InvestmentDefaults,
+  DeferralDefaults,
+  PrepaymentDefaults,
   ItemDefaults,
   UIOptions,
-  FormulaConstants
+  FormulaConstants,
+  ResteAVivreThresholds,
+  DmtoRates,
+  UsuryRates,
+  PtzRules,
+  ActionLogementRules,
+  SavingsPlanRules,
+  VariableRateRules
 });
@@ -5,7 +5,7 @@
  */
 
 // Use global Config object (set by config.js)
-var { ItemDefaults } = window.Config || {};
+var { ItemDefaults, UIOptions } = window.Config || {};
 
 const Events = (() => {
   
@@ -31,6 +31,69 @@ const Events = (() => {
   // RECALCULATION ENGINE
   // ============================================
 
+  /**
+   * Layers smoothed with the main loan: gigogne loan (sharing the main loan deferral),
+   * eligible PTZ, éco-PTZ on the works (paid out at delivery), Action Logement loan,
+   * épargne logement loan, then the loans added by the user
+   * @param {Object} state - State snapshot
+   * @param {Object} gigogne - Gigogne settings
+   * @param {Object|null} ptzResult - PTZ evaluation
+   * @param {Object|null} actionLogementResult - Action Logement evaluation
+   * @param {Object|null} savingsPlanResult - Épargne logement evaluation
+   * @returns {Array} Layers {label, amount, rate, duration, deferral}, the gigogne and éco-PTZ layers
+   *   have ids 'gigogne' and 'ecoPtz'
+   */
+  const buildLoanLayers = (state, gigogne, ptzResult, actionLogementResult, savingsPlanResult) => {
+    const layers = [];
+    
+    if (gigogne.enabled) {
+      layers.push({
+        id: 'gigogne',
+        label: 'Prêt gigogne',
+        amount: gigogne.maxAmount,
+        rate: gigogne.rate,
+        duration: gigogne.duration,
+        deferral: state.deferral
+      });
+    }
+    if (ptzResult && ptzResult.eligible) {
+      layers.push(MortgageSimulator.PTZ.toLoanLayer(ptzResult));
+    }
+    const ecoPtzAmount = MortgageSimulator.Formulas.calcEcoPtzAmount(state.works);
+    if (ecoPtzAmount > 0) {
+      layers.push({
+        id: 'ecoPtz',
+        label: 'Éco-PTZ',
+        amount: ecoPtzAmount,
+        rate: 0,
+        duration: MortgageSimulator.Formulas.calcEcoPtzDuration(state.works.ecoPtzDuration),
+        atDelivery: true
+      });
+    }
+    if (actionLogementResult && actionLogementResult.eligible) {
+      layers.push({
+        label: 'Action Logement',
+        amount: actionLogementResult.amount,
+        rate: actionLogementResult.rate,
+        duration: actionLogementResult.duration
+      });
+    }
+    if (savingsPlanResult && savingsPlanResult.eligible) {
+      layers.push(MortgageSimulator.PEL.toLoanLayer(savingsPlanResult));
+    }
+    state.loanLayers.forEach(layer => {
+      layers.push({
+        label: layer.label,
+        amount: layer.amount,
+        rate: layer.rate,
+        duration: layer.duration,
+        deferral: { type: layer.deferralType, months: layer.deferralMonths }
+      });
+    });
+    
+    return layers.filter(layer => layer.amount > 0 && layer.duration > 0);
+  };
+
   /**
    * Main recalculation function
    * Reads State → runs formulas → updates State → updates UI & Charts
@@ -39,10 +102,65 @@ const Events = (() => {
     // Get current state
     const state = MortgageSimulator.getState();
     
-    // 1. Calculate income and capacity
-    const monthlyIncome = MortgageSimulator.Formulas.calcTotalMonthlyIncome(state.revenues);
+    // 1. Calculate income and capacity (expected rent of a rental investment counts for 70%)
+    const monthlyIncome = MortgageSimulator.Formulas.calcTotalMonthlyIncome(state.revenues) +
+      (state.investment.enabled ? MortgageSimulator.Formulas.calcWeightedRent(state.investment.monthlyRent) : 0);
     const monthlyCharges = MortgageSimulator.Formulas.calcTotalMonthlyCharges(state.charges);
-    const maxMonthlyPayment = MortgageSimulator.Formulas.calcMaxMonthlyPayment(monthlyIncome, monthlyCharges);
+    // The installment must respect both the debt ratio and the household's reste à vivre
+    const maxMonthlyPayment = Math.min(
+      MortgageSimulator.Formulas.calcMaxMonthlyPayment(monthlyIncome, monthlyCharges),
+      MortgageSimulator.Formulas.calcMaxMonthlyPaymentForResteAVivre(monthlyIncome, monthlyCharges, state.household)
+    );
+    
+    // PTZ: an eligible PTZ joins the loan stack with its tranche deferral
+    const evaluatePtz = (propertyPrice) => state.ptz.enabled
+      ? MortgageSimulator.PTZ.evaluate({
+        zone: state.ptz.zone,
+        household: state.household,
+        referenceIncome: state.ptz.referenceIncome,
+        propertyType: state.propertyType,
+        propertyPrice: propertyPrice,
+        worksAmount: state.works.amount,
+        firstTimeBuyer: state.firstTimeBuyer,
+        rentalInvestment: state.investment.enabled
+      })
+      : null;
+    const ptzResult = evaluatePtz(state.propertyPrice);
+    if (UI.renderPtzResult) {
+      UI.renderPtzResult(ptzResult);
+    }
+
+    // Action Logement employer loan, capped by the rules
+    const actionLogementResult = state.actionLogement.enabled
+      ? MortgageSimulator.Formulas.evaluateActionLogementLoan({
+        amount: state.actionLogement.amount,
+        duration: state.actionLogement.duration,
+        companyStaff: state.actionLogement.companyStaff,
+        rentalInvestment: state.investment.enabled
+      })
+      : null;
+    if (UI.renderActionLogementResult) {
+      UI.renderActionLogementResult(actionLogementResult);
+    }
+
+    // Épargne logement loan, compared with the market rate of the same duration
+    const savingsPlanResult = state.savingsPlan.enabled
+      ? MortgageSimulator.PEL.evaluate({
+        type: state.savingsPlan.type,
+        balance: state.savingsPlan.balance,
+        openingDate: state.savingsPlan.openingDate,
+        generation: state.savingsPlan.generation,
+        duration: state.savingsPlan.duration,
+        marketRate: MortgageSimulator.Formulas.interpolateRate(state.savingsPlan.duration, state.rates)
+      })
+      : null;
+    if (UI.renderSavingsPlanResult) {
+      UI.renderSavingsPlanResult(savingsPlanResult);
+    }
+
+    // Loan stack: gigogne loan, PTZ, éco-PTZ, Action Logement, épargne logement and other loans smoothed with the main loan
+    const gigogne = MortgageSimulator.getGigogne();
+    const loanLayers = buildLoanLayers(state, gigogne, ptzResult, actionLogementResult, savingsPlanResult);
     
     // 2. Get interpolated interest rate for current duration
     let currentRate = MortgageSimulator.Formulas.interpolateRate(state.duration, state.rates);
@@ -58,36 +176,72 @@ const Events = (() => {
       UI.updatePrimaryRateDisplay(currentRate);
     }
     
-    // 3. Calculate maximum loan capacity (without insurance consideration)
-    // If gigogne is enabled, this might change? 
-    // For now, keep standard max loan calculation as baseline
-    const maxLoan = MortgageSimulator.Formulas.calcMaxLoan(
-      maxMonthlyPayment,
-      currentRate,
-      state.duration
-    );
+    // Variable rate loan: capacity and the first installment use the initial rate (index + margin),
+    // the fixed rate of the same duration remains the comparison. Smoothed loans keep the fixed rate.
+    const fixedRate = currentRate;
+    const variableRate = state.variableRate.enabled && loanLayers.length === 0 ? state.variableRate : null;
+    if (variableRate) {
+      currentRate = MortgageSimulator.Formulas.calcVariableInitialRate(variableRate);
+    }
+    
+    // Insurance combines every borrower's rate (age bracket or delegated quote) weighted by their quotité
+    const insurance = MortgageSimulator.Formulas.calcCombinedInsurance(state.borrowers, state.insuranceMode);
+    
+    // HCSF strict: capacity never exceeds the 25-year cap (27 with a new build deferral)
+    const vefaActive = state.propertyType === 'new' && state.vefa.enabled;
+    let capacityDuration = state.duration;
+    if (state.capacityMode === 'hcsf') {
+      const capacityDeferralMonths =
+        MortgageSimulator.Formulas.getDeferralMonths(state.deferral, state.duration * 12) +
+        (vefaActive ? MortgageSimulator.Formulas.normalizeVefaCalls(state.vefa.calls).deliveryMonth : 0);
+      capacityDuration = Math.min(
+        state.duration,
+        Math.floor(MortgageSimulator.HCSF.getMaxDurationMonths(state.propertyType, capacityDeferralMonths) / 12)
+      );
+    }
+    
+    // 3. Calculate maximum loan capacity
+    // Legacy: the 35% budget covers the loan payment only; HCSF: insurance included
+    const maxLoan = state.capacityMode === 'hcsf'
+      ? MortgageSimulator.HCSF.calcMaxLoan(maxMonthlyPayment, currentRate, capacityDuration, insurance, state.deferral)
+      : MortgageSimulator.Formulas.calcMaxLoan(
+          maxMonthlyPayment,
+          currentRate,
+          state.duration,
+          state.deferral
+        );
     MortgageSimulator.setMaxLoan(maxLoan);
     
+    // Fees depend on the département (droits de mutation), first-time buyer status, the notary base
+    // (price without agency fees and furniture) and guarantee, one-off costs (courtage, expertise...)
+    // are either borrowed or taken from the apport, works are borrowed (éco-PTZ included)
+    const feeOptions = {
+      department: state.department,
+      firstTimeBuyer: state.firstTimeBuyer,
+      agencyFees: state.agencyFees,
+      furnitureValue: state.furnitureValue,
+      guaranteeType: state.guaranteeType,
+      oneOffCosts: state.oneOffCosts,
+      worksAmount: state.works.amount
+    };
+    
     // 4. Calculate maximum property price WITH INSURANCE OPTIMIZATION
     // This uses the new optimization function that accounts for insurance in the circular dependency
-    const ages = state.ages;
-    const age = ages.person1 || 0;
-    const gigogne = MortgageSimulator.getGigogne();
-    
     let optimizedMaxPriceResult;
 
-    if (gigogne.enabled) {
-      optimizedMaxPriceResult = MortgageSimulator.Formulas.optimizeMaxPropertyPriceWithGigogne(
+    if (loanLayers.length > 0) {
+      optimizedMaxPriceResult = MortgageSimulator.Formulas.optimizeMaxPropertyPriceWithStack(
         state.capital,
         maxMonthlyPayment,
         state.fraisDossier,
         state.propertyType,
         currentRate,
-        state.duration,
-        gigogne.rate,
-        gigogne.duration,
-        gigogne.maxAmount,
-        age
+        capacityDuration,
+        // The PTZ is sized on each candidate price
+        (price) => buildLoanLayers(state, gigogne, evaluatePtz(price), actionLogementResult, savingsPlanResult),
+        insurance,
+        state.deferral,
+        feeOptions
       );
     } else {
       optimizedMaxPriceResult = MortgageSimulator.Formulas.optimizeMaxPropertyPriceWithInsurance(
@@ -96,8 +250,10 @@ const Events = (() => {
         state.fraisDossier,
         state.propertyType,
         currentRate,
-        state.duration,
-        age
+        capacityDuration,
+        insurance,
+        state.deferral,
+        feeOptions
       );
     }
     
@@ -135,7 +291,8 @@ const Events = (() => {
       state.propertyPrice,
       state.capital,
       state.fraisDossier,
-      state.propertyType
+      state.propertyType,
+      feeOptions
     );
     MortgageSimulator.setRequiredLoan(requiredLoanResult.loan);
     
@@ -143,130 +300,293 @@ const Events = (() => {
     MortgageSimulator.setNotaryFees(requiredLoanResult.notaryFees || 0);
     MortgageSimulator.setCautionFees(requiredLoanResult.caution || 0);
     
-    // GIGOGNE LOGIC START
+    // Main loan schedule: fixed rate, or re-annuitised at each review along the selected index path
+    const indexPath = variableRate
+      ? MortgageSimulator.Formulas.buildIndexPath(variableRate, variableRate.scenario, state.duration)
+      : null;
+    const buildMainTable = (tableInsurance) => variableRate
+      ? MortgageSimulator.Formulas.generateVariableRateTable(
+          requiredLoanResult.loan,
+          variableRate,
+          indexPath,
+          state.duration,
+          tableInsurance,
+          state.deferral
+        )
+      : MortgageSimulator.Formulas.generateAmortizationTable(
+          requiredLoanResult.loan,
+          currentRate,
+          state.duration,
+          tableInsurance,
+          state.deferral
+        );
+    
+    // LOAN STACK LOGIC START
     let monthlyPayment, monthlyInsurance, monthlyPaymentWithInsurance, totalCost, taeg, amortizationTable;
-    let insuranceRate = 0;
-    if (state.ages.person1) {
-      insuranceRate = MortgageSimulator.Formulas.getInsuranceRate(state.ages.person1);
-    }
+    let loanStack = null;
+    // Capital outstanding at the first amortizing month (premium base in 'crd' mode)
+    let insuredCapital;
 
-    if (gigogne.enabled) {
-      // Calculate optimal secondary amount
-      const optimalSecondary = MortgageSimulator.Formulas.calcOptimalSecondaryAmount(
+    if (loanLayers.length > 0) {
+      // Split the loan: the layers keep their amounts unless smoothing cannot absorb them
+      loanStack = MortgageSimulator.Formulas.fitLoanStack(
         requiredLoanResult.loan,
-        currentRate,
-        state.duration,
-        gigogne.rate,
-        gigogne.duration,
-        gigogne.maxAmount
+        { label: 'Prêt principal', rate: currentRate, duration: state.duration, deferral: state.deferral },
+        loanLayers
       );
       
-      MortgageSimulator.setGigogneOptimalAmount(optimalSecondary);
-      
-      // Get actual amount (limited by maxAmount, handled in setter)
-      const actualGigogne = MortgageSimulator.getGigogne().actualAmount;
-      const primaryAmount = requiredLoanResult.loan - actualGigogne;
-      
-      // Calculate smooth mensuality
-      monthlyPayment = MortgageSimulator.Formulas.calcSmoothMensuality(
-        primaryAmount,
-        currentRate,
-        state.duration,
-        actualGigogne,
-        gigogne.rate,
-        gigogne.duration
-      );
+      if (gigogne.enabled) {
+        const gigogneLayer = loanStack.layers.find(layer => layer.id === 'gigogne');
+        const gigogneAmount = gigogneLayer ? gigogneLayer.amount : 0;
+        MortgageSimulator.setGigogneOptimalAmount(gigogneAmount);
+        if (UI.updateGigogneInfo) {
+          UI.updateGigogneInfo(gigogneAmount, gigogneAmount);
+        }
+      }
       
+      // Smoothed installment (amortization phase of the main loan when deferred)
+      monthlyPayment = MortgageSimulator.Formulas.calcStackSmoothPayment(loanStack.main, loanStack.layers);
       MortgageSimulator.setMonthlyPayment(monthlyPayment);
       
-      // Calculate insurance (on total initial capital)
-      monthlyInsurance = MortgageSimulator.Formulas.calcMonthlyInsurance(
+      // Calculate insurance (first amortizing month)
+      insuredCapital = MortgageSimulator.Formulas.calcStackAmortizingCapital(loanStack);
+      monthlyInsurance = MortgageSimulator.Formulas.calcInsurancePremium(
+        insurance,
         requiredLoanResult.loan,
-        insuranceRate
+        insuredCapital
       );
       MortgageSimulator.setMonthlyInsurance(monthlyInsurance);
       
       monthlyPaymentWithInsurance = monthlyPayment + monthlyInsurance;
       MortgageSimulator.setMonthlyPaymentWithInsurance(monthlyPaymentWithInsurance);
       
-      // Generate gigogne amortization table
-      amortizationTable = MortgageSimulator.Formulas.generateGigogneAmortizationTable({
-        p1: primaryAmount,
-        r1: currentRate,
-        n1: state.duration,
-        p2: actualGigogne,
-        r2: gigogne.rate,
-        n2: gigogne.duration,
-        insuranceRate: insuranceRate
-      });
+      // Generate the stack amortization table (one column group per loan)
+      amortizationTable = MortgageSimulator.Formulas.generateLoanStackTable({ ...loanStack, insurance: insurance });
       MortgageSimulator.setAmortizationTable(amortizationTable);
       
       // Calculate total cost
       totalCost = amortizationTable[amortizationTable.length - 1].totalPaid;
       MortgageSimulator.setTotalCost(totalCost);
-      
-      // Calculate TAEG
-      taeg = MortgageSimulator.Formulas.calcTAEG(
-        requiredLoanResult.loan,
-        monthlyPaymentWithInsurance,
-        state.duration,
-        currentRate,
-        insuranceRate
-      );
-      MortgageSimulator.setTaeg(taeg);
-      
-      // Update UI for gigogne specific fields
-      if (UI.updateGigogneInfo) {
-        UI.updateGigogneInfo(optimalSecondary, actualGigogne);
-      }
 
     } else {
       // STANDARD LOGIC
       
-      // 6. Calculate monthly payment for required loan
-      monthlyPayment = MortgageSimulator.Formulas.calcMonthlyPayment(
+      // 6. Calculate monthly payment for required loan (amortization phase when deferred)
+      monthlyPayment = MortgageSimulator.Formulas.calcDeferredMonthlyPayment(
         requiredLoanResult.loan,
         currentRate,
-        state.duration
+        state.duration,
+        state.deferral
       );
       MortgageSimulator.setMonthlyPayment(monthlyPayment);
       
-      // 7. Calculate insurance
-      monthlyInsurance = MortgageSimulator.Formulas.calcMonthlyInsurance(
+      // 7. Calculate insurance (first amortizing month)
+      insuredCapital = MortgageSimulator.Formulas.calcDeferredCapital(requiredLoanResult.loan, currentRate, state.deferral);
+      monthlyInsurance = MortgageSimulator.Formulas.calcInsurancePremium(
+        insurance,
         requiredLoanResult.loan,
-        insuranceRate
+        insuredCapital
       );
       MortgageSimulator.setMonthlyInsurance(monthlyInsurance);
       monthlyPaymentWithInsurance = monthlyPayment + monthlyInsurance;
       MortgageSimulator.setMonthlyPaymentWithInsurance(monthlyPaymentWithInsurance);
       
-      // 8. Calculate total cost and TAEG
-      totalCost = (monthlyPayment + monthlyInsurance) * state.duration * 12;
-      MortgageSimulator.setTotalCost(totalCost);
+      // 8. Generate amortization table
+      amortizationTable = buildMainTable(insurance);
+      MortgageSimulator.setAmortizationTable(amortizationTable);
       
-      // Use optimized TAEG calculation with optimization-js
-      taeg = MortgageSimulator.Formulas.calcTAEG(
-        requiredLoanResult.loan,
-        monthlyPaymentWithInsurance, // Total monthly payment including insurance
-        state.duration,
-        currentRate, // Nominal rate
-        insuranceRate // Insurance rate
+      // 9. Calculate total cost (from the table, insurance may decline in 'crd' mode)
+      totalCost = amortizationTable.length > 0 ? amortizationTable[amortizationTable.length - 1].totalPaid : 0;
+      MortgageSimulator.setTotalCost(totalCost);
+    }
+    // LOAN STACK LOGIC END
+    
+    // VEFA: calls for funds with intercalary interest, the schedule above starts at delivery
+    const vefaLoans = loanStack
+      ? [loanStack.main, ...loanStack.layers].map(layer => ({
+        label: layer.label,
+        amount: layer.amount,
+        rate: layer.rate,
+        atDelivery: layer.atDelivery
+      }))
+      : [{ amount: requiredLoanResult.loan, rate: currentRate }];
+    const buildConstructionPhase = (tableInsurance) =>
+      MortgageSimulator.Formulas.generateVefaConstructionTable(vefaLoans, tableInsurance, state.vefa.calls);
+    const withConstructionPhase = (table, tableInsurance) => vefaActive
+      ? MortgageSimulator.Formulas.prependPhaseRows(buildConstructionPhase(tableInsurance).rows, table)
+      : table;
+    
+    let vefaSummary = null;
+    if (vefaActive && amortizationTable.length > 0) {
+      const construction = buildConstructionPhase(insurance);
+      amortizationTable = MortgageSimulator.Formulas.prependPhaseRows(construction.rows, amortizationTable);
+      MortgageSimulator.setAmortizationTable(amortizationTable);
+      totalCost = amortizationTable[amortizationTable.length - 1].totalPaid;
+      MortgageSimulator.setTotalCost(totalCost);
+      vefaSummary = {
+        deliveryMonth: construction.deliveryMonth,
+        intercalaryInterest: construction.intercalaryInterest,
+        intercalaryInsurance: construction.intercalaryInsurance
+      };
+    }
+    
+    // FMG refund: received with the last installment, it lowers the net cost of the caution
+    const guaranteeRefund = MortgageSimulator.Formulas.calcGuaranteeRefund(
+      requiredLoanResult.loan,
+      state.guaranteeType,
+      state.fmgRefundRate
+    );
+    if (guaranteeRefund > 0 && amortizationTable.length > 0) {
+      amortizationTable = MortgageSimulator.Formulas.applyGuaranteeRefund(amortizationTable, guaranteeRefund);
+      MortgageSimulator.setAmortizationTable(amortizationTable);
+      totalCost -= guaranteeRefund;
+      MortgageSimulator.setTotalCost(totalCost);
+    }
+    
+    // Rebuild the current schedule with another insurance descriptor (comparison, usury solver)
+    const buildTable = (tableInsurance) => MortgageSimulator.Formulas.applyGuaranteeRefund(
+      withConstructionPhase(
+        loanStack
+          ? MortgageSimulator.Formulas.generateLoanStackTable({ ...loanStack, insurance: tableInsurance })
+          : buildMainTable(tableInsurance),
+        tableInsurance
+      ),
+      guaranteeRefund
+    );
+    
+    // Regulatory schedule: a variable or capped rate is assumed to keep its initial rate for the whole term,
+    // the index scenario only changes the projected costs shown in the comparison
+    const buildRegulatoryTable = (tableInsurance) => variableRate
+      ? MortgageSimulator.Formulas.applyGuaranteeRefund(
+        withConstructionPhase(
+          MortgageSimulator.Formulas.generateAmortizationTable(
+            requiredLoanResult.loan,
+            currentRate,
+            state.duration,
+            tableInsurance,
+            state.deferral
+          ),
+          tableInsurance
+        ),
+        guaranteeRefund
+      )
+      : buildTable(tableInsurance);
+    const regulatoryTable = variableRate ? buildRegulatoryTable(insurance) : amortizationTable;
+    
+    // TAEG: actuarial rate of the real cash flows (net amount after fees vs every monthly outflow)
+    const taegFees = state.fraisDossier + (requiredLoanResult.caution || 0) + requiredLoanResult.oneOffCosts.inTaeg;
+    taeg = MortgageSimulator.Formulas.calcTAEG(
+      MortgageSimulator.Formulas.buildTAEGCashFlows(requiredLoanResult.loan, taegFees, regulatoryTable)
+    );
+    MortgageSimulator.setTaeg(taeg);
+    
+    // Usury check: TAEG against the Banque de France ceiling, with the remaining headroom
+    let usuryCheck = MortgageSimulator.Formulas.checkUsury(taeg, variableRate ? 'variable' : 'fixed', state.duration);
+    if (usuryCheck && requiredLoanResult.loan > 0) {
+      // Highest combined insurance rate (fixed premiums kept) that stays under the ceiling
+      const maxInsuranceRate = MortgageSimulator.Formulas.solveUsuryLimit(
+        (rate) => MortgageSimulator.Formulas.calcTAEG(MortgageSimulator.Formulas.buildTAEGCashFlows(
+          requiredLoanResult.loan,
+          taegFees,
+          buildRegulatoryTable({ ...insurance, rate: rate })
+        )),
+        usuryCheck.ceiling,
+        0,
+        0.05
       );
-      MortgageSimulator.setTaeg(taeg);
-      
-      // 9. Generate amortization table
-      amortizationTable = MortgageSimulator.Formulas.generateAmortizationTable(
+      // Highest upfront fees (dossier + guarantee + brokerage) on the regulatory schedule
+      const maxFees = MortgageSimulator.Formulas.solveUsuryLimit(
+        (fees) => MortgageSimulator.Formulas.calcTAEG(
+          MortgageSimulator.Formulas.buildTAEGCashFlows(requiredLoanResult.loan, fees, regulatoryTable)
+        ),
+        usuryCheck.ceiling,
+        0,
+        requiredLoanResult.loan * 0.5
+      );
+      usuryCheck = { ...usuryCheck, maxInsuranceRate: maxInsuranceRate, maxFees: maxFees };
+    }
+    MortgageSimulator.setUsuryCheck(usuryCheck);
+    
+    // HCSF rules on the contractual schedule (highest installment, full duration)
+    const hcsfCheck = MortgageSimulator.HCSF.evaluate({
+      monthlyIncome: monthlyIncome,
+      monthlyCharges: monthlyCharges,
+      table: amortizationTable,
+      propertyType: state.propertyType,
+      rentalInvestment: state.investment.enabled,
+      firstTimeBuyer: state.firstTimeBuyer
+    });
+    MortgageSimulator.setHcsfCheck(hcsfCheck);
+    
+    // Bank group contract vs delegated contract, priced on the same schedule
+    let insuranceComparison = null;
+    if (MortgageSimulator.Formulas.hasInsuranceDelegation(state.borrowers)) {
+      const groupTable = buildTable(MortgageSimulator.Formulas.calcCombinedInsurance(
+        state.borrowers,
+        state.insuranceMode,
+        false
+      ));
+      insuranceComparison = {
+        group: MortgageSimulator.Formulas.calcTableTotals(groupTable).insurance,
+        delegated: MortgageSimulator.Formulas.calcTableTotals(amortizationTable).insurance
+      };
+    }
+    
+    // Early repayment: the contractual TAEG and total cost stay on the original schedule
+    let prepaymentResult = null;
+    if (state.prepayment.enabled && !loanStack && !variableRate) {
+      prepaymentResult = MortgageSimulator.Formulas.generatePrepaymentTable(
         requiredLoanResult.loan,
         currentRate,
         state.duration,
-        insuranceRate
+        insurance,
+        state.prepayment,
+        state.deferral
       );
-      MortgageSimulator.setAmortizationTable(amortizationTable);
     }
-    // GIGOGNE LOGIC END
+    if (prepaymentResult && vefaActive) {
+      // Prepayment months count from delivery, the construction phase comes first
+      prepaymentResult = {
+        ...prepaymentResult,
+        table: withConstructionPhase(prepaymentResult.table, insurance),
+        original: amortizationTable
+      };
+    }
+    if (prepaymentResult) {
+      // The FMG comes back when the loan is fully repaid, early or not
+      prepaymentResult = {
+        ...prepaymentResult,
+        table: MortgageSimulator.Formulas.applyGuaranteeRefund(prepaymentResult.table, guaranteeRefund)
+      };
+    }
+    MortgageSimulator.setPrepaymentResult(prepaymentResult);
+    const displayedTable = prepaymentResult ? prepaymentResult.table : amortizationTable;
+    
+    // Rental investment: yields on the purchase, cash flow once the loan is amortizing
+    let investmentResult = null;
+    if (state.investment.enabled) {
+      const yields = MortgageSimulator.Formulas.calcRentalYields(
+        state.investment,
+        state.propertyPrice,
+        (requiredLoanResult.notaryFees || 0) + (requiredLoanResult.caution || 0) + state.fraisDossier +
+          requiredLoanResult.oneOffCosts.total + state.works.amount
+      );
+      investmentResult = {
+        weightedRent: MortgageSimulator.Formulas.calcWeightedRent(state.investment.monthlyRent),
+        grossYield: yields.grossYield,
+        netYield: yields.netYield,
+        monthlyCashFlow: MortgageSimulator.Formulas.calcRentalCashFlow(state.investment, monthlyPayment, monthlyInsurance),
+        cashFlowSeries: MortgageSimulator.Formulas.buildRentalCashFlowSeries(displayedTable, state.investment)
+      };
+    }
+    MortgageSimulator.setInvestmentResult(investmentResult);
     
     // 10. Update UI - Summary
     const debtRatio = monthlyIncome > 0 ? (monthlyPaymentWithInsurance / monthlyIncome) * 100 : 0;
+    const resteAVivreThreshold = MortgageSimulator.Formulas.calcResteAVivreThreshold(state.household);
+    const ownershipCosts = MortgageSimulator.Formulas.calcOwnershipCosts(state.ownership, state.propertyPrice);
+    const firstDeferredRow = amortizationTable.find(row => row.deferred);
+    const ecoPtzLayer = loanStack ? loanStack.layers.find(layer => layer.id === 'ecoPtz') : null;
     UI.renderSummary({
       maxBudget: optimizedMaxPriceResult.price,
       maxPropertyPrice: optimizedMaxPriceResult.price,
@@ -278,32 +598,115 @@ const Events = (() => {
       totalCost: totalCost,
       taeg: taeg,
       debtRatio: debtRatio,
+      resteAVivre: {
+        amount: MortgageSimulator.Formulas.calcResteAVivre(monthlyIncome, monthlyCharges, monthlyPaymentWithInsurance),
+        threshold: resteAVivreThreshold,
+        household: state.household
+      },
       notaryFees: requiredLoanResult.notaryFees || 0,
+      notaryFeesBreakdown: MortgageSimulator.Formulas.calcNotaryFeesBreakdown(state.propertyPrice, state.propertyType, feeOptions),
       cautionFees: requiredLoanResult.caution || 0,
+      guaranteeRefund: guaranteeRefund,
+      guaranteeType: state.guaranteeType,
+      guaranteeComparison: MortgageSimulator.Formulas.compareGuarantees(requiredLoanResult.loan, state.fmgRefundRate),
+      oneOffCosts: requiredLoanResult.oneOffCosts,
+      agencyFees: state.agencyFees,
+      furnitureValue: state.furnitureValue,
+      works: {
+        amount: state.works.amount,
+        ecoPtzAmount: ecoPtzLayer ? ecoPtzLayer.amount : 0,
+        ecoPtzPayment: ecoPtzLayer ? MortgageSimulator.Formulas.calcEcoPtzPayment(ecoPtzLayer.amount, ecoPtzLayer.duration) : 0,
+        ecoPtzMonths: ecoPtzLayer ? ecoPtzLayer.duration * 12 : 0
+      },
       capital: state.capital,
       fraisDossier: state.fraisDossier,
-      // Add gigogne info for summary
-      gigogne: gigogne.enabled ? {
-        primaryAmount: requiredLoanResult.loan - MortgageSimulator.getGigogne().actualAmount,
-        secondaryAmount: MortgageSimulator.getGigogne().actualAmount
-      } : null
+      insuranceComparison: insuranceComparison,
+      usuryCheck: usuryCheck,
+      hcsfCheck: hcsfCheck,
+      capacityMode: state.capacityMode,
+      vefa: vefaSummary,
+      // Deferral rows come after the VEFA construction rows
+      deferral: firstDeferredRow ? {
+        type: state.deferral.type,
+        months: amortizationTable.filter(row => row.deferred).length,
+        payment: firstDeferredRow.payment,
+        insurance: firstDeferredRow.insurance
+      } : null,
+      prepayment: prepaymentResult ? prepaymentResult.summary : null,
+      investment: investmentResult,
+      ownership: {
+        ...ownershipCosts,
+        loan: monthlyPayment,
+        insurance: monthlyInsurance,
+        total: monthlyPaymentWithInsurance + ownershipCosts.total
+      },
+      // Amount of each loan of the stack
+      loanStack: loanStack
+        ? [loanStack.main, ...loanStack.layers].map(layer => ({ label: layer.label, amount: layer.amount }))
+        : null
+    });
+    
+    // Per-borrower income and premium breakdown
+    if (UI.updateBorrowerInfo) {
+      UI.updateBorrowerInfo(MortgageSimulator.Formulas.calcBorrowerBreakdown(
+        state.borrowers,
+        state.revenues,
+        state.charges,
+        requiredLoanResult.loan,
+        state.insuranceMode,
+        insuredCapital
+      ));
+    }
+    
+    // Rent vs buy: net worth of both paths on the contractual schedule
+    // (energy and home insurance are paid by tenants and owners alike)
+    const rentVsBuyResult = MortgageSimulator.Formulas.compareRentVsBuy({
+      propertyPrice: state.propertyPrice,
+      capital: state.capital,
+      table: amortizationTable,
+      ownershipMonthly: ownershipCosts.propertyTax + ownershipCosts.coOwnership + ownershipCosts.maintenance,
+      settings: state.rentVsBuy
     });
+    MortgageSimulator.setRentVsBuyResult(rentVsBuyResult);
+    if (UI.renderRentVsBuy) {
+      UI.renderRentVsBuy(rentVsBuyResult);
+    }
+    
+    // Variable rate: payment and interest ranges of the scenarios against the fixed rate
+    // (revisions are not simulated within a loan stack)
+    const variableRateResult = variableRate
+      ? MortgageSimulator.Formulas.compareVariableRateScenarios(
+        requiredLoanResult.loan,
+        variableRate,
+        state.duration,
+        fixedRate,
+        state.deferral
+      )
+      : null;
+    MortgageSimulator.setVariableRateResult(variableRateResult);
+    if (UI.renderVariableRateResult) {
+      UI.renderVariableRateResult(variableRateResult, state.variableRate.enabled, loanLayers.length > 0);
+    }
     
     // 11. Update table view
     const tableView = MortgageSimulator.getTableView();
-    UI.renderTable(amortizationTable, tableView);
+    UI.renderTable(displayedTable, tableView);
     
     // 12. Update charts (if Charts module is available)
     if (typeof Charts !== 'undefined' && Charts.updateAll) {
-      const totalInterest = totalCost - requiredLoanResult.loan - (monthlyInsurance * state.duration * 12);
-      const totalInsurance = monthlyInsurance * state.duration * 12;
+      const totals = MortgageSimulator.Formulas.calcTableTotals(amortizationTable);
       
       const chartData = {
         principal: requiredLoanResult.loan,
-        interest: totalInterest,
-        insurance: totalInsurance,
-        amortization: amortizationTable,
-        gigogne: gigogne.enabled // Pass gigogne flag
+        interest: totals.interest,
+        insurance: totals.insurance,
+        // Non-loan costs from delivery (after VEFA construction) to the end of the loan
+        ownership: ownershipCosts.total * amortizationTable.filter(row => !row.construction).length,
+        amortization: displayedTable,
+        originalAmortization: prepaymentResult ? amortizationTable : null,
+        rentalCashFlow: investmentResult ? investmentResult.cashFlowSeries : null,
+        rentVsBuy: rentVsBuyResult,
+        variableRate: variableRateResult
       };
       Charts.updateAll(chartData);
     }
@@ -325,25 +728,443 @@ const Events = (() => {
     debouncedRecalculate();
   };
 
-  const handleGigogneMaxAmountChange = (e) => {
-    const amount = parseFloat(e.target.value) || 0;
-    MortgageSimulator.setGigogneMaxAmount(amount);
+  const handleGigogneMaxAmountChange = (e) => {
+    const amount = parseFloat(e.target.value) || 0;
+    MortgageSimulator.setGigogneMaxAmount(amount);
+    debouncedRecalculate();
+  };
+
+  const handleGigogneDurationChange = (e) => {
+    const duration = parseInt(e.target.value);
+    MortgageSimulator.setGigogneDuration(duration);
+    
+    const display = document.getElementById('gigogne-duration-value');
+    if (display) display.textContent = duration;
+    
+    debouncedRecalculate();
+  };
+
+  const handleGigogneRateChange = (e) => {
+    const rate = parseFloat(e.target.value) || 0;
+    MortgageSimulator.setGigogneRate(rate);
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle PTZ inputs (delegated on the PTZ block)
+   * @param {Event} e - Event object
+   */
+  const handlePtzChange = (e) => {
+    const target = e.target;
+    
+    if (target.id === 'ptz-enabled') {
+      MortgageSimulator.setPtz({ enabled: target.checked });
+      if (UI.renderPtzFields) {
+        UI.renderPtzFields(MortgageSimulator.getPtz());
+      }
+    } else if (target.id === 'ptz-zone') {
+      MortgageSimulator.setPtz({ zone: target.value });
+    } else if (target.id === 'ptz-income') {
+      MortgageSimulator.setPtz({ referenceIncome: Math.max(0, parseFloat(target.value) || 0) });
+    } else {
+      return;
+    }
+    
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle Action Logement loan inputs (delegated on the Action Logement block)
+   * @param {Event} e - Event object
+   */
+  const handleActionLogementChange = (e) => {
+    const target = e.target;
+    
+    if (target.id === 'action-logement-enabled') {
+      MortgageSimulator.setActionLogement({ enabled: target.checked });
+      if (UI.renderActionLogementFields) {
+        UI.renderActionLogementFields(MortgageSimulator.getActionLogement());
+      }
+    } else if (target.id === 'action-logement-amount') {
+      MortgageSimulator.setActionLogement({ amount: Math.max(0, parseFloat(target.value) || 0) });
+    } else if (target.id === 'action-logement-duration') {
+      MortgageSimulator.setActionLogement({ duration: Math.max(1, parseInt(target.value) || 1) });
+    } else if (target.id === 'action-logement-staff') {
+      MortgageSimulator.setActionLogement({ companyStaff: Math.max(0, parseInt(target.value) || 0) });
+    } else {
+      return;
+    }
+    
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle épargne logement inputs (delegated on the PEL/CEL block)
+   * @param {Event} e - Event object
+   */
+  const handleSavingsPlanChange = (e) => {
+    const target = e.target;
+    
+    if (target.id === 'savings-plan-enabled') {
+      MortgageSimulator.setSavingsPlan({ enabled: target.checked });
+      if (UI.renderSavingsPlanFields) {
+        UI.renderSavingsPlanFields(MortgageSimulator.getSavingsPlan());
+      }
+    } else if (target.id === 'savings-plan-type') {
+      // Generations differ between PEL and CEL
+      MortgageSimulator.setSavingsPlan({ type: target.value, generation: 'auto' });
+      if (UI.renderSavingsPlanFields) {
+        UI.renderSavingsPlanFields(MortgageSimulator.getSavingsPlan());
+      }
+    } else if (target.id === 'savings-plan-balance') {
+      MortgageSimulator.setSavingsPlan({ balance: Math.max(0, parseFloat(target.value) || 0) });
+    } else if (target.id === 'savings-plan-opening') {
+      if (!target.value) return;
+      MortgageSimulator.setSavingsPlan({ openingDate: target.value });
+    } else if (target.id === 'savings-plan-generation') {
+      MortgageSimulator.setSavingsPlan({ generation: target.value });
+    } else if (target.id === 'savings-plan-duration') {
+      MortgageSimulator.setSavingsPlan({ duration: Math.max(1, parseInt(target.value) || 1) });
+    } else {
+      return;
+    }
+    
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle deferral type/length change
+   * @param {Event} e - Event object
+   */
+  const handleDeferralChange = (e) => {
+    if (e.target.id === 'deferral-type') {
+      MortgageSimulator.setDeferral({ type: e.target.value }); // 'none', 'partial' or 'total'
+    } else {
+      const months = parseInt(e.target.value);
+      if (!months) return;
+      MortgageSimulator.setDeferral({ months: months });
+    }
+    
+    if (UI.renderDeferralFields) {
+      UI.renderDeferralFields(MortgageSimulator.getDeferral());
+    }
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle deferral length blur - validate range
+   * @param {Event} e - Event object
+   */
+  const handleDeferralMonthsBlur = (e) => {
+    const bounds = UIOptions.deferralMonths;
+    const value = parseInt(e.target.value) || bounds.min;
+    const validated = Math.max(bounds.min, Math.min(bounds.max, value));
+    
+    e.target.value = validated;
+    if (validated !== MortgageSimulator.getDeferral().months) {
+      MortgageSimulator.setDeferral({ months: validated });
+      debouncedRecalculate();
+    }
+  };
+
+  // ============================================
+  // EVENT HANDLERS: VEFA CALLS FOR FUNDS
+  // ============================================
+
+  /**
+   * Handle VEFA switch
+   * @param {Event} e - Event object
+   */
+  const handleVefaToggle = (e) => {
+    MortgageSimulator.setVefaEnabled(e.target.checked);
+    if (UI.renderVefaFields) {
+      UI.renderVefaFields(MortgageSimulator.getPropertyType(), e.target.checked);
+    }
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle add call for funds button click
+   * New calls land one month after the current delivery
+   */
+  const handleAddVefaCall = () => {
+    const calls = MortgageSimulator.getVefa().calls;
+    const lastMonth = calls.length > 0 ? calls[calls.length - 1].month : 0;
+    
+    MortgageSimulator.addVefaCall({
+      ...ItemDefaults.vefaCall,
+      month: calls.length > 0 ? lastMonth + 1 : ItemDefaults.vefaCall.month
+    });
+    UI.renderVefaCallRows();
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle call for funds row changes (input, remove button)
+   * @param {Event} e - Event object
+   */
+  const handleVefaCallRowChange = (e) => {
+    const target = e.target;
+    const row = target.closest('[data-row-type="vefa-call"]');
+    if (!row) return;
+
+    const id = parseInt(row.dataset.id);
+    
+    // Handle remove button
+    if (target.dataset.action === 'remove') {
+      if (MortgageSimulator.removeVefaCall(id)) {
+        UI.renderVefaCallRows();
+        debouncedRecalculate();
+      }
+      return;
+    }
+    
+    // Handle field changes
+    const field = target.dataset.field;
+    if (!field) return;
+    
+    const calls = MortgageSimulator.getVefa().calls;
+    const call = calls.find(c => c.id === id);
+    if (!call) return;
+    
+    if (field === 'label') {
+      call.label = target.value;
+    } else if (field === 'percent') {
+      call.percent = Math.min(100, Math.max(0, parseFloat(target.value) || 0));
+    } else if (field === 'month') {
+      call.month = Math.max(0, parseInt(target.value) || 0);
+    }
+    
+    MortgageSimulator.setVefaCalls(calls);
+    
+    // Labels do not change the schedule
+    if (field !== 'label') {
+      debouncedRecalculate();
+    }
+  };
+
+  /**
+   * Handle call for funds month blur - re-render in calendar order
+   * @param {Event} e - Event object
+   */
+  const handleVefaCallRowBlur = (e) => {
+    const target = e.target;
+    const row = target.closest('[data-row-type="vefa-call"]');
+    if (!row || target.dataset.field !== 'month') return;
+    
+    // Re-render only when the calendar order changed (keeps a pending remove click working)
+    const domOrder = Array.from(row.parentElement.children).map(tr => parseInt(tr.dataset.id));
+    const stateOrder = MortgageSimulator.getVefa().calls.map(c => c.id);
+    if (domOrder.join() !== stateOrder.join()) {
+      UI.renderVefaCallRows();
+    }
+  };
+
+  // ============================================
+  // EVENT HANDLERS: EARLY REPAYMENT
+  // ============================================
+
+  /**
+   * Handle early repayment inputs (switch, month, amount, type and mode radios)
+   * @param {Event} e - Event object
+   */
+  const handlePrepaymentChange = (e) => {
+    const target = e.target;
+    
+    if (target.id === 'prepayment-enabled') {
+      MortgageSimulator.setPrepayment({ enabled: target.checked });
+    } else if (target.id === 'prepayment-month') {
+      MortgageSimulator.setPrepayment({ month: Math.max(1, parseInt(target.value) || 1) });
+    } else if (target.id === 'prepayment-amount') {
+      MortgageSimulator.setPrepayment({ amount: Math.max(0, parseFloat(target.value) || 0) });
+    } else if (target.name === 'prepayment-type') {
+      MortgageSimulator.setPrepayment({ type: target.value }); // 'partial' or 'total'
+    } else if (target.name === 'prepayment-mode') {
+      MortgageSimulator.setPrepayment({ mode: target.value }); // 'duration' or 'payment'
+    } else {
+      return;
+    }
+    
+    if (UI.renderPrepaymentFields) {
+      UI.renderPrepaymentFields(MortgageSimulator.getPrepayment());
+    }
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle cost of ownership inputs
+   * @param {Event} e - Event object
+   */
+  const handleOwnershipChange = (e) => {
+    const field = e.target.dataset.field;
+    if (!field) return;
+    
+    MortgageSimulator.setOwnership({ [field]: Math.max(0, parseFloat(e.target.value) || 0) });
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle rent vs buy comparator inputs
+   * @param {Event} e - Event object
+   */
+  const handleRentVsBuyChange = (e) => {
+    const field = e.target.dataset.field;
+    if (!field) return;
+    
+    const value = parseFloat(e.target.value) || 0;
+    // Growth and return rates may be negative, the rent may not
+    MortgageSimulator.setRentVsBuy({ [field]: field === 'rent' ? Math.max(0, value) : value });
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle variable rate inputs (delegated on the variable rate tab)
+   * @param {Event} e - Event object
+   */
+  const handleVariableRateChange = (e) => {
+    const target = e.target;
+    const field = target.dataset.field;
+    if (!field) return;
+    
+    if (field === 'enabled') {
+      MortgageSimulator.setVariableRate({ enabled: target.checked });
+    } else if (field === 'index' || field === 'scenario' || field === 'customPath') {
+      MortgageSimulator.setVariableRate({ [field]: target.value });
+    } else if (field === 'cap' || field === 'reviewMonths') {
+      MortgageSimulator.setVariableRate({ [field]: parseInt(target.value) || 0 });
+    } else {
+      // The index may be negative
+      MortgageSimulator.setVariableRate({ [field]: parseFloat(target.value) || 0 });
+    }
+    
+    if (UI.renderVariableRateFields) {
+      UI.renderVariableRateFields(MortgageSimulator.getVariableRate());
+    }
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle renovation works and éco-PTZ inputs (delegated on the works section)
+   * @param {Event} e - Event object
+   */
+  const handleWorksChange = (e) => {
+    const target = e.target;
+    
+    if (target.id === 'eco-ptz-enabled') {
+      MortgageSimulator.setWorks({ ecoPtzEnabled: target.checked });
+      if (UI.renderWorksFields) {
+        UI.renderWorksFields(MortgageSimulator.getWorks());
+      }
+    } else if (target.dataset.field) {
+      MortgageSimulator.setWorks({ [target.dataset.field]: Math.max(0, parseFloat(target.value) || 0) });
+    } else {
+      return;
+    }
+    
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle rental investment inputs (delegated on the investment section)
+   * @param {Event} e - Event object
+   */
+  const handleInvestmentChange = (e) => {
+    const target = e.target;
+    
+    if (target.id === 'investment-enabled') {
+      MortgageSimulator.setInvestment({ enabled: target.checked });
+      if (UI.renderInvestmentFields) {
+        UI.renderInvestmentFields(MortgageSimulator.getInvestment());
+      }
+    } else if (target.id === 'investment-rent') {
+      MortgageSimulator.setInvestment({ monthlyRent: Math.max(0, parseFloat(target.value) || 0) });
+    } else if (target.id === 'investment-property-tax') {
+      MortgageSimulator.setInvestment({ propertyTax: Math.max(0, parseFloat(target.value) || 0) });
+    } else if (target.id === 'investment-charges') {
+      MortgageSimulator.setInvestment({ charges: Math.max(0, parseFloat(target.value) || 0) });
+    } else {
+      return;
+    }
+    
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle insurance mode change (initial capital vs remaining capital)
+   * @param {Event} e - Event object
+   */
+  const handleInsuranceModeChange = (e) => {
+    if (e.target.name !== 'insurance-mode') return;
+    
+    MortgageSimulator.setInsuranceMode(e.target.value); // 'initial' or 'crd'
     debouncedRecalculate();
   };
 
-  const handleGigogneDurationChange = (e) => {
-    const duration = parseInt(e.target.value);
-    MortgageSimulator.setGigogneDuration(duration);
+  /**
+   * Handle household composition change
+   * @param {Event} e - Event object
+   */
+  const handleHouseholdChange = (e) => {
+    if (e.target.id === 'household-adults') {
+      const adults = parseInt(e.target.value);
+      if (!adults || adults < 1) return;
+      MortgageSimulator.setHousehold({ adults: adults });
+    } else if (e.target.id === 'household-children') {
+      MortgageSimulator.setHousehold({ children: Math.max(0, parseInt(e.target.value) || 0) });
+    } else {
+      return;
+    }
     
-    const display = document.getElementById('gigogne-duration-value');
-    if (display) display.textContent = duration;
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle notary fee inputs: département, first-time buyer, agency fees and furniture
+   * @param {Event} e - Event object
+   */
+  const handleNotaryOptionsChange = (e) => {
+    if (e.target.id === 'department') {
+      MortgageSimulator.setDepartment(e.target.value);
+    } else if (e.target.id === 'first-time-buyer') {
+      MortgageSimulator.setFirstTimeBuyer(e.target.checked);
+    } else if (e.target.id === 'agency-fees') {
+      MortgageSimulator.setAgencyFees(Math.max(0, parseFloat(e.target.value) || 0));
+    } else if (e.target.id === 'furniture-value') {
+      MortgageSimulator.setFurnitureValue(Math.max(0, parseFloat(e.target.value) || 0));
+    } else {
+      return;
+    }
     
     debouncedRecalculate();
   };
 
-  const handleGigogneRateChange = (e) => {
+  /**
+   * Handle loan guarantee change
+   * @param {Event} e - Event object
+   */
+  const handleGuaranteeTypeChange = (e) => {
+    MortgageSimulator.setGuaranteeType(e.target.value); // 'caution', 'hypotheque' or 'ppd'
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle FMG refund rate input change
+   * @param {Event} e - Event object
+   */
+  const handleFmgRefundRateChange = (e) => {
     const rate = parseFloat(e.target.value) || 0;
-    MortgageSimulator.setGigogneRate(rate);
+    MortgageSimulator.setFmgRefundRate(Math.min(100, Math.max(0, rate)));
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle capacity method change (bank legacy vs HCSF strict)
+   * @param {Event} e - Event object
+   */
+  const handleCapacityModeChange = (e) => {
+    if (e.target.name !== 'capacity-mode') return;
+    
+    MortgageSimulator.setCapacityMode(e.target.value); // 'legacy' or 'hcsf'
     debouncedRecalculate();
   };
 
@@ -366,6 +1187,7 @@ const Events = (() => {
    */
   const handleAddRevenue = () => {
     const newRevenue = MortgageSimulator.addRevenue({
+      borrowerId: MortgageSimulator.getBorrowers()[0].id,
       type: ItemDefaults.revenue.type,
       amount: ItemDefaults.revenue.amount,
       frequency: ItemDefaults.revenue.frequency,
@@ -379,6 +1201,7 @@ const Events = (() => {
    */
   const handleAddCharge = () => {
     const newCharge = MortgageSimulator.addCharge({
+      borrowerId: MortgageSimulator.getBorrowers()[0].id,
       type: ItemDefaults.charge.type,
       amount: ItemDefaults.charge.amount,
       frequency: ItemDefaults.charge.frequency,
@@ -417,6 +1240,8 @@ const Events = (() => {
     
     if (field === 'type') {
       revenue.type = target.value;
+    } else if (field === 'borrowerId') {
+      revenue.borrowerId = parseInt(target.value);
     } else if (field === 'amount') {
       revenue.amount = parseFloat(target.value) || 0;
     } else if (field === 'frequency') {
@@ -458,6 +1283,8 @@ const Events = (() => {
     
     if (field === 'type') {
       charge.type = target.value;
+    } else if (field === 'borrowerId') {
+      charge.borrowerId = parseInt(target.value);
     } else if (field === 'amount') {
       charge.amount = parseFloat(target.value) || 0;
     } else if (field === 'frequency') {
@@ -470,43 +1297,97 @@ const Events = (() => {
   };
 
   // ============================================
-  // EVENT HANDLERS: PERSONAL INFO
+  // EVENT HANDLERS: BORROWERS
   // ============================================
 
   /**
-   * Handle age person 1 input change
+   * Handle add borrower button click
+   */
+  const handleAddBorrower = () => {
+    if (MortgageSimulator.getBorrowers().length >= UIOptions.maxBorrowers) {
+      return;
+    }
+    
+    const newBorrower = MortgageSimulator.addBorrower({ ...ItemDefaults.borrower });
+    UI.addBorrowerRow(newBorrower);
+    
+    // Refresh revenue/charge rows so their borrower selectors list the new borrower
+    UI.renderDynamicRows();
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle borrower row changes (event delegation)
    * @param {Event} e - Event object
    */
-  const handleAgePerson1Change = (e) => {
-    const age = parseInt(e.target.value) || null;
+  const handleBorrowerRowChange = (e) => {
+    const target = e.target;
+    const row = target.closest('[data-row-type="borrower"]');
+    if (!row) return;
+
+    const id = parseInt(row.dataset.id);
     
-    // Update state
-    const ages = MortgageSimulator.getAges();
-    ages.person1 = age;
-    MortgageSimulator.setAges(ages);
+    // Handle remove button
+    if (target.dataset.action === 'remove') {
+      if (MortgageSimulator.removeBorrower(id)) {
+        UI.renderDynamicRows();
+        debouncedRecalculate();
+      }
+      return;
+    }
+    
+    // Handle field changes
+    const field = target.dataset.field;
+    if (!field) return;
+    
+    const borrowers = MortgageSimulator.getBorrowers();
+    const borrower = borrowers.find(b => b.id === id);
+    if (!borrower) return;
+    
+    if (field === 'age') {
+      borrower.age = parseInt(target.value) || null;
+    } else if (field === 'coverage') {
+      borrower.coverage = parseFloat(target.value) || 0;
+    } else if (field === 'customRate') {
+      // Empty input falls back to the age brackets (like the primary rate override)
+      borrower.customRate = target.value === '' ? null : parseFloat(target.value);
+    } else if (field === 'fixedPremium') {
+      borrower.fixedPremium = target.value === '' ? null : parseFloat(target.value);
+    }
     
+    MortgageSimulator.setBorrowers(borrowers);
     debouncedRecalculate();
   };
 
   /**
-   * Handle age person 1 blur - validate age range
+   * Handle borrower field blur - validate age and quotité ranges
    * @param {Event} e - Event object
    */
-  const handleAgePerson1Blur = (e) => {
-    let age = parseInt(e.target.value);
+  const handleBorrowerRowBlur = (e) => {
+    const target = e.target;
+    const row = target.closest('[data-row-type="borrower"]');
+    const field = target.dataset.field;
+    if (!row || (field !== 'age' && field !== 'coverage')) return;
+
+    const id = parseInt(row.dataset.id);
+    let value = parseFloat(target.value);
+    if (!value) return;
     
     // Validate range only on blur
-    if (age && (age < 18 || age > 75)) {
-      age = Math.max(18, Math.min(75, age));
-      e.target.value = age;
-      
-      // Update state with validated age
-      const ages = MortgageSimulator.getAges();
-      ages.person1 = age;
-      MortgageSimulator.setAges(ages);
-      
-      debouncedRecalculate();
-    }
+    const bounds = field === 'age' ? [18, 75] : [0, 100];
+    if (value >= bounds[0] && value <= bounds[1]) return;
+    
+    value = Math.max(bounds[0], Math.min(bounds[1], value));
+    target.value = value;
+    
+    // Update state with validated value
+    const borrowers = MortgageSimulator.getBorrowers();
+    const borrower = borrowers.find(b => b.id === id);
+    if (!borrower) return;
+    borrower[field] = value;
+    MortgageSimulator.setBorrowers(borrowers);
+    
+    debouncedRecalculate();
   };
 
   // ============================================
@@ -533,6 +1414,104 @@ const Events = (() => {
     debouncedRecalculate();
   };
 
+  /**
+   * Handle add one-off cost button click
+   */
+  const handleAddOneOffCost = () => {
+    MortgageSimulator.addOneOffCost({ ...ItemDefaults.oneOffCost });
+    UI.renderOneOffCostRows();
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle one-off cost row changes (event delegation)
+   * @param {Event} e - Event object
+   */
+  const handleOneOffCostRowChange = (e) => {
+    const target = e.target;
+    const row = target.closest('[data-row-type="one-off-cost"]');
+    if (!row) return;
+
+    const id = parseInt(row.dataset.id);
+    
+    // Handle remove button
+    if (target.dataset.action === 'remove') {
+      MortgageSimulator.removeOneOffCost(id);
+      UI.renderOneOffCostRows();
+      debouncedRecalculate();
+      return;
+    }
+    
+    // Handle field changes
+    const field = target.dataset.field;
+    if (!field) return;
+    
+    const costs = MortgageSimulator.getOneOffCosts();
+    const cost = costs.find(c => c.id === id);
+    if (!cost) return;
+    
+    if (field === 'label') {
+      cost.label = target.value;
+    } else if (field === 'amount') {
+      cost.amount = Math.max(0, parseFloat(target.value) || 0);
+    } else if (field === 'financed' || field === 'inTaeg') {
+      cost[field] = target.checked;
+    }
+    
+    MortgageSimulator.setOneOffCosts(costs);
+    
+    // Labels do not change the financing plan
+    if (field !== 'label') {
+      debouncedRecalculate();
+    }
+  };
+
+  /**
+   * Handle add loan layer button click
+   */
+  const handleAddLoanLayer = () => {
+    MortgageSimulator.addLoanLayer({ ...ItemDefaults.loanLayer });
+    UI.renderLoanLayerRows();
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle loan layer row changes (event delegation)
+   * @param {Event} e - Event object
+   */
+  const handleLoanLayerRowChange = (e) => {
+    const target = e.target;
+    const row = target.closest('[data-row-type="loan-layer"]');
+    if (!row) return;
+
+    const id = parseInt(row.dataset.id);
+    
+    // Handle remove button
+    if (target.dataset.action === 'remove') {
+      MortgageSimulator.removeLoanLayer(id);
+      UI.renderLoanLayerRows();
+      debouncedRecalculate();
+      return;
+    }
+    
+    // Handle field changes
+    const field = target.dataset.field;
+    if (!field) return;
+    
+    const layers = MortgageSimulator.getLoanLayers();
+    const layer = layers.find(l => l.id === id);
+    if (!layer) return;
+    
+    if (field === 'label' || field === 'deferralType') {
+      layer[field] = target.value;
+    } else {
+      layer[field] = Math.max(0, parseFloat(target.value) || 0);
+    }
+    
+    MortgageSimulator.setLoanLayers(layers);
+    debouncedRecalculate();
+  };
+
   // ============================================
   // EVENT HANDLERS: LOAN PARAMETERS
   // ============================================
@@ -555,19 +1534,123 @@ const Events = (() => {
   };
 
   /**
-   * Handle rate input changes
+   * Keep the duration slider within the rate grid and clamp the current duration
+   */
+  const syncDurationRange = () => {
+    const durations = MortgageSimulator.getRates()
+      .map(r => r.duration)
+      .filter(d => d > 0);
+    if (durations.length === 0) return;
+    
+    const min = Math.min(...durations);
+    const max = Math.max(...durations);
+    UI.updateDurationRange(min, max);
+    
+    const duration = MortgageSimulator.getDuration();
+    const clamped = Math.max(min, Math.min(max, duration));
+    if (clamped !== duration) {
+      MortgageSimulator.setDuration(clamped);
+      const slider = document.getElementById('loan-duration');
+      if (slider) {
+        slider.value = clamped;
+      }
+      const display = document.getElementById('duration-value');
+      if (display) {
+        display.textContent = clamped;
+      }
+    }
+  };
+
+  /**
+   * Handle add rate grid row button click
+   * Suggests the first usual bank duration not yet in the grid
+   */
+  const handleAddRate = () => {
+    const rates = MortgageSimulator.getRates();
+    const used = rates.map(r => r.duration);
+    const duration = UIOptions.rateDurations.find(d => !used.includes(d))
+      || Math.min(Math.max(...used) + 1, UIOptions.rateDurationBounds.max);
+    
+    MortgageSimulator.addRate({
+      duration: duration,
+      rate: MortgageSimulator.Formulas.interpolateRate(duration, rates) || ItemDefaults.rate.rate
+    });
+    UI.renderRateRows();
+    syncDurationRange();
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle rate grid row changes (input, remove button)
    * @param {Event} e - Event object
    */
-  const handleRateChange = (e) => {
-    const input = e.target;
-    const duration = input.id.replace('rate-', ''); // Extract duration (15, 20, 25)
-    const rate = parseFloat(input.value) || 0;
+  const handleRateRowChange = (e) => {
+    const target = e.target;
+    const row = target.closest('[data-row-type="rate"]');
+    if (!row) return;
+
+    const id = parseInt(row.dataset.id);
+    
+    // Handle remove button
+    if (target.dataset.action === 'remove') {
+      if (MortgageSimulator.removeRate(id)) {
+        UI.renderRateRows();
+        syncDurationRange();
+        debouncedRecalculate();
+      }
+      return;
+    }
+    
+    // Handle field changes
+    const field = target.dataset.field;
+    if (!field) return;
     
-    // Update rates in state
     const rates = MortgageSimulator.getRates();
-    rates[duration] = rate;
+    const rate = rates.find(r => r.id === id);
+    if (!rate) return;
+    
+    if (field === 'duration') {
+      rate.duration = parseInt(target.value) || null;
+    } else if (field === 'rate') {
+      rate.rate = parseFloat(target.value) || 0;
+    }
+    
     MortgageSimulator.setRates(rates);
+    debouncedRecalculate();
+  };
+
+  /**
+   * Handle rate grid duration blur - validate range, re-sort the grid
+   * @param {Event} e - Event object
+   */
+  const handleRateRowBlur = (e) => {
+    const target = e.target;
+    const row = target.closest('[data-row-type="rate"]');
+    if (!row || target.dataset.field !== 'duration') return;
+
+    const id = parseInt(row.dataset.id);
+    const bounds = UIOptions.rateDurationBounds;
+    const value = parseInt(target.value);
+    
+    // Validate range only on blur
+    const validated = Math.max(bounds.min, Math.min(bounds.max, value || bounds.min));
+    const rates = MortgageSimulator.getRates();
+    const rate = rates.find(r => r.id === id);
+    if (rate) {
+      rate.duration = validated;
+      MortgageSimulator.setRates(rates);
+    }
+    
+    // Re-render only when the grid order changed (keeps a pending remove click working)
+    const domOrder = Array.from(row.parentElement.children).map(tr => parseInt(tr.dataset.id));
+    const stateOrder = MortgageSimulator.getRates().map(r => r.id);
+    if (domOrder.join() !== stateOrder.join()) {
+      UI.renderRateRows();
+    } else if (validated !== value) {
+      target.value = validated;
+    }
     
+    syncDurationRange();
     debouncedRecalculate();
   };
 
@@ -584,6 +1667,9 @@ const Events = (() => {
     
     const propertyType = e.target.value; // 'old' or 'new'
     MortgageSimulator.setPropertyType(propertyType);
+    if (UI.renderVefaFields) {
+      UI.renderVefaFields(propertyType, MortgageSimulator.getVefa().enabled);
+    }
     debouncedRecalculate();
   };
 
@@ -657,12 +1743,36 @@ const Events = (() => {
   // EVENT HANDLERS: TABLE CONTROLS
   // ============================================
 
+  /**
+   * Schedule shown in the table and exports (with the early repayment when simulated)
+   * @returns {Array} Amortization table
+   */
+  const getDisplayedTable = () => {
+    const computed = MortgageSimulator.getComputed();
+    return computed.prepaymentResult ? computed.prepaymentResult.table : computed.amortizationTable;
+  };
+
   /**
    * Handle export CSV button click
    */
   const handleExportCSV = () => {
-    const amortizationTable = MortgageSimulator.getComputed().amortizationTable;
-    UI.exportCSV(amortizationTable);
+    UI.exportCSV(getDisplayedTable());
+  };
+
+  /**
+   * Handle notary fees export button click
+   */
+  const handleExportNotaryFees = () => {
+    UI.exportNotaryFeesCSV(MortgageSimulator.Formulas.calcNotaryFeesBreakdown(
+      MortgageSimulator.getPropertyPrice(),
+      MortgageSimulator.getPropertyType(),
+      {
+        department: MortgageSimulator.getDepartment(),
+        firstTimeBuyer: MortgageSimulator.getFirstTimeBuyer(),
+        agencyFees: MortgageSimulator.getAgencyFees(),
+        furnitureValue: MortgageSimulator.getFurnitureValue()
+      }
+    ));
   };
 
   /**
@@ -679,8 +1789,7 @@ const Events = (() => {
     UI.switchTableView(newView);
     
     // Re-render table
-    const amortizationTable = MortgageSimulator.getComputed().amortizationTable;
-    UI.renderTable(amortizationTable, newView);
+    UI.renderTable(getDisplayedTable(), newView);
   };
 
   // ============================================
@@ -692,6 +1801,31 @@ const Events = (() => {
    * Called once on application initialization
    */
   const bindEvents = () => {
+    // Insurance mode (radio buttons)
+    const insuranceModeToggle = document.getElementById('insurance-mode-toggle');
+    if (insuranceModeToggle) {
+      insuranceModeToggle.addEventListener('change', handleInsuranceModeChange);
+    }
+
+    // Département and first-time buyer (notary fees)
+    const notaryOptionsInputs = document.getElementById('notary-options');
+    if (notaryOptionsInputs) {
+      notaryOptionsInputs.addEventListener('change', handleNotaryOptionsChange);
+      notaryOptionsInputs.addEventListener('input', handleNotaryOptionsChange);
+    }
+
+    // Household composition
+    const householdInputs = document.getElementById('household-inputs');
+    if (householdInputs) {
+      householdInputs.addEventListener('input', handleHouseholdChange);
+    }
+
+    // Capacity method (radio buttons)
+    const capacityModeToggle = document.getElementById('capacity-mode-toggle');
+    if (capacityModeToggle) {
+      capacityModeToggle.addEventListener('change', handleCapacityModeChange);
+    }
+
     // Revenue/Charge add buttons
     const addRevenueBtn = document.getElementById('add-revenue-btn');
     if (addRevenueBtn) {
@@ -718,11 +1852,18 @@ const Events = (() => {
       chargeRows.addEventListener('input', handleChargeRowChange);
     }
 
-    // Personal info
-    const agePerson1 = document.getElementById('age-person1');
-    if (agePerson1) {
-      agePerson1.addEventListener('input', handleAgePerson1Change);
-      agePerson1.addEventListener('blur', handleAgePerson1Blur);
+    // Borrowers
+    const addBorrowerBtn = document.getElementById('add-borrower-btn');
+    if (addBorrowerBtn) {
+      addBorrowerBtn.addEventListener('click', handleAddBorrower);
+    }
+
+    const borrowerRows = document.getElementById('borrower-rows');
+    if (borrowerRows) {
+      borrowerRows.addEventListener('click', handleBorrowerRowChange);
+      borrowerRows.addEventListener('input', handleBorrowerRowChange);
+      // blur does not bubble, focusout does
+      borrowerRows.addEventListener('focusout', handleBorrowerRowBlur);
     }
 
     // Capital & Fees
@@ -731,30 +1872,75 @@ const Events = (() => {
       availableCapital.addEventListener('input', handleCapitalChange);
     }
 
+    const guaranteeType = document.getElementById('guarantee-type');
+    if (guaranteeType) {
+      guaranteeType.addEventListener('change', handleGuaranteeTypeChange);
+    }
+
+    const fmgRefundRate = document.getElementById('fmg-refund-rate');
+    if (fmgRefundRate) {
+      fmgRefundRate.addEventListener('input', handleFmgRefundRateChange);
+    }
+
     const fraisDossier = document.getElementById('frais-dossier');
     if (fraisDossier) {
       fraisDossier.addEventListener('input', handleFraisDossierChange);
     }
 
+    const addOneOffCostBtn = document.getElementById('add-one-off-cost-btn');
+    if (addOneOffCostBtn) {
+      addOneOffCostBtn.addEventListener('click', handleAddOneOffCost);
+    }
+
+    const addLoanLayerBtn = document.getElementById('add-loan-layer-btn');
+    if (addLoanLayerBtn) {
+      addLoanLayerBtn.addEventListener('click', handleAddLoanLayer);
+    }
+
+    const loanLayerRows = document.getElementById('loan-layer-rows');
+    if (loanLayerRows) {
+      loanLayerRows.addEventListener('click', handleLoanLayerRowChange);
+      loanLayerRows.addEventListener('input', handleLoanLayerRowChange);
+      loanLayerRows.addEventListener('change', handleLoanLayerRowChange);
+    }
+
+    const oneOffCostRows = document.getElementById('one-off-cost-rows');
+    if (oneOffCostRows) {
+      oneOffCostRows.addEventListener('click', handleOneOffCostRowChange);
+      oneOffCostRows.addEventListener('input', handleOneOffCostRowChange);
+      oneOffCostRows.addEventListener('change', handleOneOffCostRowChange);
+    }
+
     // Loan parameters
     const loanDuration = document.getElementById('loan-duration');
     if (loanDuration) {
       loanDuration.addEventListener('input', handleDurationChange);
     }
 
-    const rate15 = document.getElementById('rate-15');
-    if (rate15) {
-      rate15.addEventListener('input', handleRateChange);
+    // Deferral
+    const deferralType = document.getElementById('deferral-type');
+    if (deferralType) {
+      deferralType.addEventListener('change', handleDeferralChange);
+    }
+
+    const deferralMonths = document.getElementById('deferral-months');
+    if (deferralMonths) {
+      deferralMonths.addEventListener('input', handleDeferralChange);
+      deferralMonths.addEventListener('blur', handleDeferralMonthsBlur);
     }
 
-    const rate20 = document.getElementById('rate-20');
-    if (rate20) {
-      rate20.addEventListener('input', handleRateChange);
+    // Bank rate grid
+    const addRateBtn = document.getElementById('add-rate-btn');
+    if (addRateBtn) {
+      addRateBtn.addEventListener('click', handleAddRate);
     }
 
-    const rate25 = document.getElementById('rate-25');
-    if (rate25) {
-      rate25.addEventListener('input', handleRateChange);
+    const rateRows = document.getElementById('rate-rows');
+    if (rateRows) {
+      rateRows.addEventListener('click', handleRateRowChange);
+      rateRows.addEventListener('input', handleRateRowChange);
+      // blur does not bubble, focusout does
+      rateRows.addEventListener('focusout', handleRateRowBlur);
     }
 
     // Property type (radio buttons)
@@ -768,6 +1954,25 @@ const Events = (() => {
       propertyNew.addEventListener('change', handlePropertyTypeChange);
     }
 
+    // VEFA calls for funds
+    const vefaEnabled = document.getElementById('vefa-enabled');
+    if (vefaEnabled) {
+      vefaEnabled.addEventListener('change', handleVefaToggle);
+    }
+
+    const addVefaCallBtn = document.getElementById('add-vefa-call-btn');
+    if (addVefaCallBtn) {
+      addVefaCallBtn.addEventListener('click', handleAddVefaCall);
+    }
+
+    const vefaCallRows = document.getElementById('vefa-call-rows');
+    if (vefaCallRows) {
+      vefaCallRows.addEventListener('click', handleVefaCallRowChange);
+      vefaCallRows.addEventListener('input', handleVefaCallRowChange);
+      // blur does not bubble, focusout does
+      vefaCallRows.addEventListener('focusout', handleVefaCallRowBlur);
+    }
+
     // Property price
     const propertyPriceSlider = document.getElementById('property-price-slider');
     if (propertyPriceSlider) {
@@ -786,6 +1991,11 @@ const Events = (() => {
     });
 
     // Table controls
+    const notaryFeesExportBtn = document.getElementById('notary-fees-export-btn');
+    if (notaryFeesExportBtn) {
+      notaryFeesExportBtn.addEventListener('click', handleExportNotaryFees);
+    }
+
     const exportCsvBtn = document.getElementById('export-csv-btn');
     if (exportCsvBtn) {
       exportCsvBtn.addEventListener('click', handleExportCSV);
@@ -822,6 +2032,69 @@ const Events = (() => {
       primaryRate.addEventListener('input', handlePrimaryRateChange);
     }
 
+    // Early repayment (switch, inputs and radios share one delegated handler)
+    const prepaymentEnabled = document.getElementById('prepayment-enabled');
+    if (prepaymentEnabled) {
+      const prepaymentSection = prepaymentEnabled.closest('section');
+      prepaymentSection.addEventListener('change', handlePrepaymentChange);
+      prepaymentSection.addEventListener('input', handlePrepaymentChange);
+    }
+
+    // Cost of ownership
+    const ownershipInputs = document.getElementById('ownership-inputs');
+    if (ownershipInputs) {
+      ownershipInputs.addEventListener('input', handleOwnershipChange);
+    }
+
+    // Rent vs buy comparator
+    const rentVsBuyInputs = document.getElementById('rent-vs-buy-inputs');
+    if (rentVsBuyInputs) {
+      rentVsBuyInputs.addEventListener('input', handleRentVsBuyChange);
+    }
+
+    const variableRateInputs = document.getElementById('variable-rate-inputs');
+    if (variableRateInputs) {
+      variableRateInputs.addEventListener('change', handleVariableRateChange);
+      variableRateInputs.addEventListener('input', handleVariableRateChange);
+    }
+
+    // Renovation works and éco-PTZ
+    const worksSection = document.getElementById('works-section');
+    if (worksSection) {
+      worksSection.addEventListener('change', handleWorksChange);
+      worksSection.addEventListener('input', handleWorksChange);
+    }
+
+    // PTZ
+    const ptzSection = document.getElementById('ptz-section');
+    if (ptzSection) {
+      ptzSection.addEventListener('change', handlePtzChange);
+      ptzSection.addEventListener('input', handlePtzChange);
+    }
+
+    const actionLogementSection = document.getElementById('action-logement-section');
+    if (actionLogementSection) {
+      actionLogementSection.addEventListener('change', handleActionLogementChange);
+      actionLogementSection.addEventListener('input', handleActionLogementChange);
+    }
+
+    const savingsPlanSection = document.getElementById('savings-plan-section');
+    if (savingsPlanSection) {
+      savingsPlanSection.addEventListener('change', handleSavingsPlanChange);
+      savingsPlanSection.addEventListener('input', handleSavingsPlanChange);
+    }
+
+    // Rental investment
+    const investmentEnabled = document.getElementById('investment-enabled');
+    if (investmentEnabled) {
+      const investmentSection = investmentEnabled.closest('section');
+      investmentSection.addEventListener('change', handleInvestmentChange);
+      investmentSection.addEventListener('input', handleInvestmentChange);
+    }
+
+    // Duration slider bounds follow the rate grid
+    syncDurationRange();
+
     // Initial calculation on load
     recalculate();
   };
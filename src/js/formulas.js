@@ -5,7 +5,7 @@
  */
 
 // Use global Config object (set by config.js)
-var { FormulaConstants } = window.Config || {};
+var { FormulaConstants, ResteAVivreThresholds, DmtoRates, UsuryRates, ActionLogementRules, VariableRateRules } = window.Config || {};
 
 // Extend the MortgageSimulator namespace
 MortgageSimulator.Formulas = (() => {
@@ -17,6 +17,7 @@ MortgageSimulator.Formulas = (() => {
   /**
    * Calculate total monthly income from revenues
    * Converts yearly revenues to monthly (divided by 12)
+   * Rental revenues only count for 70% of their amount, as banks do
    * @param {Array} revenues - Array of revenue objects {type, amount, frequency}
    * @returns {number} Total monthly income
    */
@@ -28,7 +29,9 @@ MortgageSimulator.Formulas = (() => {
     return revenues.reduce((total, revenue) => {
       const amount = parseFloat(revenue.amount) || 0;
       const monthlyAmount = revenue.frequency === 'yearly' ? amount / 12 : amount;
-      return total + monthlyAmount;
+      return total + (revenue.type === FormulaConstants.rental.revenueType
+        ? calcWeightedRent(monthlyAmount)
+        : monthlyAmount);
     }, 0);
   };
 
@@ -62,6 +65,156 @@ MortgageSimulator.Formulas = (() => {
     return Math.max(0, maxPayment); // Cannot be negative
   };
 
+  /**
+   * Get the minimum reste à vivre for a household
+   * Adults follow the threshold table, then a flat amount per extra adult and per child
+   * @param {Object} household - Household composition {adults, children}
+   * @returns {number} Minimum monthly residual income
+   */
+  const calcResteAVivreThreshold = (household) => {
+    const table = ResteAVivreThresholds.adults;
+    const adults = Math.max(1, parseInt(household && household.adults) || 1);
+    const children = Math.max(0, parseInt(household && household.children) || 0);
+    
+    const adultsMinimum = adults <= table.length
+      ? table[adults - 1]
+      : table[table.length - 1] + (adults - table.length) * ResteAVivreThresholds.additionalAdult;
+    
+    return adultsMinimum + children * ResteAVivreThresholds.perChild;
+  };
+
+  /**
+   * Calculate reste à vivre (money left each month after charges and loan)
+   * Formula: Income - Charges - Installment
+   * @param {number} income - Total monthly income
+   * @param {number} charges - Total monthly charges
+   * @param {number} installment - Monthly loan installment (insurance included)
+   * @returns {number} Monthly residual income
+   */
+  const calcResteAVivre = (income, charges, installment) => {
+    return income - charges - installment;
+  };
+
+  /**
+   * Calculate maximum monthly payment keeping the household's reste à vivre
+   * Formula: Income - Charges - Threshold
+   * @param {number} income - Total monthly income
+   * @param {number} charges - Total monthly charges
+   * @param {Object} household - Household composition {adults, children}
+   * @returns {number} Maximum monthly loan payment
+   */
+  const calcMaxMonthlyPaymentForResteAVivre = (income, charges, household) => {
+    return Math.max(0, income - charges - calcResteAVivreThreshold(household));
+  };
+
+  // ============================================
+  // 1b. COST OF OWNERSHIP
+  // ============================================
+
+  /**
+   * Calculate monthly costs of owning the property, loan excluded
+   * Yearly amounts are divided by 12; maintenance is a yearly % of the price
+   * @param {Object} ownership - {propertyTax, coOwnership, homeInsurance, energy, maintenanceRate}
+   * @param {number} propertyPrice - Property price
+   * @returns {Object} {propertyTax, coOwnership, homeInsurance, energy, maintenance, total} per month
+   */
+  const calcOwnershipCosts = (ownership, propertyPrice) => {
+    const monthly = (value) => Math.max(0, parseFloat(value) || 0) / 12;
+    const costs = {
+      propertyTax: monthly(ownership.propertyTax),
+      coOwnership: monthly(ownership.coOwnership),
+      homeInsurance: monthly(ownership.homeInsurance),
+      energy: monthly(ownership.energy),
+      maintenance: monthly((propertyPrice || 0) * (parseFloat(ownership.maintenanceRate) || 0) / 100)
+    };
+    
+    costs.total = costs.propertyTax + costs.coOwnership + costs.homeInsurance + costs.energy + costs.maintenance;
+    return costs;
+  };
+
+  // ============================================
+  // 1c. RENTAL INVESTMENT (INVESTISSEMENT LOCATIF)
+  // ============================================
+
+  /**
+   * Share of a rent counted as income by the bank
+   * Formula: Rent × 70%
+   * @param {number} monthlyRent - Monthly rent
+   * @returns {number} Weighted monthly rent
+   */
+  const calcWeightedRent = (monthlyRent) => {
+    return Math.max(0, parseFloat(monthlyRent) || 0) * FormulaConstants.rental.incomeWeight;
+  };
+
+  /**
+   * Owner's yearly costs that the tenant does not pay back
+   * @param {Object} investment - Investment settings {propertyTax, charges} (€/year)
+   * @returns {number} Yearly costs
+   */
+  const calcRentalYearlyCosts = (investment) => {
+    return (parseFloat(investment.propertyTax) || 0) + (parseFloat(investment.charges) || 0);
+  };
+
+  /**
+   * Calculate gross and net rental yields
+   * Gross: yearly rent / price. Net: (yearly rent - yearly costs) / (price + acquisition fees)
+   * @param {Object} investment - Investment settings {monthlyRent, propertyTax, charges}
+   * @param {number} propertyPrice - Property price
+   * @param {number} acquisitionFees - Notary fees and other one-off costs of the purchase
+   * @returns {Object} {grossYield, netYield} as percentages
+   */
+  const calcRentalYields = (investment, propertyPrice, acquisitionFees) => {
+    if (!propertyPrice || propertyPrice <= 0) {
+      return { grossYield: 0, netYield: 0 };
+    }
+    
+    const yearlyRent = (parseFloat(investment.monthlyRent) || 0) * 12;
+    const grossYield = (yearlyRent / propertyPrice) * 100;
+    const netYield = ((yearlyRent - calcRentalYearlyCosts(investment)) / (propertyPrice + (acquisitionFees || 0))) * 100;
+    
+    return { grossYield: grossYield, netYield: netYield };
+  };
+
+  /**
+   * Calculate monthly cash flow of a rented property
+   * Formula: Rent - Payment - Insurance - (Taxe foncière + Charges) / 12
+   * @param {Object} investment - Investment settings {monthlyRent, propertyTax, charges}
+   * @param {number} monthlyPayment - Loan payment (excluding insurance)
+   * @param {number} monthlyInsurance - Insurance premium
+   * @returns {number} Monthly cash flow (negative = monthly effort)
+   */
+  const calcRentalCashFlow = (investment, monthlyPayment, monthlyInsurance) => {
+    return (parseFloat(investment.monthlyRent) || 0)
+      - monthlyPayment
+      - monthlyInsurance
+      - calcRentalYearlyCosts(investment) / 12;
+  };
+
+  /**
+   * Build yearly rental cash flows along an amortization table
+   * No rent nor owner costs during a VEFA construction phase; prepayments count as outflows
+   * @param {Array} table - Amortization table rows
+   * @param {Object} investment - Investment settings {monthlyRent, propertyTax, charges}
+   * @returns {Array} [{year, cashFlow, cumulative}]
+   */
+  const buildRentalCashFlowSeries = (table, investment) => {
+    const byYear = {};
+    
+    (table || []).forEach(row => {
+      const rented = !row.construction;
+      const flow = (rented ? calcRentalCashFlow(investment, row.payment, row.insurance) : -(row.payment + row.insurance))
+        - (row.prepayment || 0)
+        - (row.penalty || 0);
+      byYear[row.year] = (byYear[row.year] || 0) + flow;
+    });
+    
+    let cumulative = 0;
+    return Object.keys(byYear).map(Number).sort((a, b) => a - b).map(year => {
+      cumulative += byYear[year];
+      return { year: year, cashFlow: byYear[year], cumulative: cumulative };
+    });
+  };
+
   // ============================================
   // 2. INSURANCE CALCULATION
   // ============================================
@@ -109,48 +262,178 @@ MortgageSimulator.Formulas = (() => {
     return (borrowedCapital * insuranceRate) / 12;
   };
 
+  /**
+   * Calculate the insurance premium for a given month
+   * 'initial' mode: premium on the initial borrowed capital (constant)
+   * 'crd' mode: premium on the capital remaining at the start of the month (declining)
+   * Fixed premiums (delegated contracts quoted in €/month) are added as-is
+   * @param {Object} insurance - Insurance descriptor {rate, mode, fixedMonthly}
+   * @param {number} initialCapital - Initial loan amount
+   * @param {number} remainingCapital - Capital remaining at the start of the month
+   * @returns {number} Monthly insurance premium
+   */
+  const calcInsurancePremium = (insurance, initialCapital, remainingCapital) => {
+    if (!insurance) {
+      return 0;
+    }
+    
+    const base = insurance.mode === 'crd' ? remainingCapital : initialCapital;
+    return calcMonthlyInsurance(base, insurance.rate) + (insurance.fixedMonthly || 0);
+  };
+
+  /**
+   * Get the insurance terms of one borrower
+   * With delegation, a quoted fixed premium takes precedence over a quoted rate,
+   * which itself overrides the age brackets of the bank group contract
+   * @param {Object} borrower - Borrower {age, coverage, customRate, fixedPremium}
+   * @param {boolean} useDelegation - false to force the bank group contract (age brackets)
+   * @returns {Object} {rate, fixedMonthly} - rate already weighted by the quotité
+   */
+  const getBorrowerInsurance = (borrower, useDelegation = true) => {
+    const fixedPremium = parseFloat(borrower.fixedPremium);
+    if (useDelegation && fixedPremium > 0) {
+      return { rate: 0, fixedMonthly: fixedPremium };
+    }
+    
+    const coverage = (parseFloat(borrower.coverage) || 0) / 100;
+    const hasCustomRate = borrower.customRate !== null && borrower.customRate !== undefined;
+    const rate = useDelegation && hasCustomRate
+      ? borrower.customRate / 100
+      : getInsuranceRate(borrower.age);
+    
+    return { rate: rate * coverage, fixedMonthly: 0 };
+  };
+
+  /**
+   * Check whether any borrower has a delegated insurance quote
+   * @param {Array} borrowers - Array of borrower objects
+   * @returns {boolean} True if at least one custom rate or fixed premium is set
+   */
+  const hasInsuranceDelegation = (borrowers) => {
+    return Array.isArray(borrowers) && borrowers.some(b =>
+      (b.customRate !== null && b.customRate !== undefined) || parseFloat(b.fixedPremium) > 0
+    );
+  };
+
+  /**
+   * Build the combined insurance descriptor of all borrowers
+   * Each borrower contributes their rate weighted by their quotité
+   * Formula: rate = Σ rate_i × coverage_i / 100, fixedMonthly = Σ fixed premiums
+   * e.g. two borrowers covered 100%/100% pay two full premiums
+   * @param {Array} borrowers - Array of borrower objects {age, coverage, customRate, fixedPremium}
+   * @param {string} mode - 'initial' or 'crd'
+   * @param {boolean} useDelegation - false to price the bank group contract only
+   * @returns {Object} Insurance descriptor {rate, mode, fixedMonthly}
+   */
+  const calcCombinedInsurance = (borrowers, mode, useDelegation = true) => {
+    const insurance = { rate: 0, mode: mode, fixedMonthly: 0 };
+    if (!Array.isArray(borrowers)) {
+      return insurance;
+    }
+    
+    borrowers.forEach(borrower => {
+      const terms = getBorrowerInsurance(borrower, useDelegation);
+      insurance.rate += terms.rate;
+      insurance.fixedMonthly += terms.fixedMonthly;
+    });
+    
+    return insurance;
+  };
+
+  /**
+   * Break down income, charges and insurance premium per borrower
+   * Revenues/charges without a borrowerId belong to the first borrower
+   * @param {Array} borrowers - Array of borrower objects {id, age, coverage, customRate, fixedPremium}
+   * @param {Array} revenues - Array of revenue objects {borrowerId, amount, frequency}
+   * @param {Array} charges - Array of charge objects {borrowerId, amount, frequency}
+   * Premiums use the same base as the combined insurance, so they add up to the displayed total
+   * @param {number} loan - Borrowed capital (for the premium)
+   * @param {string} [mode] - Insurance mode: 'initial' (borrowed capital) or 'crd' (remaining capital)
+   * @param {number} [remainingCapital] - Capital outstanding at the first amortizing month ('crd' mode)
+   * @returns {Array} Array of {id, income, charges, insuranceRate, monthlyInsurance}
+   */
+  const calcBorrowerBreakdown = (borrowers, revenues, charges, loan, mode, remainingCapital) => {
+    if (!Array.isArray(borrowers) || borrowers.length === 0) {
+      return [];
+    }
+    
+    const defaultId = borrowers[0].id;
+    const belongsTo = (item, id) => (item.borrowerId || defaultId) === id;
+    
+    return borrowers.map(borrower => {
+      const terms = getBorrowerInsurance(borrower);
+      return {
+        id: borrower.id,
+        income: calcTotalMonthlyIncome((revenues || []).filter(r => belongsTo(r, borrower.id))),
+        charges: calcTotalMonthlyCharges((charges || []).filter(c => belongsTo(c, borrower.id))),
+        insuranceRate: terms.rate,
+        monthlyInsurance: calcInsurancePremium(
+          { rate: terms.rate, mode: mode, fixedMonthly: terms.fixedMonthly },
+          loan,
+          remainingCapital !== undefined ? remainingCapital : loan
+        )
+      };
+    });
+  };
+
   // ============================================
   // 3. INTEREST RATE INTERPOLATION
   // ============================================
 
   /**
-   * Linear interpolation for interest rates between known durations
-   * Formula: rate(D) = rate(D1) + (rate(D2) - rate(D1)) × (D - D1) / (D2 - D1)
-   * @param {number} duration - Duration in years (15-25)
-   * @param {Object} rates - Rates object {15, 20, 25}
+   * Normalize a rate grid to a sorted array of {duration, rate} points
+   * Accepts the legacy {15: 3.09, 20: 3.17, 25: 3.25} object form
+   * @param {Array|Object} rates - Rate grid
+   * @returns {Array} Points sorted by ascending duration (invalid rows dropped)
+   */
+  const normalizeRateGrid = (rates) => {
+    if (!rates) {
+      return [];
+    }
+    
+    const points = Array.isArray(rates)
+      ? rates
+      : Object.keys(rates).map(duration => ({ duration: parseFloat(duration), rate: rates[duration] }));
+    
+    return points
+      .filter(p => p && p.duration > 0 && Number.isFinite(p.rate))
+      .sort((a, b) => a.duration - b.duration);
+  };
+
+  /**
+   * Linear interpolation for interest rates between the neighbouring grid points
+   * Durations outside the grid use the nearest point (no extrapolation)
+   * @param {number} duration - Loan duration in years
+   * @param {Array|Object} rates - Rate grid [{duration, rate}] (legacy object form accepted)
    * @returns {number} Interpolated annual rate
    */
   const interpolateRate = (duration, rates) => {
+    const points = normalizeRateGrid(rates);
+    
     // Validate inputs
-    if (!duration || !rates) {
+    if (!duration || points.length === 0) {
       return 0;
     }
     
-    // If exact match exists, return it
-    if (rates[duration]) {
-      return rates[duration];
+    // Clamp to the grid bounds
+    if (duration <= points[0].duration) {
+      return points[0].rate;
+    }
+    const last = points[points.length - 1];
+    if (duration >= last.duration) {
+      return last.rate;
     }
     
-    // Determine which two points to interpolate between
-    var d1, d2;
-    if (duration < 15) {
-      return rates[15]; // Use minimum rate
-    } else if (duration <= 20) {
-      d1 = 15;
-      d2 = 20;
-    } else if (duration <= 25) {
-      d1 = 20;
-      d2 = 25;
-    } else {
-      return rates[25]; // Use maximum rate
+    // Find the two neighbouring points (exact match returns the point's rate)
+    const upperIndex = points.findIndex(p => p.duration >= duration);
+    const upper = points[upperIndex];
+    const lower = points[upperIndex - 1];
+    if (upper.duration === duration) {
+      return upper.rate;
     }
     
     // Linear interpolation
-    const rate1 = rates[d1];
-    const rate2 = rates[d2];
-    const interpolated = rate1 + (rate2 - rate1) * (duration - d1) / (d2 - d1);
-    
-    return interpolated;
+    return lower.rate + (upper.rate - lower.rate) * (duration - lower.duration) / (upper.duration - lower.duration);
   };
 
   // ============================================
@@ -160,18 +443,21 @@ MortgageSimulator.Formulas = (() => {
   /**
    * Calculate maximum loan using annuity formula solved for Principal
    * Formula: MaxLoan = MonthlyPayment × [(1 - (1 + r)^(-n)) / r]
+   * With a deferral, n is the amortization phase and a total deferral discounts the capitalised interest
    * @param {number} monthlyPayment - Maximum monthly payment (from 35% rule)
    * @param {number} annualRate - Annual interest rate as percentage (e.g., 3.09)
-   * @param {number} durationYears - Loan duration in years
+   * @param {number} durationYears - Loan duration in years (deferral included)
+   * @param {Object} [deferral] - Deferral {type, months}
    * @returns {number} Maximum loan amount
    */
-  const calcMaxLoan = (monthlyPayment, annualRate, durationYears) => {
+  const calcMaxLoan = (monthlyPayment, annualRate, durationYears, deferral) => {
     if (!monthlyPayment || monthlyPayment <= 0 || !annualRate || !durationYears) {
       return 0;
     }
     
     const monthlyRate = annualRate / 12 / 100; // Convert to monthly decimal
-    const numMonths = durationYears * 12;
+    const deferralMonths = getDeferralMonths(deferral, durationYears * 12);
+    const numMonths = durationYears * 12 - deferralMonths;
     
     // Handle edge case of zero interest
     if (monthlyRate === 0) {
@@ -181,9 +467,87 @@ MortgageSimulator.Formulas = (() => {
     // Annuity formula solved for Principal
     const maxLoan = monthlyPayment * (1 - Math.pow(1 + monthlyRate, -numMonths)) / monthlyRate;
     
+    // Capital grows with the capitalised interest during a total deferral
+    if (deferral && deferral.type === 'total') {
+      return maxLoan / Math.pow(1 + monthlyRate, deferralMonths);
+    }
+    
     return maxLoan;
   };
 
+  // ============================================
+  // 4b. DEFERRED AMORTIZATION (DIFFÉRÉ)
+  // ============================================
+
+  /**
+   * Number of deferral months applicable to a loan
+   * At least one amortizing month is always kept
+   * @param {Object} deferral - Deferral {type: 'none'|'partial'|'total', months}
+   * @param {number} totalMonths - Loan duration in months (deferral included)
+   * @returns {number} Deferral months (0 when no deferral)
+   */
+  const getDeferralMonths = (deferral, totalMonths) => {
+    if (!deferral || deferral.type === 'none' || !deferral.months || deferral.months <= 0) {
+      return 0;
+    }
+    
+    return Math.min(Math.floor(deferral.months), Math.max(0, totalMonths - 1));
+  };
+
+  /**
+   * Capital remaining when amortization starts
+   * Partial deferral pays the interest, total deferral capitalises it
+   * @param {number} loan - Loan amount
+   * @param {number} annualRate - Annual interest rate as percentage
+   * @param {Object} deferral - Deferral {type, months}
+   * @returns {number} Capital at the end of the deferral
+   */
+  const calcDeferredCapital = (loan, annualRate, deferral) => {
+    if (!deferral || deferral.type !== 'total') {
+      return loan;
+    }
+    
+    const monthlyRate = annualRate / 12 / 100;
+    return loan * Math.pow(1 + monthlyRate, getDeferralMonths(deferral, Infinity));
+  };
+
+  /**
+   * Monthly payment during the amortization phase (after the deferral)
+   * This is the highest installment of the loan, used for the debt ratio
+   * @param {number} loan - Loan amount
+   * @param {number} annualRate - Annual interest rate as percentage
+   * @param {number} durationYears - Loan duration in years (deferral included)
+   * @param {Object} [deferral] - Deferral {type, months}
+   * @returns {number} Monthly payment (excluding insurance)
+   */
+  const calcDeferredMonthlyPayment = (loan, annualRate, durationYears, deferral) => {
+    const deferralMonths = getDeferralMonths(deferral, durationYears * 12);
+    if (deferralMonths === 0) {
+      return calcMonthlyPayment(loan, annualRate, durationYears);
+    }
+    
+    return calcMonthlyPayment(
+      calcDeferredCapital(loan, annualRate, deferral),
+      annualRate,
+      (durationYears * 12 - deferralMonths) / 12
+    );
+  };
+
+  /**
+   * Monthly payment during the deferral (interest only, or nothing when capitalised)
+   * @param {number} loan - Loan amount
+   * @param {number} annualRate - Annual interest rate as percentage
+   * @param {Object} deferral - Deferral {type, months}
+   * @returns {number} Monthly payment during the deferral (excluding insurance)
+   */
+  const calcDeferralPhasePayment = (loan, annualRate, deferral) => {
+    if (!deferral || deferral.type !== 'partial') {
+      return 0;
+    }
+    
+    return loan * annualRate / 12 / 100;
+  };
+
   /**
    * Calculate monthly payment using standard annuity formula
    * Formula: MonthlyPayment = Loan × [r × (1 + r)^n] / [(1 + r)^n - 1]
@@ -218,11 +582,11 @@ MortgageSimulator.Formulas = (() => {
 
   /**
    * Calculate Émoluments (notary's fee) with sliding scale + TVA
-   * @param {number} price - Property price
+   * @param {number} price - Property price (or registered amount for a loan deed)
+   * @param {Object} [rates] - Bracket rates, the sale scale by default
    * @returns {number} Émoluments including 20% TVA
    */
-  const calcEmoluments = (price) => {
-    const rates = FormulaConstants.emolumentRates;
+  const calcEmoluments = (price, rates = FormulaConstants.emolumentRates) => {
     const thresholds = FormulaConstants.emolumentThresholds;
     var emoluments = 0;
     
@@ -248,46 +612,96 @@ MortgageSimulator.Formulas = (() => {
   };
 
   /**
-   * Calculate notary fees for property purchase
-   * Different formulas for old vs new properties
-   * @param {number} propertyPrice - Property price
+   * Get the transfer tax rate of an old property (droits de mutation)
+   * Without a département, the national flat rate applies
+   * @param {string} [department] - Département code
+   * @param {boolean} [firstTimeBuyer] - Primo-accédant, keeps the pre-2025 departmental cap
+   * @returns {number} Total rate as decimal (e.g., 0.0580665)
+   */
+  const getDmtoRate = (department, firstTimeBuyer) => {
+    const entry = DmtoRates.departments.find(d => d.code === department);
+    if (!entry) {
+      return FormulaConstants.propertyTax.old;
+    }
+    
+    const departmentRate = firstTimeBuyer ? Math.min(entry.rate, DmtoRates.firstTimeBuyerRate) : entry.rate;
+    return (departmentRate + DmtoRates.communeRate + departmentRate * DmtoRates.collectionFeeRate / 100) / 100;
+  };
+
+  /**
+   * Calculate the notary fee base: agency fees paid by the buyer and furniture
+   * are part of the price but not of the real estate sold
+   * @param {number} propertyPrice - Property price (agency fees and furniture included)
+   * @param {Object} [options] - {agencyFees, furnitureValue}
+   * @returns {number} Taxable base
+   */
+  const calcNotaryTaxableBase = (propertyPrice, options = {}) => {
+    return Math.max(0, (propertyPrice || 0) - (options.agencyFees || 0) - (options.furnitureValue || 0));
+  };
+
+  /**
+   * Itemise notary fees for property purchase
+   * Different transfer taxes for old vs new properties
+   * @param {number} propertyPrice - Property price (agency fees and furniture included)
    * @param {string} propertyType - 'old' or 'new'
-   * @returns {number} Total notary fees
+   * @param {Object} [options] - {department, firstTimeBuyer, agencyFees, furnitureValue}
+   * @returns {Object} {taxableBase, transferTaxLabel, transferTaxRate, transferTax, emoluments, emolumentsVAT, debours, contribution, total}
    */
-  const calcNotaryFees = (propertyPrice, propertyType) => {
-    if (!propertyPrice || propertyPrice <= 0) {
-      return 0;
+  const calcNotaryFeesBreakdown = (propertyPrice, propertyType, options = {}) => {
+    const taxableBase = calcNotaryTaxableBase(propertyPrice, options);
+    if (taxableBase <= 0) {
+      return {
+        taxableBase: 0, transferTaxLabel: '', transferTaxRate: 0, transferTax: 0,
+        emoluments: 0, emolumentsVAT: 0, debours: 0, contribution: 0, total: 0
+      };
     }
     
     // 1. Émoluments (same for both, sliding scale + TVA)
-    const emoluments = calcEmoluments(propertyPrice);
+    const emolumentsWithVAT = calcEmoluments(taxableBase);
+    const emoluments = emolumentsWithVAT / FormulaConstants.emolumentTVA;
     
     // 2. Taxes (different for old vs new)
-    var taxes;
-    if (propertyType === 'new') {
-      // New property: Taxe de publicité foncière
-      taxes = propertyPrice * FormulaConstants.propertyTax.new;
-    } else {
-      // Old property: Droits de mutation
-      taxes = propertyPrice * FormulaConstants.propertyTax.old;
-    }
+    // New property: Taxe de publicité foncière; old property: Droits de mutation by département
+    const transferTaxRate = propertyType === 'new'
+      ? FormulaConstants.propertyTax.new
+      : getDmtoRate(options.department, options.firstTimeBuyer);
+    const transferTax = taxableBase * transferTaxRate;
     
     // 3. Débours (disbursements) - fixed estimate
     const debours = FormulaConstants.debours;
     
-    // 4. Contribution Sécurité Immobilière (0.10% of price, min 15€)
+    // 4. Contribution Sécurité Immobilière (0.10% of the base, min 15€)
     const contribution = Math.max(
       FormulaConstants.contribution.minimum,
-      propertyPrice * FormulaConstants.contribution.rate
+      taxableBase * FormulaConstants.contribution.rate
     );
     
-    const totalFees = emoluments + taxes + debours + contribution;
-    
-    return totalFees;
+    return {
+      taxableBase: taxableBase,
+      transferTaxLabel: propertyType === 'new' ? 'Taxe de publicité foncière' : 'Droits de mutation',
+      transferTaxRate: transferTaxRate * 100,
+      transferTax: transferTax,
+      emoluments: emoluments,
+      emolumentsVAT: emolumentsWithVAT - emoluments,
+      debours: debours,
+      contribution: contribution,
+      total: emolumentsWithVAT + transferTax + debours + contribution
+    };
+  };
+
+  /**
+   * Calculate notary fees for property purchase
+   * @param {number} propertyPrice - Property price
+   * @param {string} propertyType - 'old' or 'new'
+   * @param {Object} [options] - {department, firstTimeBuyer, agencyFees, furnitureValue}
+   * @returns {number} Total notary fees
+   */
+  const calcNotaryFees = (propertyPrice, propertyType, options = {}) => {
+    return calcNotaryFeesBreakdown(propertyPrice, propertyType, options).total;
   };
 
   // ============================================
-  // 6. CAUTION CRÉDIT LOGEMENT
+  // 6. LOAN GUARANTEE (CAUTION, HYPOTHÈQUE, PPD)
   // ============================================
 
   /**
@@ -313,7 +727,7 @@ MortgageSimulator.Formulas = (() => {
     }
     
     // 2. FMG (Fonds Mutuel de Garantie)
-    // Partially refundable at loan end, but counted in full for cost calculation
+    // Paid in full at signature, partially refunded at loan end (see calcFmgRefund)
     const fmg = loanAmount * cautionConfig.fmgRate;
     
     const totalCaution = commission + fmg;
@@ -322,110 +736,296 @@ MortgageSimulator.Formulas = (() => {
     return Math.max(cautionConfig.minimum, totalCaution);
   };
 
-  // ============================================
-  // 7. MAXIMUM PROPERTY PRICE (ITERATIVE)
-  // ============================================
-
   /**
-   * Calculate maximum affordable property price (iterative)
-   * Price = Capital + MaxLoan - Fees
-   * Fees depend on price, so requires iteration to converge
-   * @param {number} capital - Available capital
-   * @param {number} maxLoan - Maximum loan capacity
-   * @param {number} fraisDossier - Frais de dossier
-   * @param {string} propertyType - 'old' or 'new'
-   * @returns {Object} {price, notaryFees, caution, totalFees}
+   * Calculate the FMG share refunded by Crédit Logement once the loan is repaid
+   * @param {number} loanAmount - Loan amount
+   * @param {number} refundRate - Refunded share of the FMG (%)
+   * @returns {number} Refund received at the end of the schedule
    */
-  const calcMaxPropertyPrice = (capital, maxLoan, fraisDossier, propertyType) => {
-    if (!capital || capital < 0 || !maxLoan || maxLoan <= 0) {
-      return { price: 0, notaryFees: 0, caution: 0, totalFees: 0 };
+  const calcFmgRefund = (loanAmount, refundRate) => {
+    if (!loanAmount || loanAmount <= 0 || !refundRate || refundRate <= 0) {
+      return 0;
     }
     
-    const iterConfig = FormulaConstants.iteration;
-    
-    // Initial estimate: Price = Capital + MaxLoan
-    var estimatedPrice = capital + maxLoan;
-    var previousPrice = 0;
-    var iterations = 0;
-    
-    // Iterate until convergence
-    while (Math.abs(estimatedPrice - previousPrice) > iterConfig.convergenceThreshold && 
-           iterations < iterConfig.maxIterations) {
-      previousPrice = estimatedPrice;
-      
-      // Calculate fees for current estimate
-      const notaryFees = calcNotaryFees(estimatedPrice, propertyType);
-      const caution = calcCautionCreditLogement(maxLoan);
-      const totalFees = notaryFees + fraisDossier + caution;
-      
-      // Adjust price: Price = Capital + MaxLoan - Fees
-      estimatedPrice = capital + maxLoan - totalFees;
-      
-      iterations++;
+    const fmg = loanAmount * FormulaConstants.caution.fmgRate;
+    return fmg * Math.min(refundRate, 100) / 100;
+  };
+
+  /**
+   * Calculate registration costs of a notarial guarantee (hypothèque or PPD)
+   * Taxes and emoluments apply to the loan plus accessories; the PPD is exempt
+   * from taxe de publicité foncière. Mainlevée is only due if the loan ends early.
+   * @param {number} loanAmount - Loan amount
+   * @param {string} guaranteeType - 'hypotheque' or 'ppd'
+   * @returns {Object} {publicityTax, csi, emoluments, debours, total, mainlevee}
+   */
+  const calcMortgageGuaranteeFees = (loanAmount, guaranteeType) => {
+    if (!loanAmount || loanAmount <= 0) {
+      return { publicityTax: 0, csi: 0, emoluments: 0, debours: 0, total: 0, mainlevee: 0 };
     }
     
-    // Final calculation with converged price
-    const finalNotaryFees = calcNotaryFees(estimatedPrice, propertyType);
-    const finalCaution = calcCautionCreditLogement(maxLoan);
-    const finalTotalFees = finalNotaryFees + fraisDossier + finalCaution;
+    const config = FormulaConstants.mortgageGuarantee;
+    const registered = loanAmount * (1 + config.accessoriesRate);
+    
+    const publicityTax = guaranteeType === 'ppd' ? 0 : registered * config.publicityTaxRate;
+    const csi = Math.max(config.csiMinimum, registered * config.csiRate);
+    const emoluments = calcEmoluments(registered, config.emolumentRates);
     
     return {
-      price: Math.max(0, estimatedPrice),
-      notaryFees: finalNotaryFees,
-      caution: finalCaution,
-      totalFees: finalTotalFees
+      publicityTax: publicityTax,
+      csi: csi,
+      emoluments: emoluments,
+      debours: config.debours,
+      total: publicityTax + csi + emoluments + config.debours,
+      mainlevee: Math.max(config.mainlevee.minimum, loanAmount * config.mainlevee.rate)
     };
   };
 
   /**
-   * Optimize maximum property price considering insurance costs
-   * Uses binary search iteration to find the maximum affordable price where:
-   * - Total monthly payment (loan + insurance) fits within available budget
-   * - The circular dependency between insurance and loan is resolved
-   * 
-   * @param {number} capital - Available capital
-   * @param {number} maxMonthlyPayment - Maximum monthly payment budget (from 35% rule)
-   * @param {number} fraisDossier - Frais de dossier
-   * @param {string} propertyType - 'old' or 'new'
-   * @param {number} annualRate - Annual interest rate as percentage
-   * @param {number} durationYears - Loan duration in years
-   * @param {number} age - Borrower age (for insurance calculation)
-   * @returns {Object} {price, notaryFees, caution, totalFees, loan, monthlyPayment, monthlyInsurance}
+   * Calculate upfront cost of the chosen loan guarantee
+   * @param {number} loanAmount - Loan amount
+   * @param {string} [guaranteeType] - 'caution' (default), 'hypotheque' or 'ppd'
+   * @returns {number} Guarantee cost paid at signature
    */
-  const optimizeMaxPropertyPriceWithInsurance = (
-    capital,
-    maxMonthlyPayment,
-    fraisDossier,
-    propertyType,
-    annualRate,
-    durationYears,
-    age
-  ) => {
-    // Validate inputs
-    if (!capital || capital < 0 || !maxMonthlyPayment || maxMonthlyPayment <= 0) {
-      return { 
-        price: 0, 
-        notaryFees: 0, 
-        caution: 0, 
-        totalFees: 0, 
-        loan: 0,
-        monthlyPayment: 0,
-        monthlyInsurance: 0
-      };
+  const calcGuaranteeFees = (loanAmount, guaranteeType) => {
+    if (guaranteeType === 'hypotheque' || guaranteeType === 'ppd') {
+      return calcMortgageGuaranteeFees(loanAmount, guaranteeType).total;
     }
     
-    // Get insurance rate for age
-    const insuranceRate = getInsuranceRate(age);
-    
-    // Calculate initial max loan WITHOUT insurance consideration
-    const initialMaxLoan = calcMaxLoan(maxMonthlyPayment, annualRate, durationYears);
-    
+    return calcCautionCreditLogement(loanAmount);
+  };
+
+  /**
+   * Calculate the guarantee refund received at the end of the loan
+   * Only the Crédit Logement caution gives part of its cost back (FMG)
+   * @param {number} loanAmount - Loan amount
+   * @param {string} [guaranteeType] - 'caution' (default), 'hypotheque' or 'ppd'
+   * @param {number} [fmgRefundRate] - Refunded share of the FMG (%)
+   * @returns {number} Refund amount
+   */
+  const calcGuaranteeRefund = (loanAmount, guaranteeType, fmgRefundRate) => {
+    if (guaranteeType === 'hypotheque' || guaranteeType === 'ppd') {
+      return 0;
+    }
+    
+    return calcFmgRefund(loanAmount, fmgRefundRate);
+  };
+
+  /**
+   * Book the guarantee refund on the last row of a schedule
+   * @param {Array} table - Amortization table
+   * @param {number} refund - Refund amount
+   * @returns {Array} Table whose last row carries guaranteeRefund
+   */
+  const applyGuaranteeRefund = (table, refund) => {
+    if (!Array.isArray(table) || table.length === 0 || !refund) {
+      return table;
+    }
+    
+    const last = table.length - 1;
+    return table.map((row, index) => index === last ? { ...row, guaranteeRefund: refund } : row);
+  };
+
+  /**
+   * Compare the three guarantees for a loan
+   * @param {number} loanAmount - Loan amount
+   * @param {number} [fmgRefundRate] - Refunded share of the FMG (%)
+   * @returns {Array} [{type, label, upfront, refund, mainlevee}]
+   */
+  const compareGuarantees = (loanAmount, fmgRefundRate) => {
+    const hypotheque = calcMortgageGuaranteeFees(loanAmount, 'hypotheque');
+    const ppd = calcMortgageGuaranteeFees(loanAmount, 'ppd');
+    
+    return [
+      { type: 'caution', label: 'Caution Crédit Logement', upfront: calcCautionCreditLogement(loanAmount), refund: calcFmgRefund(loanAmount, fmgRefundRate), mainlevee: 0 },
+      { type: 'hypotheque', label: 'Hypothèque conventionnelle', upfront: hypotheque.total, refund: 0, mainlevee: hypotheque.mainlevee },
+      { type: 'ppd', label: 'Privilège de prêteur de deniers', upfront: ppd.total, refund: 0, mainlevee: ppd.mainlevee }
+    ];
+  };
+
+  // ============================================
+  // 6b. OTHER ONE-OFF COSTS (COURTAGE, AGENCY, VALUATION)
+  // ============================================
+
+  /**
+   * Split the one-off costs of the project by how they are paid
+   * Financed costs add to the loan, the others come out of the apport first
+   * @param {Array} [costs] - Costs {label, amount, financed, inTaeg}
+   * @returns {Object} {financed, fromCapital, inTaeg, total}
+   */
+  const calcOneOffCosts = (costs) => {
+    const totals = { financed: 0, fromCapital: 0, inTaeg: 0, total: 0 };
+    if (!Array.isArray(costs)) {
+      return totals;
+    }
+    
+    costs.forEach(cost => {
+      const amount = Math.max(0, cost.amount || 0);
+      if (cost.financed) {
+        totals.financed += amount;
+      } else {
+        totals.fromCapital += amount;
+      }
+      if (cost.inTaeg) {
+        totals.inTaeg += amount;
+      }
+      totals.total += amount;
+    });
+    
+    return totals;
+  };
+
+  // ============================================
+  // 6c. RENOVATION WORKS AND ÉCO-PTZ
+  // ============================================
+
+  /**
+   * Calculate the éco-PTZ granted on the works
+   * @param {Object} works - Works settings {amount, ecoPtzEnabled, ecoPtzAmount}
+   * @returns {number} Éco-PTZ amount (never above the works or the legal ceiling)
+   */
+  const calcEcoPtzAmount = (works) => {
+    if (!works || !works.ecoPtzEnabled) {
+      return 0;
+    }
+    
+    return Math.max(0, Math.min(works.ecoPtzAmount || 0, works.amount || 0, FormulaConstants.ecoPtz.maxAmount));
+  };
+
+  /**
+   * Éco-PTZ duration within the legal maximum
+   * @param {number} durationYears - Requested duration in years
+   * @returns {number} Duration in years
+   */
+  const calcEcoPtzDuration = (durationYears) => {
+    return Math.min(durationYears || 0, FormulaConstants.ecoPtz.maxDurationYears);
+  };
+
+  /**
+   * Calculate the éco-PTZ monthly installment (zero rate, constant amortization)
+   * @param {number} amount - Éco-PTZ amount
+   * @param {number} durationYears - Éco-PTZ duration in years
+   * @returns {number} Monthly installment
+   */
+  const calcEcoPtzPayment = (amount, durationYears) => {
+    const months = calcEcoPtzDuration(durationYears) * 12;
+    if (!amount || amount <= 0 || months <= 0) {
+      return 0;
+    }
+    
+    return amount / months;
+  };
+
+  // ============================================
+  // 7. MAXIMUM PROPERTY PRICE (ITERATIVE)
+  // ============================================
+
+  /**
+   * Calculate maximum affordable property price (iterative)
+   * Price = Capital + MaxLoan - Fees - One-off costs - Works
+   * Fees depend on price, so requires iteration to converge
+   * @param {number} capital - Available capital
+   * @param {number} maxLoan - Maximum loan capacity
+   * @param {number} fraisDossier - Frais de dossier
+   * @param {string} propertyType - 'old' or 'new'
+   * @param {Object} [options] - Fee options {department, firstTimeBuyer, agencyFees, furnitureValue, guaranteeType,
+   *   oneOffCosts, worksAmount}
+   * @returns {Object} {price, notaryFees, caution, totalFees}
+   */
+  const calcMaxPropertyPrice = (capital, maxLoan, fraisDossier, propertyType, options = {}) => {
+    if (!capital || capital < 0 || !maxLoan || maxLoan <= 0) {
+      return { price: 0, notaryFees: 0, caution: 0, totalFees: 0 };
+    }
+    
+    const iterConfig = FormulaConstants.iteration;
+    const projectCosts = calcOneOffCosts(options.oneOffCosts).total + (options.worksAmount || 0);
+    
+    // Initial estimate: Price = Capital + MaxLoan
+    var estimatedPrice = capital + maxLoan - projectCosts;
+    var previousPrice = 0;
+    var iterations = 0;
+    
+    // Iterate until convergence
+    while (Math.abs(estimatedPrice - previousPrice) > iterConfig.convergenceThreshold && 
+           iterations < iterConfig.maxIterations) {
+      previousPrice = estimatedPrice;
+      
+      // Calculate fees for current estimate
+      const notaryFees = calcNotaryFees(estimatedPrice, propertyType, options);
+      const caution = calcGuaranteeFees(maxLoan, options.guaranteeType);
+      const totalFees = notaryFees + fraisDossier + caution + projectCosts;
+      
+      // Adjust price: Price = Capital + MaxLoan - Fees
+      estimatedPrice = capital + maxLoan - totalFees;
+      
+      iterations++;
+    }
+    
+    // Final calculation with converged price
+    const finalNotaryFees = calcNotaryFees(estimatedPrice, propertyType, options);
+    const finalCaution = calcGuaranteeFees(maxLoan, options.guaranteeType);
+    const finalTotalFees = finalNotaryFees + fraisDossier + finalCaution + projectCosts;
+    
+    return {
+      price: Math.max(0, estimatedPrice),
+      notaryFees: finalNotaryFees,
+      caution: finalCaution,
+      totalFees: finalTotalFees
+    };
+  };
+
+  /**
+   * Optimize maximum property price considering insurance costs
+   * Uses binary search iteration to find the maximum affordable price where:
+   * - Total monthly payment (loan + insurance) fits within available budget
+   * - The circular dependency between insurance and loan is resolved
+   * 
+   * @param {number} capital - Available capital
+   * @param {number} maxMonthlyPayment - Maximum monthly payment budget (from 35% rule)
+   * @param {number} fraisDossier - Frais de dossier
+   * @param {string} propertyType - 'old' or 'new'
+   * @param {number} annualRate - Annual interest rate as percentage
+   * @param {number} durationYears - Loan duration in years
+   * @param {Object} insurance - Combined insurance descriptor of all borrowers {rate, mode, fixedMonthly}
+   * @param {Object} [deferral] - Deferral {type, months}, the budget applies to the amortization phase
+   * @param {Object} [options] - Fee options {department, firstTimeBuyer, agencyFees, furnitureValue, guaranteeType,
+   *   oneOffCosts, worksAmount}
+   * @returns {Object} {price, notaryFees, caution, totalFees, loan, monthlyPayment, monthlyInsurance}
+   */
+  const optimizeMaxPropertyPriceWithInsurance = (
+    capital,
+    maxMonthlyPayment,
+    fraisDossier,
+    propertyType,
+    annualRate,
+    durationYears,
+    insurance,
+    deferral,
+    options = {}
+  ) => {
+    // Validate inputs
+    if (!capital || capital < 0 || !maxMonthlyPayment || maxMonthlyPayment <= 0) {
+      return { 
+        price: 0, 
+        notaryFees: 0, 
+        caution: 0, 
+        totalFees: 0, 
+        loan: 0,
+        monthlyPayment: 0,
+        monthlyInsurance: 0
+      };
+    }
+    
+    // Calculate initial max loan WITHOUT insurance consideration
+    const initialMaxLoan = calcMaxLoan(maxMonthlyPayment, annualRate, durationYears, deferral);
+    
     // Calculate initial max price WITHOUT insurance consideration
     const initialMaxPriceResult = calcMaxPropertyPrice(
       capital,
       initialMaxLoan,
       fraisDossier,
-      propertyType
+      propertyType,
+      options
     );
     
     // If no valid starting price, return zeros
@@ -448,7 +1048,7 @@ MortgageSimulator.Formulas = (() => {
      */
     const checkAffordability = (candidatePrice) => {
       // Calculate required loan for this price
-      const loanResult = calcRequiredLoan(candidatePrice, capital, fraisDossier, propertyType);
+      const loanResult = calcRequiredLoan(candidatePrice, capital, fraisDossier, propertyType, options);
       const requiredLoan = loanResult.loan;
       
       // If no loan needed, it's definitely affordable
@@ -456,11 +1056,15 @@ MortgageSimulator.Formulas = (() => {
         return { affordable: true, totalMonthlyCost: 0, shortfall: -maxMonthlyPayment };
       }
       
-      // Calculate monthly loan payment
-      const monthlyLoanPayment = calcMonthlyPayment(requiredLoan, annualRate, durationYears);
+      // Calculate monthly loan payment (amortization phase when deferred)
+      const monthlyLoanPayment = calcDeferredMonthlyPayment(requiredLoan, annualRate, durationYears, deferral);
       
-      // Calculate monthly insurance
-      const monthlyInsurance = calcMonthlyInsurance(requiredLoan, insuranceRate);
+      // Calculate monthly insurance (first amortizing month, the highest in 'crd' mode)
+      const monthlyInsurance = calcInsurancePremium(
+        insurance,
+        requiredLoan,
+        calcDeferredCapital(requiredLoan, annualRate, deferral)
+      );
       
       // Total monthly cost
       const totalMonthlyCost = monthlyLoanPayment + monthlyInsurance;
@@ -514,8 +1118,8 @@ MortgageSimulator.Formulas = (() => {
         caution: finalCheck.loanResult.caution,
         totalFees: finalCheck.loanResult.totalFees,
         loan: finalLoan,
-        monthlyPayment: calcMonthlyPayment(finalLoan, annualRate, durationYears),
-        monthlyInsurance: calcMonthlyInsurance(finalLoan, insuranceRate)
+        monthlyPayment: calcDeferredMonthlyPayment(finalLoan, annualRate, durationYears, deferral),
+        monthlyInsurance: calcInsurancePremium(insurance, finalLoan, calcDeferredCapital(finalLoan, annualRate, deferral))
       };
     }
     
@@ -537,26 +1141,35 @@ MortgageSimulator.Formulas = (() => {
 
   /**
    * Calculate required loan for a selected property price (iterative)
-   * Loan = Price + Fees - Capital
-   * Caution depends on loan amount, so requires iteration
+   * Loan = Price + Fees + Financed costs + Works - (Capital - Costs paid from the apport)
+   * The loan covers the whole financing, stack layers (PTZ, éco-PTZ...) included
+   * Guarantee fees depend on loan amount, so requires iteration
    * @param {number} propertyPrice - Selected property price
    * @param {number} capital - Available capital
    * @param {number} fraisDossier - Frais de dossier
    * @param {string} propertyType - 'old' or 'new'
-   * @returns {Object} {loan, caution, notaryFees, totalFees}
+   * @param {Object} [options] - Fee options {department, firstTimeBuyer, agencyFees, furnitureValue, guaranteeType,
+   *   oneOffCosts, worksAmount}
+   * @returns {Object} {loan, caution, notaryFees, oneOffCosts, totalFees}
    */
-  const calcRequiredLoan = (propertyPrice, capital, fraisDossier, propertyType) => {
+  const calcRequiredLoan = (propertyPrice, capital, fraisDossier, propertyType, options = {}) => {
     if (!propertyPrice || propertyPrice <= 0) {
-      return { loan: 0, caution: 0, notaryFees: 0, totalFees: 0 };
+      return { loan: 0, caution: 0, notaryFees: 0, oneOffCosts: calcOneOffCosts(), totalFees: 0 };
     }
     
     const iterConfig = FormulaConstants.iteration;
     
     // Calculate notary fees (independent of loan)
-    const notaryFees = calcNotaryFees(propertyPrice, propertyType);
+    const notaryFees = calcNotaryFees(propertyPrice, propertyType, options);
+    
+    // One-off costs: financed ones are borrowed, the others reduce the apport left for the project
+    const oneOffCosts = calcOneOffCosts(options.oneOffCosts);
+    const projectCapital = capital - oneOffCosts.fromCapital;
     
     // Initial loan estimate (using initial fees estimate)
-    var estimatedLoan = propertyPrice + propertyPrice * iterConfig.initialFeesEstimate - capital;
+    const worksToBorrow = options.worksAmount || 0;
+    var estimatedLoan = propertyPrice + propertyPrice * iterConfig.initialFeesEstimate + oneOffCosts.financed +
+      worksToBorrow - projectCapital;
     var previousLoan = 0;
     var iterations = 0;
     
@@ -566,11 +1179,11 @@ MortgageSimulator.Formulas = (() => {
       previousLoan = estimatedLoan;
       
       // Calculate caution based on current loan estimate
-      const caution = calcCautionCreditLogement(estimatedLoan);
-      const totalFees = notaryFees + fraisDossier + caution;
+      const caution = calcGuaranteeFees(estimatedLoan, options.guaranteeType);
+      const totalFees = notaryFees + fraisDossier + caution + oneOffCosts.financed + worksToBorrow;
       
       // Recalculate loan: Loan = Price + Fees - Capital
-      estimatedLoan = propertyPrice + totalFees - capital;
+      estimatedLoan = propertyPrice + totalFees - projectCapital;
       
       // Ensure loan is not negative
       if (estimatedLoan < 0) {
@@ -582,13 +1195,14 @@ MortgageSimulator.Formulas = (() => {
     }
     
     // Final calculation with converged loan
-    const finalCaution = calcCautionCreditLogement(estimatedLoan);
-    const finalTotalFees = notaryFees + fraisDossier + finalCaution;
+    const finalCaution = calcGuaranteeFees(estimatedLoan, options.guaranteeType);
+    const finalTotalFees = notaryFees + fraisDossier + finalCaution + oneOffCosts.total;
     
     return {
       loan: Math.max(0, estimatedLoan),
       caution: finalCaution,
       notaryFees: notaryFees,
+      oneOffCosts: oneOffCosts,
       totalFees: finalTotalFees
     };
   };
@@ -602,30 +1216,55 @@ MortgageSimulator.Formulas = (() => {
    * Returns array of monthly payment details
    * @param {number} loan - Loan amount
    * @param {number} annualRate - Annual interest rate as percentage
-   * @param {number} durationYears - Loan duration in years
-   * @param {number} insuranceRate - Annual insurance rate as decimal
+   * @param {number} durationYears - Loan duration in years (deferral included)
+   * @param {Object} insurance - Insurance descriptor {rate, mode, fixedMonthly} (see calcInsurancePremium)
+   * @param {Object} [deferral] - Deferral {type, months}; deferral rows carry `deferred` and `capitalizedInterest`
    * @returns {Array} Array of monthly objects
    */
-  const generateAmortizationTable = (loan, annualRate, durationYears, insuranceRate) => {
+  const generateAmortizationTable = (loan, annualRate, durationYears, insurance, deferral) => {
     if (!loan || loan <= 0 || !annualRate || !durationYears) {
       return [];
     }
     
     const monthlyRate = annualRate / 12 / 100;
     const numMonths = durationYears * 12;
-    const monthlyPayment = calcMonthlyPayment(loan, annualRate, durationYears);
-    const monthlyInsurance = calcMonthlyInsurance(loan, insuranceRate);
+    const deferralMonths = getDeferralMonths(deferral, numMonths);
+    const monthlyPayment = calcDeferredMonthlyPayment(loan, annualRate, durationYears, deferral);
     
     const table = [];
     var remainingCapital = loan;
     var totalPaid = 0;
     
     for (var month = 1; month <= numMonths; month++) {
+      // Insurance on initial or remaining capital (before this month's repayment)
+      const monthlyInsurance = calcInsurancePremium(insurance, loan, remainingCapital);
+      
       // Calculate interest on remaining capital
-      const interestPart = remainingCapital * monthlyRate;
+      const interest = remainingCapital * monthlyRate;
+      
+      if (month <= deferralMonths) {
+        // Deferral: interest only (partial) or capitalised interest (total), no principal
+        const capitalizedInterest = deferral.type === 'total' ? interest : 0;
+        remainingCapital += capitalizedInterest;
+        totalPaid += interest - capitalizedInterest + monthlyInsurance;
+        
+        table.push({
+          month: month,
+          year: Math.ceil(month / 12),
+          payment: interest - capitalizedInterest,
+          principalPart: 0,
+          interestPart: interest - capitalizedInterest,
+          capitalizedInterest: capitalizedInterest,
+          insurance: monthlyInsurance,
+          totalPaid: totalPaid,
+          remainingCapital: remainingCapital,
+          deferred: deferral.type
+        });
+        continue;
+      }
       
       // Principal is the difference
-      const principalPart = monthlyPayment - interestPart;
+      const principalPart = monthlyPayment - interest;
       
       // Update remaining capital
       remainingCapital -= principalPart;
@@ -644,7 +1283,7 @@ MortgageSimulator.Formulas = (() => {
         year: Math.ceil(month / 12),
         payment: monthlyPayment,
         principalPart: principalPart,
-        interestPart: interestPart,
+        interestPart: interest,
         insurance: monthlyInsurance,
         totalPaid: totalPaid,
         remainingCapital: Math.max(0, remainingCapital)
@@ -654,492 +1293,939 @@ MortgageSimulator.Formulas = (() => {
     return table;
   };
 
-  // ============================================
-  // 10. TAEG CALCULATION (ITERATIVE IRR)
-  // ============================================
-
-
   /**
-   * Calculate TAEG using optimization-js (Powell's method)
-   * Finds the true effective annual rate by minimizing the difference between
-   * the actual monthly payment and the theoretical payment at a candidate TAEG
-   * 
-   * @param {number} loan - Net loan amount received
-   * @param {number} monthlyPayment - Actual monthly payment (principal + interest + insurance)
-   * @param {number} durationYears - Loan duration in years
-   * @param {number} nominalRate - Nominal interest rate as percentage (starting estimate)
-   * @param {number} insuranceRate - Annual insurance rate as decimal
-   * @returns {number} TAEG as percentage
+   * Sum the principal, interest and insurance columns of an amortization table
+   * Works for standard and loan stack tables
+   * Interest capitalised during a total deferral counts as interest, not as borrowed principal
+   * @param {Array} table - Amortization table
+   * @returns {Object} {principal, interest, insurance}
    */
-  const calcTAEG = (loan, monthlyPayment, durationYears, nominalRate, insuranceRate) => {
-    // Validate inputs
-    if (!loan || loan <= 0 || !monthlyPayment || monthlyPayment <= 0 || !durationYears) {
-      return 0;
+  const calcTableTotals = (table) => {
+    const totals = { principal: 0, interest: 0, insurance: 0 };
+    if (!Array.isArray(table)) {
+      return totals;
     }
     
-    const numMonths = durationYears * 12;
-    
-    /**
-     * Objective function: Calculate absolute difference between
-     * theoretical monthly payment at candidate TAEG and actual monthly payment
-     * @param {Array} x - Array containing [candidateTAEGAnnual]
-     * @returns {number} Absolute difference (to minimize)
-     */
-    const objectiveFunction = (x) => {
-      const candidateTAEGAnnual = x[0]; // Annual rate as percentage
-      
-      // Prevent negative or unreasonable rates
-      if (candidateTAEGAnnual < 0 || candidateTAEGAnnual > 50) {
-        return 1e10; // Large penalty
-      }
-      
-      // Convert to monthly rate
-      const monthlyRateCandidate = candidateTAEGAnnual / 12 / 100;
+    table.forEach(row => {
+      totals.principal += row.principalPart || 0;
+      totals.interest += row.interestPart || 0;
+      totals.insurance += row.insurance || 0;
       
-      // Handle zero rate edge case
-      if (monthlyRateCandidate === 0) {
-        const theoreticalPayment = loan / numMonths;
-        return Math.abs(theoreticalPayment - monthlyPayment);
+      if (row.capitalizedInterest) {
+        totals.interest += row.capitalizedInterest;
+        totals.principal -= row.capitalizedInterest;
       }
-      
-      // Calculate theoretical monthly payment at this TAEG
-      const theoreticalPayment = loan * 
-        (monthlyRateCandidate * Math.pow(1 + monthlyRateCandidate, numMonths)) / 
-        (Math.pow(1 + monthlyRateCandidate, numMonths) - 1);
-      
-      // Return absolute difference
-      return Math.abs(theoreticalPayment - monthlyPayment);
-    };
-    
-    // Starting value: nominal rate + estimated insurance contribution
-    // Insurance typically adds 0.3-0.5% to the annual rate
-    const estimatedInsuranceContribution = insuranceRate ? (insuranceRate * 100 * 0.5) : 0.3;
-    const startingValue = nominalRate + estimatedInsuranceContribution;
+    });
     
-    try {
-      // Run Powell's optimization
-      const solution = optimjs.minimize_Powell(objectiveFunction, [startingValue]);
-      
-      // Extract optimized TAEG
-      let optimizedTAEG = solution.argument[0];
-      
-      // Constraint: TAEG must be >= nominal rate (insurance adds cost)
-      if (optimizedTAEG < nominalRate) {
-        optimizedTAEG = nominalRate;
-      }
-      
-      // Sanity check: reasonable range
-      if (optimizedTAEG < 0 || optimizedTAEG > 50) {
-        console.error('TAEG optimization failed:', error);
-        return 0
-      }
-      
-      return optimizedTAEG;
-    } catch (error) {
-      console.error('TAEG optimization failed:', error);
-      return 0;
-    }
+    return totals;
   };
 
   // ============================================
-  // 11. GIGOGNE (LAYERED LOAN) CALCULATIONS
+  // 9b. EARLY REPAYMENT (REMBOURSEMENT ANTICIPÉ)
   // ============================================
 
   /**
-   * Calculate smooth monthly payment for gigogne loan
-   * Uses lissage formula: M = (P1 + m2 * A(r1, n2)) / A(r1, n1)
-   * @param {number} p1 - Primary loan principal
-   * @param {number} r1 - Primary loan annual rate (%)
-   * @param {number} n1 - Primary loan duration (years)
-   * @param {number} p2 - Secondary loan principal
-   * @param {number} r2 - Secondary loan annual rate (%)
-   * @param {number} n2 - Secondary loan duration (years)
-   * @returns {number} Smooth monthly payment
-   */
-  const calcSmoothMensuality = (p1, r1, n1, p2, r2, n2) => {
-    if (p1 < 0 || p2 < 0 || !n1 || !n2) return 0;
-    
-    const rm1 = r1 / 12 / 100;
-    const rm2 = r2 / 12 / 100;
-    const nm1 = n1 * 12;
-    const nm2 = n2 * 12;
-
-    // Calculate m2 (secondary loan payment)
-    let m2;
-    if (rm2 === 0) {
-      m2 = p2 / nm2;
-    } else {
-      m2 = p2 * (rm2 * Math.pow(1 + rm2, nm2)) / (Math.pow(1 + rm2, nm2) - 1);
-    }
-
-    // Calculate Annuity Factors for Primary Rate
-    // A(r, n) = (1 - (1+r)^-n) / r
-    const calcAnnuityFactor = (r, n) => {
-      if (r === 0) return n;
-      return (1 - Math.pow(1 + r, -n)) / r;
-    };
-
-    const A_r1_n1 = calcAnnuityFactor(rm1, nm1);
-    const A_r1_n2 = calcAnnuityFactor(rm1, nm2);
-
-    // Calculate Smooth Payment M
-    // M = (P1 + m2 * A(r1, n2)) / A(r1, n1)
-    const M = (p1 + m2 * A_r1_n2) / A_r1_n1;
-
-    return M;
-  };
-
-  /**
-   * Calculate optimal secondary amount
-   * Maximizes P2 subject to constraints (MaxAmount, TotalLoan, Non-negative amortization)
-   * @param {number} totalLoan - Total loan amount required
-   * @param {number} r1 - Primary rate (%)
-   * @param {number} n1 - Primary duration (years)
-   * @param {number} r2 - Secondary rate (%)
-   * @param {number} n2 - Secondary duration (years)
-   * @param {number} maxAmount - User defined max amount for secondary
-   * @returns {number} Optimal secondary amount
+   * Calculate indemnités de remboursement anticipé (IRA)
+   * Legal cap: the lower of 6 months of interest on the prepaid amount and 3% of the remaining capital
+   * @param {number} amount - Prepaid amount
+   * @param {number} remainingCapital - Remaining capital before prepayment
+   * @param {number} annualRate - Annual interest rate as percentage
+   * @returns {number} Penalty amount
    */
-  const calcOptimalSecondaryAmount = (totalLoan, r1, n1, r2, n2, maxAmount) => {
-    if (!totalLoan || totalLoan <= 0) return 0;
-
-    // Constraint 1: P2 <= MaxAmount
-    // Constraint 2: P2 <= TotalLoan
-    const absoluteMaxP2 = Math.min(maxAmount, totalLoan);
-    
-    // If P2 is 0, it's valid (standard loan)
-    // We want to find max P2 in [0, absoluteMaxP2] such that no negative amortization
-    // Negative amortization check: (M - m2) >= P1 * r1_monthly
-    
-    const rm1 = r1 / 12 / 100;
+  const calcPrepaymentPenalty = (amount, remainingCapital, annualRate) => {
+    if (!amount || amount <= 0) {
+      return 0;
+    }
     
-    const checkConstraints = (p2) => {
-      const p1 = totalLoan - p2;
-      const M = calcSmoothMensuality(p1, r1, n1, p2, r2, n2);
-      
-      // Calculate m2
-      const rm2 = r2 / 12 / 100;
-      const nm2 = n2 * 12;
-      let m2;
-      if (rm2 === 0) {
-        m2 = p2 / nm2;
-      } else {
-        m2 = p2 * (rm2 * Math.pow(1 + rm2, nm2)) / (Math.pow(1 + rm2, nm2) - 1);
-      }
-      
-      const primaryPaymentPhase1 = M - m2;
-      const primaryInterest = p1 * rm1;
-      
-      // Allow a tiny tolerance for floating point issues
-      return primaryPaymentPhase1 >= (primaryInterest - 0.01);
-    };
-
-    // Binary search for max valid P2
-    let low = 0;
-    let high = absoluteMaxP2;
-    let optimal = 0;
+    const { penaltyMonths, penaltyCapRate } = FormulaConstants.prepayment;
+    const interestCap = amount * annualRate / 12 / 100 * penaltyMonths;
+    const capitalCap = remainingCapital * penaltyCapRate;
     
-    // Check if max is valid first (optimization)
-    if (checkConstraints(high)) {
-      return high;
-    }
-
-    // Binary search
-    for (let i = 0; i < 20; i++) {
-      const mid = (low + high) / 2;
-      if (checkConstraints(mid)) {
-        optimal = mid;
-        low = mid;
-      } else {
-        high = mid;
-      }
-    }
-
-    return Math.floor(optimal);
+    return Math.min(interestCap, capitalCap);
   };
 
   /**
-   * Generate amortization table for gigogne loan
-   * @param {Object} params - { p1, r1, n1, p2, r2, n2, insuranceRate }
-   * @returns {Array} Amortization table
+   * Generate the schedule of a standard loan with a prepayment after the installment of a given month
+   * The prepayment either shortens the loan (same payment) or lowers the payment (same end date).
+   * Insurance keeps the contract's base: initial capital in 'initial' mode, remaining capital in 'crd' mode.
+   * @param {number} loan - Loan amount
+   * @param {number} annualRate - Annual interest rate as percentage
+   * @param {number} durationYears - Loan duration in years
+   * @param {Object} insurance - Insurance descriptor {rate, mode, fixedMonthly}
+   * @param {Object} prepayment - {month, amount, type: 'partial'|'total', mode: 'duration'|'payment'}
+   * @param {Object} [deferral] - Deferral {type, months}; a prepayment is applied after the deferral at the earliest
+   * @returns {Object|null} {table, original, summary} or null if there is nothing to prepay
    */
-  const generateGigogneAmortizationTable = (params) => {
-    const { p1, r1, n1, p2, r2, n2, insuranceRate } = params;
-    
-    const M = calcSmoothMensuality(p1, r1, n1, p2, r2, n2);
-    
-    const rm1 = r1 / 12 / 100;
-    const rm2 = r2 / 12 / 100;
-    const nm1 = n1 * 12;
-    const nm2 = n2 * 12;
+  const generatePrepaymentTable = (loan, annualRate, durationYears, insurance, prepayment, deferral) => {
+    const original = generateAmortizationTable(loan, annualRate, durationYears, insurance, deferral);
+    if (!prepayment || original.length === 0) {
+      return null;
+    }
     
-    // Calculate m2
-    let m2;
-    if (rm2 === 0) {
-      m2 = p2 / nm2;
-    } else {
-      m2 = p2 * (rm2 * Math.pow(1 + rm2, nm2)) / (Math.pow(1 + rm2, nm2) - 1);
+    const firstAmortizingMonth = getDeferralMonths(deferral, original.length) + 1;
+    const month = Math.max(firstAmortizingMonth, Math.floor(prepayment.month) || 0);
+    if (month >= original.length) {
+      return null;
     }
-
-    const table = [];
-    let remP1 = p1;
-    let remP2 = p2;
-    let totalPaid = 0;
     
-    // Monthly insurance (calculated on initial capitals)
-    const ins1 = calcMonthlyInsurance(p1, insuranceRate);
-    const ins2 = calcMonthlyInsurance(p2, insuranceRate);
-    const totalIns = ins1 + ins2;
-
-    for (let month = 1; month <= nm1; month++) {
-      let pay1, pay2, int1, int2, princ1, princ2;
+    // Rows up to the prepayment month are unchanged
+    const table = original.slice(0, month).map(row => ({ ...row }));
+    const prepaymentRow = table[month - 1];
+    const capitalBefore = prepaymentRow.remainingCapital;
+    const amount = prepayment.type === 'total'
+      ? capitalBefore
+      : Math.min(Math.max(0, prepayment.amount || 0), capitalBefore);
+    const penalty = calcPrepaymentPenalty(amount, capitalBefore, annualRate);
+    
+    var remainingCapital = capitalBefore - amount;
+    var totalPaid = prepaymentRow.totalPaid + amount + penalty;
+    prepaymentRow.prepayment = amount;
+    prepaymentRow.penalty = penalty;
+    prepaymentRow.totalPaid = totalPaid;
+    prepaymentRow.remainingCapital = remainingCapital;
+    
+    // Reduced payment keeps the original end date
+    const monthlyRate = annualRate / 12 / 100;
+    const remainingMonths = original.length - month;
+    const monthlyPayment = prepayment.mode === 'payment'
+      ? calcMonthlyPayment(remainingCapital, annualRate, remainingMonths / 12)
+      : prepaymentRow.payment;
+    
+    for (var m = month + 1; remainingCapital > 0.005 && m <= original.length; m++) {
+      const monthlyInsurance = calcInsurancePremium(insurance, loan, remainingCapital);
+      const interestPart = remainingCapital * monthlyRate;
       
-      // Phase 1: Both loans
-      if (month <= nm2) {
-        pay2 = m2;
-        int2 = remP2 * rm2;
-        princ2 = pay2 - int2;
-        
-        pay1 = M - m2;
-        int1 = remP1 * rm1;
-        princ1 = pay1 - int1;
-      } 
-      // Phase 2: Only primary
-      else {
-        pay2 = 0;
-        int2 = 0;
-        princ2 = 0;
-        
-        pay1 = M;
-        int1 = remP1 * rm1;
-        princ1 = pay1 - int1;
+      // Last installment only repays what is left
+      const principalPart = Math.min(monthlyPayment - interestPart, remainingCapital);
+      remainingCapital -= principalPart;
+      if (m === original.length) {
+        remainingCapital = 0;
       }
       
-      // Update remaining capitals
-      remP1 -= princ1;
-      remP2 -= princ2;
+      totalPaid += principalPart + interestPart + monthlyInsurance;
       
-      // Handle rounding/end of loan
-      if (month === nm2) remP2 = 0;
-      if (month === nm1) remP1 = 0;
-      if (remP1 < 0) remP1 = 0;
-      if (remP2 < 0) remP2 = 0;
-
-      totalPaid += pay1 + pay2 + totalIns;
-
       table.push({
-        month,
-        year: Math.ceil(month / 12),
-        payment: pay1 + pay2,
-        paymentP1: pay1,
-        paymentP2: pay2,
-        principalP1: princ1,
-        interestP1: int1,
-        principalP2: princ2,
-        interestP2: int2,
-        insurance: totalIns,
-        totalPaid,
-        remainingCapitalP1: remP1,
-        remainingCapitalP2: remP2,
-        remainingCapital: remP1 + remP2
+        month: m,
+        year: Math.ceil(m / 12),
+        payment: principalPart + interestPart,
+        principalPart: principalPart,
+        interestPart: interestPart,
+        insurance: monthlyInsurance,
+        totalPaid: totalPaid,
+        remainingCapital: Math.max(0, remainingCapital)
       });
     }
     
-    return table;
+    const originalTotals = calcTableTotals(original);
+    const newTotals = calcTableTotals(table);
+    const interestSaved = originalTotals.interest - newTotals.interest;
+    const insuranceSaved = originalTotals.insurance - newTotals.insurance;
+    
+    return {
+      table: table,
+      original: original,
+      summary: {
+        month: month,
+        amount: amount,
+        penalty: penalty,
+        newPayment: table.length > month ? table[month].payment : 0,
+        monthsSaved: original.length - table.length,
+        interestSaved: interestSaved,
+        insuranceSaved: insuranceSaved,
+        netSavings: interestSaved + insuranceSaved - penalty
+      }
+    };
   };
 
+  // ============================================
+  // 9c. VEFA STAGED DISBURSEMENT (APPELS DE FONDS)
+  // ============================================
+
   /**
-   * Calculate Max Loan Amount with Gigogne
-   * @param {number} monthlyPayment - Max monthly payment
-   * @param {number} r1 - Primary rate
-   * @param {number} n1 - Primary duration
-   * @param {number} r2 - Secondary rate
-   * @param {number} n2 - Secondary duration
-   * @param {number} maxP2 - Max secondary amount
-   * @returns {Object} { totalLoan, p1, p2 }
-   */
-  const calcMaxLoanWithGigogne = (monthlyPayment, r1, n1, r2, n2, maxP2) => {
-    // We want to find P1, P2 such that SmoothPayment(P1, P2) = monthlyPayment
-    // And P2 is maximized (up to maxP2)
-    // M = (P1 + m2 * A(r1, n2)) / A(r1, n1)
-    // m2 = P2 / A(r2, n2)
-    // M * A(r1, n1) = P1 + P2 * (A(r1, n2) / A(r2, n2))
-    // P1 = M * A(r1, n1) - P2 * (A(r1, n2) / A(r2, n2))
-    
-    const rm1 = r1 / 12 / 100;
-    const rm2 = r2 / 12 / 100;
-    const nm1 = n1 * 12;
-    const nm2 = n2 * 12;
-    
-    const calcAnnuityFactor = (r, n) => (r === 0) ? n : (1 - Math.pow(1 + r, -n)) / r;
-    
-    const A1_n1 = calcAnnuityFactor(rm1, nm1);
-    const A1_n2 = calcAnnuityFactor(rm1, nm2);
-    const A2_n2 = calcAnnuityFactor(rm2, nm2);
-    
-    // Ratio of payments
-    const ratio = A1_n2 / A2_n2;
-    
-    // Max possible P1 + P2 * ratio = M * A1_n1
-    const capacityConstant = monthlyPayment * A1_n1;
-    
-    // We want to maximize P2.
-    // P1 = capacityConstant - P2 * ratio
-    // Total = P1 + P2 = capacityConstant + P2 * (1 - ratio)
-    // Since usually r2 < r1, A2_n2 > A1_n2 (for same n2? No, A decreases with r).
-    // Wait. A(r) = (1 - (1+r)^-n)/r.
-    // If r=0, A=n. If r>0, A<n.
-    // So lower rate -> higher A.
-    // So if r2 < r1, A2_n2 > A1_n2.
-    // So ratio = A1_n2 / A2_n2 < 1.
-    // So (1 - ratio) > 0.
-    // So Total increases as P2 increases.
-    // So we should maximize P2.
-    
-    let p2 = maxP2;
-    let p1 = capacityConstant - p2 * ratio;
-    
-    // Check if P1 is valid (must be > 0, and satisfy negative amortization)
-    // Neg Amort: M - m2 >= P1 * rm1
-    // M - P2/A2_n2 >= P1 * rm1
-    
-    // If P1 < 0, reduce P2
-    if (p1 < 0) {
-      // P1 = 0 -> P2 * ratio = capacityConstant
-      p2 = capacityConstant / ratio;
-      p1 = 0;
-    }
-    
-    // Check negative amortization
-    // This is harder to solve analytically, use binary search if needed.
-    // Or just check and reduce P2.
-    
-    const checkNegAmort = (valP2) => {
-      const valP1 = capacityConstant - valP2 * ratio;
-      const m2 = valP2 / A2_n2;
-      const primaryPay = monthlyPayment - m2;
-      const primaryInt = valP1 * rm1;
-      return primaryPay >= (primaryInt - 0.01);
-    };
-    
-    if (!checkNegAmort(p2)) {
-      // Binary search for max valid P2
-      let low = 0;
-      let high = p2;
-      let optimal = 0;
-      for(let i=0; i<20; i++) {
-        const mid = (low + high) / 2;
-        if (checkNegAmort(mid)) {
-          optimal = mid;
-          low = mid;
-        } else {
-          high = mid;
-        }
+   * Turn a calendar of cumulative calls for funds into disbursement steps
+   * Calls are sorted by month, percentages are cumulative (capped at 100%), and whatever
+   * is left is called at delivery (the latest call month)
+   * @param {Array} calls - Calls for funds [{label, percent (cumulative %), month (from signature)}]
+   * @returns {Object} {steps: [{label, month, share}], deliveryMonth}
+   */
+  const normalizeVefaCalls = (calls) => {
+    const sorted = (calls || [])
+      .filter(c => c && c.month >= 0 && Number.isFinite(c.percent))
+      .sort((a, b) => a.month - b.month);
+    
+    const steps = [];
+    var called = 0;
+    sorted.forEach(call => {
+      const cumulative = Math.min(100, Math.max(called, call.percent));
+      steps.push({ label: call.label, month: call.month, share: (cumulative - called) / 100 });
+      called = cumulative;
+    });
+    
+    const deliveryMonth = sorted.length > 0 ? sorted[sorted.length - 1].month : 0;
+    if (called < 100) {
+      if (steps.length > 0) {
+        steps[steps.length - 1].share += (100 - called) / 100;
+      } else {
+        steps.push({ label: 'Livraison', month: 0, share: 1 });
       }
-      p2 = optimal;
-      p1 = capacityConstant - p2 * ratio;
     }
     
-    return {
-      totalLoan: p1 + p2,
-      p1: p1,
-      p2: p2
-    };
+    return { steps: steps, deliveryMonth: deliveryMonth };
   };
 
   /**
-   * Optimize maximum property price with Gigogne and Insurance
-   * @param {Object} params - All parameters needed
-   * @returns {Object} Result object
+   * Generate the construction phase of an off-plan (VEFA) purchase
+   * Each call for funds releases the same share of every loan, loans flagged atDelivery (éco-PTZ)
+   * are paid out in full at delivery. Until delivery the borrower only pays intercalary interest
+   * and insurance on the capital released so far.
+   * Month t pays the interest of the capital outstanding during month t, then receives the
+   * calls due at month t (calls at month 0 are released at signature).
+   * @param {Array} loans - Loans financing the calls [{label, amount, rate (%), atDelivery}], main loan first
+   *   for a loan stack
+   * @param {Object} insurance - Insurance descriptor {rate, mode, fixedMonthly}
+   * @param {Array} calls - Calls for funds (see normalizeVefaCalls)
+   * @returns {Object} {rows, deliveryMonth, intercalaryInterest, intercalaryInsurance}
    */
-  const optimizeMaxPropertyPriceWithGigogne = (
+  const generateVefaConstructionTable = (loans, insurance, calls) => {
+    const { steps, deliveryMonth } = normalizeVefaCalls(calls);
+    const totalLoan = loans.reduce((sum, l) => sum + (l.amount || 0), 0);
+    const isStack = loans.length > 1;
+    
+    const shareUntil = (month) => steps
+      .filter(step => step.month <= month)
+      .reduce((sum, step) => sum + step.share, 0);
+    const loanShareUntil = (loan, month) => loan.atDelivery ? (month >= deliveryMonth ? 1 : 0) : shareUntil(month);
+    const releasedUntil = (month) => loans.reduce((sum, l) => sum + (l.amount || 0) * loanShareUntil(l, month), 0);
+    
+    const rows = [];
+    var totalPaid = 0;
+    var intercalaryInterest = 0;
+    var intercalaryInsurance = 0;
+    
+    for (var month = 1; month <= deliveryMonth && totalLoan > 0; month++) {
+      const interests = loans.map(l => l.amount * loanShareUntil(l, month - 1) * l.rate / 12 / 100);
+      const interest = interests.reduce((sum, i) => sum + i, 0);
+      const released = releasedUntil(month - 1);
+      const monthlyInsurance = released > 0 ? calcInsurancePremium(insurance, released, released) : 0;
+      const newReleased = releasedUntil(month);
+      
+      totalPaid += interest + monthlyInsurance;
+      intercalaryInterest += interest;
+      intercalaryInsurance += monthlyInsurance;
+      
+      const row = {
+        month: month,
+        year: Math.ceil(month / 12),
+        payment: interest,
+        principalPart: 0,
+        interestPart: interest,
+        insurance: monthlyInsurance,
+        totalPaid: totalPaid,
+        remainingCapital: newReleased,
+        disbursement: newReleased - released,
+        construction: true
+      };
+      
+      // Loan stack tables carry one entry per loan
+      if (isStack) {
+        row.layers = loans.map((l, i) => ({
+          label: l.label,
+          payment: interests[i],
+          principal: 0,
+          interest: interests[i],
+          capitalizedInterest: 0,
+          remainingCapital: l.amount * loanShareUntil(l, month)
+        }));
+      }
+      
+      rows.push(row);
+    }
+    
+    return {
+      rows: rows,
+      deliveryMonth: rows.length,
+      intercalaryInterest: intercalaryInterest,
+      intercalaryInsurance: intercalaryInsurance
+    };
+  };
+
+  /**
+   * Put a phase (construction...) in front of an amortization table
+   * Months, years and the running total of the table are shifted accordingly
+   * @param {Array} phaseRows - Rows of the earlier phase
+   * @param {Array} table - Amortization table starting after the phase
+   * @returns {Array} Combined table
+   */
+  const prependPhaseRows = (phaseRows, table) => {
+    if (!phaseRows || phaseRows.length === 0) {
+      return table;
+    }
+    
+    const offset = phaseRows.length;
+    const paidBefore = phaseRows[offset - 1].totalPaid;
+    
+    return [
+      ...phaseRows.map(row => ({ ...row })),
+      ...table.map(row => ({
+        ...row,
+        month: row.month + offset,
+        year: Math.ceil((row.month + offset) / 12),
+        totalPaid: row.totalPaid + paidBefore
+      }))
+    ];
+  };
+
+  // ============================================
+  // 9d. RENT VS BUY
+  // ============================================
+
+  /**
+   * Compare net worth of buying vs keeping on renting, month by month
+   * Buyer: property value - remaining capital + savings. Renter: apport invested + savings.
+   * Each month, whoever spends less invests the difference. During a VEFA construction
+   * phase the buyer still pays rent. Selling costs are not deducted.
+   * @param {Object} params - Comparison inputs
+   * @param {number} params.propertyPrice - Property price
+   * @param {number} params.capital - Apport, spent by the buyer, invested by the renter
+   * @param {Array} params.table - Amortization table of the purchase
+   * @param {number} params.ownershipMonthly - Owner-only monthly costs (taxe foncière, charges, maintenance)
+   * @param {Object} params.settings - {rent, rentGrowth, appreciation, investmentReturn} (€/month, %/year)
+   * @returns {Object} {points: [{year, buy, rent, propertyValue, remainingCapital}], breakEvenYear}
+   */
+  const compareRentVsBuy = ({ propertyPrice, capital, table, ownershipMonthly, settings }) => {
+    if (!Array.isArray(table) || table.length === 0) {
+      return { points: [], breakEvenYear: null };
+    }
+    
+    const monthlyReturn = Math.pow(1 + (settings.investmentReturn || 0) / 100, 1 / 12) - 1;
+    const monthlyAppreciation = Math.pow(1 + (settings.appreciation || 0) / 100, 1 / 12) - 1;
+    
+    // Off-plan: the whole price is owed from signature, whatever the bank has released so far
+    const committedLoan = table
+      .filter(row => row.construction)
+      .reduce((max, row) => Math.max(max, row.remainingCapital), 0);
+    
+    let renterSavings = Math.max(0, capital || 0);
+    let buyerSavings = 0;
+    let propertyValue = propertyPrice;
+    let rent = settings.rent || 0;
+    const points = [];
+    let breakEvenYear = null;
+    
+    table.forEach((row, index) => {
+      // Rent is revised once a year
+      if (index > 0 && index % 12 === 0) {
+        rent *= 1 + (settings.rentGrowth || 0) / 100;
+      }
+      
+      const buyerCost = row.payment + row.insurance + (row.prepayment || 0) + (row.penalty || 0) +
+        (row.construction ? rent : ownershipMonthly || 0);
+      
+      renterSavings = renterSavings * (1 + monthlyReturn) + Math.max(0, buyerCost - rent);
+      buyerSavings = buyerSavings * (1 + monthlyReturn) + Math.max(0, rent - buyerCost);
+      propertyValue *= 1 + monthlyAppreciation;
+      
+      // One point per year, plus the last month of a partial year
+      if ((index + 1) % 12 === 0 || index === table.length - 1) {
+        const debt = row.construction ? committedLoan : row.remainingCapital;
+        const point = {
+          year: Math.ceil((index + 1) / 12),
+          buy: propertyValue - debt + buyerSavings,
+          rent: renterSavings,
+          propertyValue: propertyValue,
+          remainingCapital: debt
+        };
+        points.push(point);
+        
+        if (breakEvenYear === null && point.buy >= point.rent) {
+          breakEvenYear = point.year;
+        }
+      }
+    });
+    
+    return { points: points, breakEvenYear: breakEvenYear };
+  };
+
+  // ============================================
+  // 10. TAEG CALCULATION (ACTUARIAL IRR)
+  // ============================================
+
+  /**
+   * Build the monthly cash-flow series used for the TAEG
+   * Month 0: capital released at signature minus upfront fees (frais de dossier, guarantee,
+   * brokerage...), negative when nothing is released before the first call for funds.
+   * Month t: every outflow of the schedule (payment + insurance), so deferral, loan stack
+   * phases and declining insurance are all reflected.
+   * Staged disbursements (row.disbursement, VEFA calls for funds) and the guarantee refund
+   * (row.guaranteeRefund, FMG) are inflows of their month.
+   * Sign convention: money received by the borrower is positive.
+   * @param {number} loan - Borrowed capital
+   * @param {number} upfrontFees - Fees paid at disbursement that count in the TAEG
+   * @param {Array} amortizationTable - Amortization table (payment and insurance per month)
+   * @returns {Array} Cash flows indexed by month (0..n)
+   */
+  const buildTAEGCashFlows = (loan, upfrontFees, amortizationTable) => {
+    if (!loan || loan <= 0 || !Array.isArray(amortizationTable)) {
+      return [];
+    }
+    
+    // Capital released after month 0 is received in its own month
+    const laterDisbursements = amortizationTable.reduce((sum, row) => sum + (row.disbursement || 0), 0);
+    const signatureDisbursement = Math.max(0, loan - laterDisbursements);
+    
+    const cashFlows = [signatureDisbursement - (upfrontFees || 0)];
+    amortizationTable.forEach(row => {
+      cashFlows.push((row.disbursement || 0) + (row.guaranteeRefund || 0) - ((row.payment || 0) + (row.insurance || 0)));
+    });
+    
+    return cashFlows;
+  };
+
+  /**
+   * Net present value of monthly cash flows at a monthly rate
+   * @param {Array} cashFlows - Cash flows indexed by month
+   * @param {number} monthlyRate - Monthly discount rate as decimal
+   * @returns {number} Net present value
+   */
+  const calcNPV = (cashFlows, monthlyRate) => {
+    var npv = 0;
+    var discount = 1;
+    for (var t = 0; t < cashFlows.length; t++) {
+      npv += cashFlows[t] * discount;
+      discount /= (1 + monthlyRate);
+    }
+    return npv;
+  };
+
+  /**
+   * Calculate the regulatory TAEG (taux annuel effectif global)
+   * Solves NPV(i) = 0 for the monthly actuarial rate i by bisection (deterministic,
+   * always converges for a disbursement followed by repayments), then annualises it
+   * the actuarial way: TAEG = (1 + i)^12 - 1
+   * @param {Array} cashFlows - Monthly cash flows (see buildTAEGCashFlows)
+   * @returns {number} TAEG as percentage
+   */
+  const calcTAEG = (cashFlows) => {
+    // Validate inputs: need at least one repayment and a positive net disbursement
+    // (staged disbursements may leave month 0 with the upfront fees only)
+    if (!Array.isArray(cashFlows) || cashFlows.length < 2) {
+      return 0;
+    }
+    const netDisbursement = cashFlows.reduce((sum, flow) => sum + Math.max(0, flow), Math.min(0, cashFlows[0]));
+    if (netDisbursement <= 0) {
+      return 0;
+    }
+    
+    const taegConfig = FormulaConstants.taeg;
+    var low = taegConfig.minRate;
+    var high = taegConfig.maxRate;
+    
+    // NPV increases with the rate (repayments weigh less): no root in range means the bound is the answer
+    if (calcNPV(cashFlows, low) >= 0) {
+      return low * 100;
+    }
+    if (calcNPV(cashFlows, high) <= 0) {
+      return (Math.pow(1 + high, 12) - 1) * 100;
+    }
+    
+    var iterations = 0;
+    while (high - low > taegConfig.tolerance && iterations < taegConfig.maxIterations) {
+      const mid = (low + high) / 2;
+      if (calcNPV(cashFlows, mid) < 0) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+      iterations++;
+    }
+    
+    const monthlyRate = (low + high) / 2;
+    return (Math.pow(1 + monthlyRate, 12) - 1) * 100;
+  };
+
+  // ============================================
+  // 10b. USURY RATE (TAUX D'USURE)
+  // ============================================
+
+  /**
+   * Get the usury ceiling applicable to a loan
+   * Duration bands are [previous maxYears, maxYears) - e.g. 20 years falls in '20 ans et plus'
+   * @param {string} category - UsuryRates category key ('fixed', 'variable', 'bridge')
+   * @param {number} durationYears - Loan duration in years
+   * @returns {Object|null} {rate, category, band} or null if the category is unknown
+   */
+  const getUsuryRate = (category, durationYears) => {
+    const config = UsuryRates.categories[category];
+    if (!config || !Array.isArray(config.bands)) {
+      return null;
+    }
+    
+    const band = config.bands.find(b => b.maxYears === null || durationYears < b.maxYears)
+      || config.bands[config.bands.length - 1];
+    
+    return {
+      rate: band.rate,
+      category: config.label,
+      band: band.label
+    };
+  };
+
+  /**
+   * Check a TAEG against the usury ceiling
+   * @param {number} taeg - TAEG as percentage
+   * @param {string} category - UsuryRates category key
+   * @param {number} durationYears - Loan duration in years
+   * @returns {Object|null} {ceiling, compliant, margin, category, band} or null if no ceiling applies
+   */
+  const checkUsury = (taeg, category, durationYears) => {
+    const usury = getUsuryRate(category, durationYears);
+    if (!usury) {
+      return null;
+    }
+    
+    return {
+      ceiling: usury.rate,
+      compliant: taeg <= usury.rate,
+      margin: usury.rate - taeg,   // Negative when the offer is illegal
+      category: usury.category,
+      band: usury.band
+    };
+  };
+
+  /**
+   * Find the largest value of a parameter that keeps the TAEG at or below the ceiling
+   * The TAEG must increase with the parameter (insurance rate, fees...)
+   * @param {Function} taegFor - Function (value) => TAEG as percentage
+   * @param {number} ceiling - Usury ceiling as percentage
+   * @param {number} low - Lower bound of the search
+   * @param {number} high - Upper bound of the search
+   * @returns {number|null} Maximum value, or null if even the lower bound exceeds the ceiling
+   */
+  const solveUsuryLimit = (taegFor, ceiling, low, high) => {
+    if (taegFor(low) > ceiling) {
+      return null;
+    }
+    if (taegFor(high) <= ceiling) {
+      return high;
+    }
+    
+    // Bisection: 40 halvings are enough for any realistic range
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (taegFor(mid) <= ceiling) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    
+    return low;
+  };
+
+  // ============================================
+  // 11. LOAN STACK (MAIN LOAN + SMOOTHED LAYERS)
+  // ============================================
+
+  /**
+   * Constant installment repaying a capital over a number of months (zero rate allowed)
+   * @param {number} capital - Capital to repay
+   * @param {number} monthlyRate - Monthly rate as decimal
+   * @param {number} months - Number of installments
+   * @returns {number} Monthly installment
+   */
+  const calcAnnuityPayment = (capital, monthlyRate, months) => {
+    if (!capital || capital <= 0 || months <= 0) return 0;
+    if (monthlyRate === 0) return capital / months;
+
+    return capital * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+  };
+
+  /**
+   * Deferral of a loan layer, limited to its duration (null without deferral)
+   * @param {Object} layer - Layer {duration (years), deferral {type, months}}
+   * @returns {Object|null} Deferral {type, months}
+   */
+  const getLayerDeferral = (layer) => {
+    const months = getDeferralMonths(layer.deferral, Math.round(layer.duration * 12));
+    return months > 0 ? { type: layer.deferral.type, months: months } : null;
+  };
+
+  /**
+   * Monthly schedule of a layer repaid on its own: deferral, then constant installments
+   * @param {Object} layer - Layer {amount, rate (%), duration (years, deferral included), deferral {type, months}}
+   * @returns {Array} Months [{payment, principal, interest, capitalizedInterest, remainingCapital}]
+   */
+  const buildLayerSchedule = (layer) => {
+    const months = Math.round(layer.duration * 12);
+    const monthlyRate = layer.rate / 12 / 100;
+    const deferral = getLayerDeferral(layer);
+    const deferralMonths = deferral ? deferral.months : 0;
+    const installment = calcAnnuityPayment(
+      calcDeferredCapital(layer.amount, layer.rate, deferral),
+      monthlyRate,
+      months - deferralMonths
+    );
+
+    const schedule = [];
+    var remaining = layer.amount;
+
+    for (var month = 1; month <= months; month++) {
+      const interest = remaining * monthlyRate;
+
+      if (month <= deferralMonths) {
+        const capitalizedInterest = deferral.type === 'total' ? interest : 0;
+        remaining += capitalizedInterest;
+        schedule.push({
+          payment: interest - capitalizedInterest,
+          principal: 0,
+          interest: interest - capitalizedInterest,
+          capitalizedInterest: capitalizedInterest,
+          remainingCapital: remaining
+        });
+        continue;
+      }
+
+      const principal = installment - interest;
+      remaining -= principal;
+      if (month === months || remaining < 0) remaining = 0;
+
+      schedule.push({
+        payment: installment,
+        principal: principal,
+        interest: interest,
+        capitalizedInterest: 0,
+        remainingCapital: remaining
+      });
+    }
+
+    return schedule;
+  };
+
+  /**
+   * Installments of the other layers, month by month (index 0 = month 1)
+   * @param {Array} schedules - Layer schedules (see buildLayerSchedule)
+   * @param {number} months - Number of months
+   * @returns {Array} Total installment of the layers for each month
+   */
+  const sumLayerPayments = (schedules, months) => {
+    return Array.from({ length: months }, (_, i) =>
+      schedules.reduce((sum, schedule) => sum + (schedule[i] ? schedule[i].payment : 0), 0)
+    );
+  };
+
+  /**
+   * Smoothed total installment of a loan stack (lissage)
+   * The main loan absorbs the installments of the other layers so that the total stays constant
+   * over its amortization phase: M = (P1' + Σ S(t) × v^(t-d)) / A(r1, n1 - d)
+   * where P1' is the main capital after its deferral d and S(t) the installments of the other layers
+   * @param {Object} main - Main loan {amount, rate, duration, deferral}
+   * @param {Array} layers - Other layers {amount, rate, duration, deferral}
+   * @returns {number} Smoothed monthly installment (excluding insurance)
+   */
+  const calcStackSmoothPayment = (main, layers) => {
+    const months = Math.round(main.duration * 12);
+    const deferral = getLayerDeferral(main);
+    const deferralMonths = deferral ? deferral.months : 0;
+    const monthlyRate = main.rate / 12 / 100;
+    const others = sumLayerPayments(layers.map(buildLayerSchedule), months);
+
+    var discounted = 0;
+    for (var month = deferralMonths + 1; month <= months; month++) {
+      discounted += others[month - 1] * Math.pow(1 + monthlyRate, deferralMonths - month);
+    }
+
+    const amortizingMonths = months - deferralMonths;
+    const annuityFactor = monthlyRate === 0
+      ? amortizingMonths
+      : (1 - Math.pow(1 + monthlyRate, -amortizingMonths)) / monthlyRate;
+
+    return (calcDeferredCapital(main.amount, main.rate, deferral) + discounted) / annuityFactor;
+  };
+
+  /**
+   * Capital of the stack when amortization starts (each layer after its own deferral)
+   * Used for the insurance of the first amortizing month
+   * @param {Object} stack - {main, layers}
+   * @returns {number} Capital
+   */
+  const calcStackAmortizingCapital = ({ main, layers }) => {
+    return [main, ...layers].reduce(
+      (sum, layer) => sum + calcDeferredCapital(layer.amount, layer.rate, getLayerDeferral(layer)),
+      0
+    );
+  };
+
+  /**
+   * Check that smoothing never makes the main loan amortize negatively
+   * (its share of the smoothed installment must cover its interest every month)
+   * @param {Object} stack - {main, layers}
+   * @returns {boolean} True when the main loan amortizes every month
+   */
+  const isStackAmortizing = ({ main, layers }) => {
+    if (main.amount < 0) return false;
+
+    const months = Math.round(main.duration * 12);
+    const deferral = getLayerDeferral(main);
+    const deferralMonths = deferral ? deferral.months : 0;
+    const monthlyRate = main.rate / 12 / 100;
+    const smoothPayment = calcStackSmoothPayment(main, layers);
+    const others = sumLayerPayments(layers.map(buildLayerSchedule), months);
+
+    var remaining = calcDeferredCapital(main.amount, main.rate, deferral);
+    for (var month = deferralMonths + 1; month <= months; month++) {
+      const payment = smoothPayment - others[month - 1];
+      const interest = remaining * monthlyRate;
+
+      // Allow a tiny tolerance for floating point issues
+      if (payment < interest - 0.01) return false;
+      remaining -= payment - interest;
+    }
+
+    return true;
+  };
+
+  /**
+   * Split a total loan between the main loan and the other layers
+   * The layers keep their amounts when possible; otherwise they are scaled down by the same
+   * factor until they fit in the loan and the main loan amortizes every month
+   * @param {number} totalLoan - Total loan amount required
+   * @param {Object} main - Main loan {label, rate, duration, deferral}
+   * @param {Array} layers - Other layers {label, amount (maximum), rate, duration, deferral}
+   * @returns {Object} {main, layers} with main.amount = totalLoan - layers
+   */
+  const fitLoanStack = (totalLoan, main, layers) => {
+    const loan = Math.max(0, totalLoan || 0);
+    const layersTotal = layers.reduce((sum, layer) => sum + layer.amount, 0);
+
+    const buildStack = (factor) => {
+      const scaled = layers.map(layer => ({
+        ...layer,
+        amount: factor < 1 ? Math.floor(layer.amount * factor) : layer.amount
+      }));
+      const scaledTotal = scaled.reduce((sum, layer) => sum + layer.amount, 0);
+      return { main: { ...main, amount: loan - scaledTotal }, layers: scaled };
+    };
+
+    // Constraint: the layers fit in the loan
+    const maxFactor = layersTotal > loan ? loan / layersTotal : 1;
+    if (isStackAmortizing(buildStack(maxFactor))) {
+      return buildStack(maxFactor);
+    }
+
+    // Binary search for the largest valid factor
+    let low = 0;
+    let high = maxFactor;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      if (isStackAmortizing(buildStack(mid))) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return buildStack(low);
+  };
+
+  /**
+   * Generate the amortization table of a loan stack
+   * Rows carry the totals of a standard table plus `layers`, one entry per loan (main loan first):
+   * {label, payment, principal, interest, capitalizedInterest, remainingCapital}
+   * The table runs until the longest layer is repaid, rows in the main loan deferral carry `deferred`
+   * @param {Object} params - {main, layers, insurance} (see fitLoanStack)
+   * @returns {Array} Amortization table
+   */
+  const generateLoanStackTable = ({ main, layers, insurance }) => {
+    const mainMonths = Math.round(main.duration * 12);
+    const mainDeferral = getLayerDeferral(main);
+    const deferralMonths = mainDeferral ? mainDeferral.months : 0;
+    const monthlyRate = main.rate / 12 / 100;
+    const smoothPayment = calcStackSmoothPayment(main, layers);
+    const schedules = layers.map(buildLayerSchedule);
+    const months = Math.max(mainMonths, ...schedules.map(schedule => schedule.length));
+    const others = sumLayerPayments(schedules, months);
+    const initialCapital = [main, ...layers].reduce((sum, layer) => sum + layer.amount, 0);
+
+    const table = [];
+    var remainingMain = main.amount;
+    var remainingLayers = layers.map(layer => layer.amount);
+    var totalPaid = 0;
+
+    for (var month = 1; month <= months; month++) {
+      // Insurance on initial or remaining capitals (before this month's repayment)
+      const monthlyInsurance = calcInsurancePremium(
+        insurance,
+        initialCapital,
+        remainingMain + remainingLayers.reduce((sum, r) => sum + r, 0)
+      );
+
+      // Main loan: deferral, then its share of the smoothed installment
+      const interest = remainingMain * monthlyRate;
+      var mainRow;
+      if (month > mainMonths) {
+        mainRow = { payment: 0, principal: 0, interest: 0, capitalizedInterest: 0 };
+      } else if (month <= deferralMonths) {
+        const capitalizedInterest = mainDeferral.type === 'total' ? interest : 0;
+        remainingMain += capitalizedInterest;
+        mainRow = { payment: interest - capitalizedInterest, principal: 0, interest: interest - capitalizedInterest, capitalizedInterest: capitalizedInterest };
+      } else {
+        const payment = smoothPayment - others[month - 1];
+        remainingMain -= payment - interest;
+        if (month === mainMonths || remainingMain < 0) remainingMain = 0;
+        mainRow = { payment: payment, principal: payment - interest, interest: interest, capitalizedInterest: 0 };
+      }
+
+      const layerRows = [
+        { label: main.label, ...mainRow, remainingCapital: remainingMain },
+        ...layers.map((layer, i) => {
+          const row = schedules[i][month - 1] || { payment: 0, principal: 0, interest: 0, capitalizedInterest: 0, remainingCapital: 0 };
+          remainingLayers[i] = row.remainingCapital;
+          return { label: layer.label, ...row };
+        })
+      ];
+
+      const sum = (field) => layerRows.reduce((total, row) => total + row[field], 0);
+      const capitalizedInterest = sum('capitalizedInterest');
+      totalPaid += sum('payment') + monthlyInsurance;
+
+      table.push({
+        month: month,
+        year: Math.ceil(month / 12),
+        payment: sum('payment'),
+        principalPart: sum('principal'),
+        interestPart: sum('interest'),
+        ...(capitalizedInterest > 0 ? { capitalizedInterest: capitalizedInterest } : {}),
+        insurance: monthlyInsurance,
+        totalPaid: totalPaid,
+        remainingCapital: sum('remainingCapital'),
+        layers: layerRows,
+        ...(month <= deferralMonths ? { deferred: mainDeferral.type } : {})
+      });
+    }
+
+    return table;
+  };
+
+  /**
+   * Calculate maximum loan of a stack for a smoothed installment
+   * The other layers keep their amounts, the main loan takes the rest of the budget
+   * @param {number} monthlyPayment - Max smoothed installment
+   * @param {Object} main - Main loan {rate, duration, deferral}
+   * @param {Array} layers - Other layers {amount, rate, duration, deferral}
+   * @returns {Object} {totalLoan, mainAmount}
+   */
+  const calcMaxLoanWithStack = (monthlyPayment, main, layers) => {
+    // The smoothed installment is linear in the main amount: M = M(0) + P1 × (M(1) - M(0))
+    const base = calcStackSmoothPayment({ ...main, amount: 0 }, layers);
+    const perEuro = calcStackSmoothPayment({ ...main, amount: 1 }, layers) - base;
+    const mainAmount = perEuro > 0 ? Math.max(0, (monthlyPayment - base) / perEuro) : 0;
+
+    return {
+      totalLoan: mainAmount + layers.reduce((sum, layer) => sum + layer.amount, 0),
+      mainAmount: mainAmount
+    };
+  };
+
+  /**
+   * Optimize maximum property price with a loan stack and insurance
+   * Same positional parameters as optimizeMaxPropertyPriceWithInsurance, with the other
+   * layers {label, amount, rate, duration, deferral} inserted before the combined insurance descriptor,
+   * either as an array or as a function of the candidate price returning them (PTZ sized on the price)
+   * and the optional deferral of the main loan {type, months} and fee options {department, firstTimeBuyer,
+   * agencyFees, furnitureValue, guaranteeType, oneOffCosts, worksAmount}
+   * @returns {Object} Result object, with the fitted stack {main, layers}
+   */
+  const optimizeMaxPropertyPriceWithStack = (
     capital,
     maxMonthlyPayment,
     fraisDossier,
     propertyType,
-    r1,
-    n1,
-    r2,
-    n2,
-    maxP2,
-    age
+    annualRate,
+    durationYears,
+    layers,
+    insurance,
+    deferral,
+    options = {}
   ) => {
+    const emptyResult = {
+      price: 0, notaryFees: 0, caution: 0, totalFees: 0,
+      loan: 0, monthlyPayment: 0, monthlyInsurance: 0
+    };
+
     // Validate inputs
     if (!capital || capital < 0 || !maxMonthlyPayment || maxMonthlyPayment <= 0) {
-      return { 
-        price: 0, notaryFees: 0, caution: 0, totalFees: 0, 
-        loan: 0, monthlyPayment: 0, monthlyInsurance: 0 
-      };
+      return emptyResult;
     }
-    
-    const insuranceRate = getInsuranceRate(age);
-    
-    // 1. Calculate initial max loan (ignoring insurance for now to get upper bound)
-    // We use calcMaxLoanWithGigogne to get the max loan capacity given the monthly payment budget
-    const maxLoanResult = calcMaxLoanWithGigogne(maxMonthlyPayment, r1, n1, r2, n2, maxP2);
-    const initialMaxLoan = maxLoanResult.totalLoan;
-    
+
+    const main = { label: 'Prêt principal', rate: annualRate, duration: durationYears, deferral: deferral };
+    const layersAt = typeof layers === 'function' ? layers : () => layers;
+
+    // 1. Upper bound of the loan (insurance ignored), without the layers then with the layers at that price
+    const baseMaxLoan = calcMaxLoanWithStack(maxMonthlyPayment, main, []).totalLoan;
+    const basePrice = calcMaxPropertyPrice(capital, baseMaxLoan, fraisDossier, propertyType, options).price;
+    const initialMaxLoan = Math.max(
+      baseMaxLoan,
+      calcMaxLoanWithStack(maxMonthlyPayment, main, layersAt(basePrice)).totalLoan
+    );
+
     // 2. Calculate initial max price
     const initialMaxPriceResult = calcMaxPropertyPrice(
       capital,
       initialMaxLoan,
       fraisDossier,
-      propertyType
+      propertyType,
+      options
     );
-    
+
     if (initialMaxPriceResult.price <= 0) {
-      return { 
-        price: 0, notaryFees: 0, caution: 0, totalFees: 0, 
-        loan: 0, monthlyPayment: 0, monthlyInsurance: 0 
-      };
+      return emptyResult;
     }
-    
+
     // 3. Binary search for affordability
     const checkAffordability = (candidatePrice) => {
-      // Calculate required loan
-      const loanResult = calcRequiredLoan(candidatePrice, capital, fraisDossier, propertyType);
+      const loanResult = calcRequiredLoan(candidatePrice, capital, fraisDossier, propertyType, options);
       const requiredLoan = loanResult.loan;
-      
+
       if (requiredLoan <= 0) {
         return { affordable: true, totalMonthlyCost: 0, shortfall: -maxMonthlyPayment };
       }
-      
-      // Calculate optimal split for this required loan
-      const optimalP2 = calcOptimalSecondaryAmount(requiredLoan, r1, n1, r2, n2, maxP2);
-      const p1 = requiredLoan - optimalP2;
-      
-      // Calculate smooth monthly payment
-      const monthlyLoanPayment = calcSmoothMensuality(p1, r1, n1, optimalP2, r2, n2);
-      
-      // Calculate insurance
-      const monthlyInsurance = calcMonthlyInsurance(requiredLoan, insuranceRate);
-      
+
+      const stack = fitLoanStack(requiredLoan, main, layersAt(candidatePrice));
+      const monthlyLoanPayment = calcStackSmoothPayment(stack.main, stack.layers);
+      const monthlyInsurance = calcInsurancePremium(insurance, requiredLoan, calcStackAmortizingCapital(stack));
       const totalMonthlyCost = monthlyLoanPayment + monthlyInsurance;
       const shortfall = totalMonthlyCost - maxMonthlyPayment;
-      
+
       return {
         affordable: shortfall <= 0,
         totalMonthlyCost,
+        monthlyInsurance,
         shortfall,
         loan: requiredLoan,
         loanResult,
-        p1,
-        p2: optimalP2
+        stack
       };
     };
-    
-    // Binary search
+
     let minPrice = 0;
     let maxPrice = initialMaxPriceResult.price;
     let optimalPrice = 0;
     const tolerance = 100;
     const maxIterations = 30;
     let iterations = 0;
-    
+
+    // Layers growing with the price (PTZ) may afford more than the initial bound
+    while (iterations < maxIterations && checkAffordability(maxPrice).affordable) {
+      minPrice = maxPrice;
+      optimalPrice = maxPrice;
+      maxPrice *= 2;
+      iterations++;
+    }
+
     while (maxPrice - minPrice > tolerance && iterations < maxIterations) {
       const midPrice = (minPrice + maxPrice) / 2;
       const check = checkAffordability(midPrice);
-      
+
       if (check.affordable) {
         optimalPrice = midPrice;
         minPrice = midPrice;
@@ -1148,10 +2234,10 @@ MortgageSimulator.Formulas = (() => {
       }
       iterations++;
     }
-    
+
     // Final check
     const finalCheck = checkAffordability(optimalPrice);
-    
+
     if (optimalPrice > 0 && finalCheck.loanResult) {
       return {
         price: optimalPrice,
@@ -1159,17 +2245,262 @@ MortgageSimulator.Formulas = (() => {
         caution: finalCheck.loanResult.caution,
         totalFees: finalCheck.loanResult.totalFees,
         loan: finalCheck.loan,
-        monthlyPayment: finalCheck.totalMonthlyCost - calcMonthlyInsurance(finalCheck.loan, insuranceRate),
-        monthlyInsurance: calcMonthlyInsurance(finalCheck.loan, insuranceRate),
-        // Extra info
-        p1: finalCheck.p1,
-        p2: finalCheck.p2
+        monthlyPayment: finalCheck.totalMonthlyCost - finalCheck.monthlyInsurance,
+        monthlyInsurance: finalCheck.monthlyInsurance,
+        stack: finalCheck.stack
       };
     }
-    
-    return { 
-      price: 0, notaryFees: 0, caution: 0, totalFees: 0, 
-      loan: 0, monthlyPayment: 0, monthlyInsurance: 0 
+
+    return emptyResult;
+  };
+
+  // ============================================
+  // 12. ACTION LOGEMENT EMPLOYER LOAN
+  // ============================================
+
+  /**
+   * Evaluate the Action Logement loan: requested amount and duration within the caps of the rules
+   * @param {Object} params - {amount, duration, companyStaff, rentalInvestment}
+   * @returns {Object} {eligible, reasons, amount, rate, duration}
+   */
+  const evaluateActionLogementLoan = ({ amount, duration, companyStaff, rentalInvestment }) => {
+    const reasons = [];
+
+    if ((companyStaff || 0) < ActionLogementRules.minCompanyStaff) {
+      reasons.push(`Réservé aux salariés d'entreprises de ${ActionLogementRules.minCompanyStaff} salariés et plus`);
+    }
+    if (rentalInvestment) {
+      reasons.push('Réservé à la résidence principale');
+    }
+
+    const eligible = reasons.length === 0;
+
+    return {
+      eligible: eligible,
+      reasons: reasons,
+      amount: eligible ? Math.min(Math.max(0, amount || 0), ActionLogementRules.maxAmount) : 0,
+      rate: ActionLogementRules.rate,
+      duration: Math.min(Math.max(1, Math.round(duration || 0)), ActionLogementRules.maxDurationYears)
+    };
+  };
+
+  // ============================================
+  // 13. VARIABLE RATE (CAPPED) LOANS
+  // ============================================
+
+  /**
+   * Parse a user-defined index path
+   * @param {string} text - Index values by year (%), separated by ';' ("2.1; 2,5; 3")
+   * @returns {Array<number>} Index values
+   */
+  const parseRatePath = (text) => {
+    return String(text || '')
+      .split(';')
+      .map(value => parseFloat(value.trim().replace(',', '.')))
+      .filter(Number.isFinite);
+  };
+
+  /**
+   * Index value of each loan year for a scenario (year 1 is the signature year)
+   * @param {Object} variable - Variable rate settings {indexValue, customPath}
+   * @param {string} scenario - Key of VariableRateRules.scenarios, or 'custom'
+   * @param {number} years - Number of years
+   * @returns {Array<number>} Index by year (%), the last value of the path holds
+   */
+  const buildIndexPath = (variable, scenario, years) => {
+    const values = scenario === 'custom'
+      ? parseRatePath(variable.customPath)
+      : (VariableRateRules.scenarios[scenario] || VariableRateRules.scenarios.flat).deltas.map(delta => variable.indexValue + delta);
+    if (values.length === 0) {
+      values.push(variable.indexValue);
+    }
+    return Array.from({ length: years }, (_, year) => values[Math.min(year, values.length - 1)]);
+  };
+
+  /**
+   * Initial rate of a variable loan: index at signature + margin, never negative
+   * @param {Object} variable - Variable rate settings {indexValue, margin}
+   * @returns {number} Initial annual rate (%)
+   */
+  const calcVariableInitialRate = (variable) => {
+    return Math.max(0, variable.indexValue + variable.margin);
+  };
+
+  /**
+   * Rate applied at a review: index + margin within ±cap of the initial rate, never negative
+   * @param {number} index - Index at the review (%)
+   * @param {Object} variable - Variable rate settings {margin, cap}
+   * @param {number} initialRate - Initial rate (%)
+   * @returns {number} Annual rate (%)
+   */
+  const calcCappedRate = (index, variable, initialRate) => {
+    let rate = index + variable.margin;
+    if (variable.cap > 0) {
+      rate = Math.min(Math.max(rate, initialRate - variable.cap), initialRate + variable.cap);
+    }
+    return Math.max(0, rate);
+  };
+
+  /**
+   * Generate the amortization table of a variable rate loan
+   * The rate is reviewed every reviewMonths from the index path and the installment is re-annuitised
+   * over the remaining months at each review (and when the deferral ends). Rows carry the `rate` applied
+   * @param {number} loan - Loan amount
+   * @param {Object} variable - Variable rate settings {indexValue, margin, cap, reviewMonths}
+   * @param {Array<number>} indexPath - Index by year (%), see buildIndexPath
+   * @param {number} durationYears - Loan duration in years (deferral included)
+   * @param {Object} insurance - Insurance descriptor {rate, mode, fixedMonthly} (see calcInsurancePremium)
+   * @param {Object} [deferral] - Deferral {type, months}
+   * @returns {Array} Array of monthly objects
+   */
+  const generateVariableRateTable = (loan, variable, indexPath, durationYears, insurance, deferral) => {
+    if (!loan || loan <= 0 || !durationYears) {
+      return [];
+    }
+
+    const numMonths = durationYears * 12;
+    const deferralMonths = getDeferralMonths(deferral, numMonths);
+    const reviewMonths = Math.max(1, variable.reviewMonths || 12);
+    const initialRate = calcVariableInitialRate(variable);
+
+    const table = [];
+    let remainingCapital = loan;
+    let totalPaid = 0;
+    let rate = initialRate;
+    let monthlyPayment = 0;
+
+    for (let month = 1; month <= numMonths; month++) {
+      // Review: new rate from the index of the current year
+      const isReview = month > 1 && (month - 1) % reviewMonths === 0;
+      if (isReview) {
+        const year = Math.floor((month - 1) / 12);
+        rate = calcCappedRate(indexPath[Math.min(year, indexPath.length - 1)], variable, initialRate);
+      }
+      const monthlyRate = rate / 12 / 100;
+
+      // Re-annuitise the remaining capital over the remaining months
+      if (month === deferralMonths + 1 || (isReview && month > deferralMonths)) {
+        monthlyPayment = calcAnnuityPayment(remainingCapital, monthlyRate, numMonths - month + 1);
+      }
+
+      const monthlyInsurance = calcInsurancePremium(insurance, loan, remainingCapital);
+      const interest = remainingCapital * monthlyRate;
+
+      if (month <= deferralMonths) {
+        // Deferral: interest only (partial) or capitalised interest (total), no principal
+        const capitalizedInterest = deferral.type === 'total' ? interest : 0;
+        remainingCapital += capitalizedInterest;
+        totalPaid += interest - capitalizedInterest + monthlyInsurance;
+
+        table.push({
+          month: month,
+          year: Math.ceil(month / 12),
+          rate: rate,
+          payment: interest - capitalizedInterest,
+          principalPart: 0,
+          interestPart: interest - capitalizedInterest,
+          capitalizedInterest: capitalizedInterest,
+          insurance: monthlyInsurance,
+          totalPaid: totalPaid,
+          remainingCapital: remainingCapital,
+          deferred: deferral.type
+        });
+        continue;
+      }
+
+      const principalPart = monthlyPayment - interest;
+      remainingCapital -= principalPart;
+
+      // Handle rounding in last month
+      if (month === numMonths) {
+        remainingCapital = 0;
+      }
+
+      totalPaid += monthlyPayment + monthlyInsurance;
+
+      table.push({
+        month: month,
+        year: Math.ceil(month / 12),
+        rate: rate,
+        payment: monthlyPayment,
+        principalPart: principalPart,
+        interestPart: interest,
+        insurance: monthlyInsurance,
+        totalPaid: totalPaid,
+        remainingCapital: Math.max(0, remainingCapital)
+      });
+    }
+
+    return table;
+  };
+
+  /**
+   * Summary of a schedule for the scenario comparison
+   * @param {Array} table - Amortization table
+   * @returns {Object} {minPayment, maxPayment, maxRate, interest, yearlyPayments}
+   */
+  const summarizeRateSchedule = (table) => {
+    const amortizing = table.filter(row => !row.deferred);
+    const payments = amortizing.map(row => row.payment);
+
+    // Average installment of each year (reviews may fall within a year)
+    const years = {};
+    amortizing.forEach(row => {
+      years[row.year] = years[row.year] || { total: 0, count: 0 };
+      years[row.year].total += row.payment;
+      years[row.year].count++;
+    });
+
+    return {
+      minPayment: payments.length > 0 ? Math.min(...payments) : 0,
+      maxPayment: payments.length > 0 ? Math.max(...payments) : 0,
+      maxRate: table.reduce((max, row) => Math.max(max, row.rate || 0), 0),
+      interest: calcTableTotals(table).interest,
+      yearlyPayments: Object.keys(years).map(Number).sort((a, b) => a - b)
+        .map(year => ({ year: year, payment: years[year].total / years[year].count }))
+    };
+  };
+
+  /**
+   * Compare the preset scenarios (and the custom path) of a variable loan with the fixed-rate equivalent
+   * Installments exclude insurance
+   * @param {number} loan - Loan amount
+   * @param {Object} variable - Variable rate settings {indexValue, margin, cap, reviewMonths, scenario, customPath}
+   * @param {number} durationYears - Loan duration in years (deferral included)
+   * @param {number} fixedRate - Fixed rate of the same duration (%)
+   * @param {Object} [deferral] - Deferral {type, months}
+   * @returns {Object} {initialRate, selected, fixed: {rate, payment, interest, yearlyPayments},
+   *   scenarios: [{key, label, minPayment, maxPayment, maxRate, interest, yearlyPayments}],
+   *   range: {minPayment, maxPayment, minInterest, maxInterest}}
+   */
+  const compareVariableRateScenarios = (loan, variable, durationYears, fixedRate, deferral) => {
+    const keys = Object.keys(VariableRateRules.scenarios).concat(variable.scenario === 'custom' ? ['custom'] : []);
+
+    const scenarios = keys.map(key => ({
+      key: key,
+      label: key === 'custom' ? 'Personnalisé' : VariableRateRules.scenarios[key].label,
+      ...summarizeRateSchedule(generateVariableRateTable(
+        loan, variable, buildIndexPath(variable, key, durationYears), durationYears, null, deferral
+      ))
+    }));
+    const fixed = summarizeRateSchedule(generateAmortizationTable(loan, fixedRate, durationYears, null, deferral));
+
+    return {
+      initialRate: calcVariableInitialRate(variable),
+      selected: variable.scenario,
+      fixed: {
+        rate: fixedRate,
+        payment: fixed.maxPayment,
+        interest: fixed.interest,
+        yearlyPayments: fixed.yearlyPayments
+      },
+      scenarios: scenarios,
+      range: {
+        minPayment: Math.min(...scenarios.map(s => s.minPayment)),
+        maxPayment: Math.max(...scenarios.map(s => s.maxPayment)),
+        minInterest: Math.min(...scenarios.map(s => s.interest)),
+        maxInterest: Math.max(...scenarios.map(s => s.interest))
+      }
     };
   };
 
@@ -1182,37 +2513,113 @@ MortgageSimulator.Formulas = (() => {
     calcTotalMonthlyIncome,
     calcTotalMonthlyCharges,
     calcMaxMonthlyPayment,
+    calcResteAVivreThreshold,
+    calcResteAVivre,
+    calcMaxMonthlyPaymentForResteAVivre,
+    
+    // Cost of Ownership
+    calcOwnershipCosts,
+    
+    // Rental Investment
+    calcWeightedRent,
+    calcRentalYearlyCosts,
+    calcRentalYields,
+    calcRentalCashFlow,
+    buildRentalCashFlowSeries,
     
     // Insurance
     getInsuranceRate,
     calcMonthlyInsurance,
+    calcInsurancePremium,
+    getBorrowerInsurance,
+    hasInsuranceDelegation,
+    calcCombinedInsurance,
+    calcBorrowerBreakdown,
     
     // Interest Rate
+    normalizeRateGrid,
     interpolateRate,
     
     // Loan Calculations
     calcMaxLoan,
     calcMonthlyPayment,
     
+    // Deferral
+    getDeferralMonths,
+    calcDeferredCapital,
+    calcDeferredMonthlyPayment,
+    calcDeferralPhasePayment,
+    
     // Fees
+    getDmtoRate,
+    calcNotaryTaxableBase,
+    calcNotaryFeesBreakdown,
     calcNotaryFees,
     calcCautionCreditLogement,
+    calcFmgRefund,
+    calcMortgageGuaranteeFees,
+    calcGuaranteeFees,
+    calcGuaranteeRefund,
+    applyGuaranteeRefund,
+    compareGuarantees,
+    calcOneOffCosts,
+    
+    // Works
+    calcEcoPtzAmount,
+    calcEcoPtzDuration,
+    calcEcoPtzPayment,
     
     // Property Price
     calcMaxPropertyPrice,
     optimizeMaxPropertyPriceWithInsurance,
     calcRequiredLoan,
     
-    // Amortization & TAEG
+    // Amortization
     generateAmortizationTable,
+    calcTableTotals,
+    
+    // Early Repayment
+    calcPrepaymentPenalty,
+    generatePrepaymentTable,
+    
+    // VEFA
+    normalizeVefaCalls,
+    generateVefaConstructionTable,
+    prependPhaseRows,
+    
+    // Rent vs Buy
+    compareRentVsBuy,
+    
+    // TAEG
+    buildTAEGCashFlows,
+    calcNPV,
     calcTAEG,
 
-    // Gigogne
-    calcSmoothMensuality,
-    calcOptimalSecondaryAmount,
-    generateGigogneAmortizationTable,
-    calcMaxLoanWithGigogne,
-    optimizeMaxPropertyPriceWithGigogne
+    // Usury
+    getUsuryRate,
+    checkUsury,
+    solveUsuryLimit,
+
+    // Loan Stack
+    buildLayerSchedule,
+    calcStackSmoothPayment,
+    calcStackAmortizingCapital,
+    isStackAmortizing,
+    fitLoanStack,
+    generateLoanStackTable,
+    calcMaxLoanWithStack,
+    optimizeMaxPropertyPriceWithStack,
+
+    // Action Logement
+    evaluateActionLogementLoan,
+
+    // Variable Rate
+    parseRatePath,
+    buildIndexPath,
+    calcVariableInitialRate,
+    calcCappedRate,
+    generateVariableRateTable,
+    compareVariableRateScenarios
   };
 })();
 
@@ -0,0 +1,159 @@
+/**
+ * HCSF Module
+ * Rules of the Haut Conseil de Stabilité Financière (decision D-HCSF-2021-7)
+ * - Debt ratio at most 35% of income, insurance included
+ * - Duration at most 25 years, 27 years with a deferral for a new build
+ * - Banks may exceed these rules for 20% of their production (exception quota)
+ */
+
+// Use global Config object (set by config.js)
+var { FormulaConstants } = window.Config || {};
+
+// Extend the MortgageSimulator namespace
+MortgageSimulator.HCSF = (() => {
+
+  // ============================================
+  // 1. LIMITS
+  // ============================================
+
+  /**
+   * Maximum loan duration allowed by the HCSF
+   * A new build may add its deferral (construction phase, différé) up to 2 years
+   * @param {string} propertyType - Property type ('old' or 'new')
+   * @param {number} deferralMonths - Deferred months (différé and VEFA construction phase)
+   * @returns {number} Maximum duration in months
+   */
+  const getMaxDurationMonths = (propertyType, deferralMonths) => {
+    const rules = FormulaConstants.hcsf;
+    const allowance = propertyType === 'new'
+      ? Math.min(Math.max(0, deferralMonths || 0), rules.maxDeferralMonths)
+      : 0;
+
+    return rules.maxDurationYears * 12 + allowance;
+  };
+
+  /**
+   * Calculate maximum loan under the HCSF rule (insurance inside the 35% budget)
+   * Payment and insurance are both proportional to the loan, fixed premiums come off the budget
+   * @param {number} monthlyBudget - Maximum monthly installment, insurance included
+   * @param {number} annualRate - Annual interest rate as percentage
+   * @param {number} durationYears - Loan duration in years (deferral included)
+   * @param {Object} insurance - Insurance descriptor {rate, mode, fixedMonthly}
+   * @param {Object} [deferral] - Deferral {type, months}
+   * @returns {number} Maximum loan amount
+   */
+  const calcMaxLoan = (monthlyBudget, annualRate, durationYears, insurance, deferral) => {
+    const Formulas = MortgageSimulator.Formulas;
+    const budget = monthlyBudget - ((insurance && insurance.fixedMonthly) || 0);
+    const loanPerEuro = Formulas.calcMaxLoan(1, annualRate, durationYears, deferral);
+    if (budget <= 0 || loanPerEuro <= 0) {
+      return 0;
+    }
+
+    // Highest premium per € borrowed (first amortizing month)
+    const insurancePerEuro = Formulas.calcInsurancePremium(
+      { ...insurance, fixedMonthly: 0 },
+      1,
+      Formulas.calcDeferredCapital(1, annualRate, deferral)
+    );
+
+    return budget / (1 / loanPerEuro + insurancePerEuro);
+  };
+
+  // ============================================
+  // 2. COMPLIANCE CHECK
+  // ============================================
+
+  /**
+   * Part of the bank's exception quota a non-compliant file competes for
+   * At least 80% of the quota goes to primary residences, 30% of it being kept for first-time buyers,
+   * investors share the rest without any reserved part
+   * @param {boolean} rentalInvestment - True for a rental investment
+   * @param {boolean} firstTimeBuyer - True for a first-time buyer
+   * @returns {Object} {eligible, quota, reason} - eligible when part of the quota is reserved to the profile,
+   *   quota as % of the bank's production
+   */
+  const getException = (rentalInvestment, firstTimeBuyer) => {
+    const rules = FormulaConstants.hcsf;
+    const toPercent = (share) => rules.exceptionQuota * share * 100;
+
+    if (rentalInvestment) {
+      const quota = toPercent(1 - rules.primaryResidenceShare);
+      return {
+        eligible: false,
+        quota: quota,
+        reason: `Investissement locatif : aucune part réservée, dérogation rare limitée à ${quota.toFixed(0)}% de la production de la banque`
+      };
+    }
+
+    if (firstTimeBuyer) {
+      const quota = toPercent(rules.primaryResidenceShare);
+      return {
+        eligible: true,
+        quota: quota,
+        reason: `Primo-accédant : dossier prioritaire, ${toPercent(rules.firstTimeBuyerShare).toFixed(0)}% de la production réservés aux primo-accédants (${quota.toFixed(0)}% aux résidences principales)`
+      };
+    }
+
+    const quota = toPercent(rules.primaryResidenceShare - rules.firstTimeBuyerShare);
+    return {
+      eligible: true,
+      quota: quota,
+      reason: `Résidence principale : dossier éligible à la part réservée hors primo-accédants (${quota.toFixed(0)}% de la production)`
+    };
+  };
+
+  /**
+   * Evaluate a simulation against every HCSF rule
+   * The debt ratio uses the highest installment of the schedule, insurance included
+   * @param {Object} params - {monthlyIncome, monthlyCharges, table, propertyType, rentalInvestment, firstTimeBuyer}
+   * @returns {Object|null} {rules: [{id, label, value, limit, unit, pass}], compliant, exception}
+   */
+  const evaluate = ({ monthlyIncome, monthlyCharges, table, propertyType, rentalInvestment, firstTimeBuyer }) => {
+    if (!Array.isArray(table) || table.length === 0) {
+      return null;
+    }
+
+    const maxInstallment = table.reduce((max, row) => Math.max(max, row.payment + row.insurance), 0);
+    const debtRatio = monthlyIncome > 0 ? ((monthlyCharges + maxInstallment) / monthlyIncome) * 100 : Infinity;
+    const deferralMonths = table.filter(row => row.deferred || row.construction).length;
+    const maxDurationMonths = getMaxDurationMonths(propertyType, deferralMonths);
+
+    const rules = [
+      {
+        id: 'debtRatio',
+        label: 'Taux d\'endettement assurance comprise',
+        value: debtRatio,
+        limit: FormulaConstants.hcsf.maxDebtRatio * 100,
+        unit: '%',
+        pass: debtRatio <= FormulaConstants.hcsf.maxDebtRatio * 100
+      },
+      {
+        id: 'duration',
+        label: 'Durée du crédit',
+        value: table.length / 12,
+        limit: maxDurationMonths / 12,
+        unit: 'ans',
+        pass: table.length <= maxDurationMonths
+      }
+    ];
+    const compliant = rules.every(rule => rule.pass);
+
+    return {
+      rules: rules,
+      compliant: compliant,
+      exception: compliant ? null : getException(rentalInvestment, firstTimeBuyer)
+    };
+  };
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  return {
+    getMaxDurationMonths,
+    calcMaxLoan,
+    getException,
+    evaluate
+  };
+})();
@@ -41,10 +41,7 @@ MortgageSimulator.Events = Events;
       // Set default frais dossier
       MortgageSimulator.setFraisDossier(AppDefaults.fraisDossier);
       
-      // Set default ages
-      MortgageSimulator.setAges({ ...AppDefaults.ages });
-      
-      // Note: Default revenue is already added in state.js defaultState
+      // Note: Default borrower and revenue are already added in state.js defaultState
       
       // Optionally add one empty charge row
       // Commented out as per requirements (optional)
@@ -67,7 +64,7 @@ MortgageSimulator.Events = Events;
    */
   const initializeUI = () => {
     try {
-      // Render dynamic rows from state
+      // Render dynamic rows (borrowers, revenues, charges) from state
       UI.renderDynamicRows();
       
       // Set duration display
@@ -94,6 +91,42 @@ MortgageSimulator.Events = Events;
         }
       }
       
+      // Set insurance mode radio buttons
+      const insuranceModeRadio = document.getElementById(`insurance-mode-${MortgageSimulator.getInsuranceMode()}`);
+      if (insuranceModeRadio) {
+        insuranceModeRadio.checked = true;
+      }
+      
+      // Set household composition inputs
+      const household = MortgageSimulator.getHousehold();
+      const householdAdults = document.getElementById('household-adults');
+      const householdChildren = document.getElementById('household-children');
+      if (householdAdults) householdAdults.value = household.adults;
+      if (householdChildren) householdChildren.value = household.children;
+      
+      // Set capacity method radio buttons
+      const capacityModeRadio = document.getElementById(`capacity-mode-${MortgageSimulator.getCapacityMode()}`);
+      if (capacityModeRadio) {
+        capacityModeRadio.checked = true;
+      }
+      
+      // Set département selector and first-time buyer switch
+      if (UI.renderDepartmentOptions) {
+        UI.renderDepartmentOptions(MortgageSimulator.getDepartment());
+      }
+      const firstTimeBuyerInput = document.getElementById('first-time-buyer');
+      if (firstTimeBuyerInput) {
+        firstTimeBuyerInput.checked = MortgageSimulator.getFirstTimeBuyer();
+      }
+      const agencyFeesInput = document.getElementById('agency-fees');
+      if (agencyFeesInput) {
+        agencyFeesInput.value = MortgageSimulator.getAgencyFees();
+      }
+      const furnitureValueInput = document.getElementById('furniture-value');
+      if (furnitureValueInput) {
+        furnitureValueInput.value = MortgageSimulator.getFurnitureValue();
+      }
+      
       // Set property price slider and input
       const propertyPrice = MortgageSimulator.getPropertyPrice();
       const propertySlider = document.getElementById('property-price-slider');
@@ -122,22 +155,30 @@ MortgageSimulator.Events = Events;
         fraisInput.value = MortgageSimulator.getFraisDossier();
       }
       
-      // Set rate inputs
-      const rates = MortgageSimulator.getRates();
-      const rate15Input = document.getElementById('rate-15');
-      const rate20Input = document.getElementById('rate-20');
-      const rate25Input = document.getElementById('rate-25');
+      // Set guarantee type select
+      const guaranteeTypeSelect = document.getElementById('guarantee-type');
+      if (guaranteeTypeSelect) {
+        guaranteeTypeSelect.value = MortgageSimulator.getGuaranteeType();
+      }
       
-      if (rate15Input) rate15Input.value = rates[15];
-      if (rate20Input) rate20Input.value = rates[20];
-      if (rate25Input) rate25Input.value = rates[25];
+      const fmgRefundInput = document.getElementById('fmg-refund-rate');
+      if (fmgRefundInput) {
+        fmgRefundInput.value = MortgageSimulator.getFmgRefundRate();
+      }
       
-      // Set age input for person 1
-      const agePerson1Input = document.getElementById('age-person1');
-      if (agePerson1Input) {
-        agePerson1Input.value = MortgageSimulator.getAges().person1 || '';
+      // Initialize renovation works and éco-PTZ
+      const works = MortgageSimulator.getWorks();
+      document.querySelectorAll('#works-section [data-field]').forEach(input => {
+        input.value = works[input.dataset.field];
+      });
+      const ecoPtzEnabled = document.getElementById('eco-ptz-enabled');
+      if (ecoPtzEnabled) {
+        ecoPtzEnabled.checked = works.ecoPtzEnabled;
       }
-
+      if (UI.renderWorksFields) {
+        UI.renderWorksFields(works);
+      }
+      
       // Initialize Gigogne UI
       const gigogne = MortgageSimulator.getGigogne();
       const gigogneEnabled = document.getElementById('gigogne-enabled');
@@ -152,11 +193,131 @@ MortgageSimulator.Events = Events;
       if (gigogneRate) gigogneRate.value = gigogne.rate;
       if (gigogneDurationValue) gigogneDurationValue.textContent = gigogne.duration;
 
+      // Initialize PTZ inputs
+      const ptz = MortgageSimulator.getPtz();
+      const ptzEnabled = document.getElementById('ptz-enabled');
+      const ptzZone = document.getElementById('ptz-zone');
+      const ptzIncome = document.getElementById('ptz-income');
+
+      if (ptzEnabled) ptzEnabled.checked = ptz.enabled;
+      if (ptzZone) ptzZone.value = ptz.zone;
+      if (ptzIncome) ptzIncome.value = ptz.referenceIncome;
+      if (UI.renderPtzFields) {
+        UI.renderPtzFields(ptz);
+      }
+
+      // Initialize Action Logement inputs
+      const actionLogement = MortgageSimulator.getActionLogement();
+      const actionLogementEnabled = document.getElementById('action-logement-enabled');
+      const actionLogementAmount = document.getElementById('action-logement-amount');
+      const actionLogementDuration = document.getElementById('action-logement-duration');
+      const actionLogementStaff = document.getElementById('action-logement-staff');
+
+      if (actionLogementEnabled) actionLogementEnabled.checked = actionLogement.enabled;
+      if (actionLogementAmount) actionLogementAmount.value = actionLogement.amount;
+      if (actionLogementDuration) actionLogementDuration.value = actionLogement.duration;
+      if (actionLogementStaff) actionLogementStaff.value = actionLogement.companyStaff;
+      if (UI.renderActionLogementFields) {
+        UI.renderActionLogementFields(actionLogement);
+      }
+
+      // Initialize épargne logement inputs (generation options depend on the plan type)
+      const savingsPlan = MortgageSimulator.getSavingsPlan();
+      const savingsPlanEnabled = document.getElementById('savings-plan-enabled');
+      const savingsPlanType = document.getElementById('savings-plan-type');
+      const savingsPlanBalance = document.getElementById('savings-plan-balance');
+      const savingsPlanOpening = document.getElementById('savings-plan-opening');
+      const savingsPlanDuration = document.getElementById('savings-plan-duration');
+
+      if (savingsPlanEnabled) savingsPlanEnabled.checked = savingsPlan.enabled;
+      if (savingsPlanType) savingsPlanType.value = savingsPlan.type;
+      if (savingsPlanBalance) savingsPlanBalance.value = savingsPlan.balance;
+      if (savingsPlanOpening) savingsPlanOpening.value = savingsPlan.openingDate;
+      if (savingsPlanDuration) savingsPlanDuration.value = savingsPlan.duration;
+      if (UI.renderSavingsPlanFields) {
+        UI.renderSavingsPlanFields(savingsPlan);
+      }
+
       // Render gigogne fields visibility
       if (UI.renderGigogneFields) {
         UI.renderGigogneFields(gigogne.enabled);
       }
 
+      // Initialize VEFA section (calls rows are rendered with the other dynamic rows)
+      const vefa = MortgageSimulator.getVefa();
+      const vefaEnabled = document.getElementById('vefa-enabled');
+      if (vefaEnabled) vefaEnabled.checked = vefa.enabled;
+      if (UI.renderVefaFields) {
+        UI.renderVefaFields(propertyType, vefa.enabled);
+      }
+
+      // Initialize cost of ownership inputs
+      const ownership = MortgageSimulator.getOwnership();
+      document.querySelectorAll('#ownership-inputs [data-field]').forEach(input => {
+        input.value = ownership[input.dataset.field];
+      });
+
+      // Initialize variable rate inputs (select options come from the rules)
+      const variableRate = MortgageSimulator.getVariableRate();
+      if (UI.renderVariableRateFields) {
+        UI.renderVariableRateFields(variableRate);
+      }
+      document.querySelectorAll('#variable-rate-inputs [data-field]').forEach(input => {
+        if (input.type === 'checkbox') {
+          input.checked = variableRate[input.dataset.field];
+        } else {
+          input.value = variableRate[input.dataset.field];
+        }
+      });
+
+      // Initialize rent vs buy comparator inputs
+      const rentVsBuy = MortgageSimulator.getRentVsBuy();
+      document.querySelectorAll('#rent-vs-buy-inputs [data-field]').forEach(input => {
+        input.value = rentVsBuy[input.dataset.field];
+      });
+
+      // Initialize rental investment inputs
+      const investment = MortgageSimulator.getInvestment();
+      const investmentEnabled = document.getElementById('investment-enabled');
+      const investmentRent = document.getElementById('investment-rent');
+      const investmentPropertyTax = document.getElementById('investment-property-tax');
+      const investmentCharges = document.getElementById('investment-charges');
+      if (investmentEnabled) investmentEnabled.checked = investment.enabled;
+      if (investmentRent) investmentRent.value = investment.monthlyRent;
+      if (investmentPropertyTax) investmentPropertyTax.value = investment.propertyTax;
+      if (investmentCharges) investmentCharges.value = investment.charges;
+      if (UI.renderInvestmentFields) {
+        UI.renderInvestmentFields(investment);
+      }
+
+      // Initialize deferral inputs
+      const deferral = MortgageSimulator.getDeferral();
+      const deferralType = document.getElementById('deferral-type');
+      const deferralMonths = document.getElementById('deferral-months');
+      if (deferralType) deferralType.value = deferral.type;
+      if (deferralMonths) deferralMonths.value = deferral.months;
+      if (UI.renderDeferralFields) {
+        UI.renderDeferralFields(deferral);
+      }
+
+      // Initialize early repayment UI
+      const prepayment = MortgageSimulator.getPrepayment();
+      const prepaymentEnabled = document.getElementById('prepayment-enabled');
+      const prepaymentMonth = document.getElementById('prepayment-month');
+      const prepaymentAmount = document.getElementById('prepayment-amount');
+      const prepaymentType = document.getElementById(`prepayment-type-${prepayment.type}`);
+      const prepaymentMode = document.getElementById(`prepayment-mode-${prepayment.mode}`);
+
+      if (prepaymentEnabled) prepaymentEnabled.checked = prepayment.enabled;
+      if (prepaymentMonth) prepaymentMonth.value = prepayment.month;
+      if (prepaymentAmount) prepaymentAmount.value = prepayment.amount;
+      if (prepaymentType) prepaymentType.checked = true;
+      if (prepaymentMode) prepaymentMode.checked = true;
+
+      if (UI.renderPrepaymentFields) {
+        UI.renderPrepaymentFields(prepayment);
+      }
+
       // Initialize Primary Rate Override
       const primaryRateOverride = MortgageSimulator.getPrimaryRateOverride();
       const primaryRateInput = document.getElementById('primary-rate');
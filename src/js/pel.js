@@ -0,0 +1,186 @@
+/**
+ * PEL Module
+ * Épargne logement loans (Plan or Compte Épargne Logement)
+ * - The generation of the plan sets the savings rate and the fixed loan rate
+ * - Loan rights: the loan interest may reach the acquired interest × the rights coefficient
+ * - The loan is capped by plan type and compared with the market rate of the same duration
+ * An eligible loan joins the loan stack as a layer with its own schedule
+ */
+
+// Use global Config object (set by config.js)
+var { SavingsPlanRules } = window.Config || {};
+
+// Extend the MortgageSimulator namespace
+MortgageSimulator.PEL = (() => {
+
+  // ============================================
+  // 1. GENERATION AND ACQUIRED INTEREST
+  // ============================================
+
+  /**
+   * Whole months between two dates
+   * @param {Date} from - Start date
+   * @param {Date} to - End date
+   * @returns {number} Months (0 when the end is before the start)
+   */
+  const monthsBetween = (from, to) => {
+    const months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth()) -
+      (to.getDate() < from.getDate() ? 1 : 0);
+    return Math.max(0, months);
+  };
+
+  /**
+   * Generation of a plan: the selected one, or the last one opened before the plan
+   * @param {string} type - 'pel' or 'cel'
+   * @param {string} openingDate - Opening date (YYYY-MM-DD)
+   * @param {string} [generation] - Generation start date, 'auto' to use the opening date
+   * @returns {Object|null} Generation {from, savingsRate, loanRate}, null before the first one
+   */
+  const getGeneration = (type, openingDate, generation) => {
+    const generations = SavingsPlanRules[type].generations;
+    if (generation && generation !== 'auto') {
+      return generations.find(g => g.from === generation) || null;
+    }
+
+    const applicable = generations.filter(g => g.from <= openingDate);
+    return applicable.length > 0 ? applicable[applicable.length - 1] : null;
+  };
+
+  /**
+   * Interest acquired on the balance, assuming equal monthly deposits since the opening
+   * The interest stops after the cap of the plan (15 years for a PEL)
+   * @param {number} balance - Current balance (€)
+   * @param {number} savingsRate - Savings rate (%)
+   * @param {number} months - Plan age (months)
+   * @param {number} interestCapYears - Years after which the plan stops earning interest
+   * @returns {number} Acquired interest (€)
+   */
+  const calcAcquiredInterest = (balance, savingsRate, months, interestCapYears) => {
+    const earningMonths = Math.min(months, interestCapYears * 12);
+    const monthlyRate = savingsRate / 100 / 12;
+    if (!balance || balance <= 0 || earningMonths <= 0 || monthlyRate <= 0) {
+      return 0;
+    }
+
+    // Balance = deposit × ((1 + i)^n - 1) / i, the deposits are the balance minus the interest
+    const deposit = balance * monthlyRate / (Math.pow(1 + monthlyRate, earningMonths) - 1);
+    return Math.max(0, balance - deposit * earningMonths);
+  };
+
+  // ============================================
+  // 2. LOAN RIGHTS
+  // ============================================
+
+  /**
+   * Maximum loan whose total interest fits the rights
+   * @param {number} rights - Interest the loan may cost (€)
+   * @param {number} loanRate - Loan rate (%)
+   * @param {number} durationYears - Loan duration (years)
+   * @param {number} cap - Maximum loan of the plan type (€)
+   * @returns {number} Maximum loan (€)
+   */
+  const calcMaxLoan = (rights, loanRate, durationYears, cap) => {
+    // Interest is proportional to the amount: interest per euro borrowed
+    const interestPerEuro = MortgageSimulator.Formulas.calcMonthlyPayment(1, loanRate, durationYears) * durationYears * 12 - 1;
+    if (interestPerEuro <= 0) {
+      return 0;
+    }
+    return Math.floor(Math.min(cap, rights / interestPerEuro));
+  };
+
+  /**
+   * Total interest of a fixed-rate loan
+   * @param {number} amount - Loan amount (€)
+   * @param {number} rate - Annual rate (%)
+   * @param {number} durationYears - Duration (years)
+   * @returns {number} Interest (€)
+   */
+  const calcLoanInterest = (amount, rate, durationYears) => {
+    return MortgageSimulator.Formulas.calcMonthlyPayment(amount, rate, durationYears) * durationYears * 12 - amount;
+  };
+
+  // ============================================
+  // 3. EVALUATION
+  // ============================================
+
+  /**
+   * Evaluate the épargne logement loan of a plan
+   * @param {Object} params - {type, balance, openingDate, generation, duration, marketRate, today}
+   * @returns {Object} {eligible, reasons, label, generation, ageYears, acquiredInterest, rights, amount, rate,
+   *   duration, marketRate, beatsMarket, savings}
+   */
+  const evaluate = ({ type, balance, openingDate, generation, duration, marketRate, today }) => {
+    const planType = SavingsPlanRules[type] ? type : 'pel';
+    const rules = SavingsPlanRules[planType];
+    const planGeneration = getGeneration(planType, openingDate, generation);
+    const opening = new Date(openingDate);
+    const months = Number.isNaN(opening.getTime()) ? 0 : monthsBetween(opening, today || new Date());
+    const loanDuration = Math.min(Math.max(rules.minDurationYears, Math.round(duration || 0)), rules.maxDurationYears);
+    const reasons = [];
+
+    if (!planGeneration) {
+      reasons.push('Génération inconnue pour cette date d\'ouverture');
+    }
+    if (months < rules.minAgeYears * 12) {
+      reasons.push(`Le ${rules.label} doit avoir au moins ${String(rules.minAgeYears).replace('.', ',')} ans`);
+    }
+
+    const acquiredInterest = planGeneration
+      ? calcAcquiredInterest(balance, planGeneration.savingsRate, months, rules.interestCapYears)
+      : 0;
+    const rights = acquiredInterest * rules.rightsCoefficient;
+    const rate = planGeneration ? planGeneration.loanRate : 0;
+    const maxLoan = planGeneration ? calcMaxLoan(rights, rate, loanDuration, rules.maxLoan) : 0;
+
+    if (planGeneration && maxLoan <= 0) {
+      reasons.push('Aucun droit à prêt acquis');
+    }
+
+    const eligible = reasons.length === 0;
+    const amount = eligible ? maxLoan : 0;
+
+    return {
+      eligible: eligible,
+      reasons: reasons,
+      label: rules.label,
+      generation: planGeneration,
+      ageYears: months / 12,
+      acquiredInterest: acquiredInterest,
+      rights: rights,
+      amount: amount,
+      rate: rate,
+      duration: loanDuration,
+      marketRate: marketRate,
+      beatsMarket: eligible && rate < marketRate,
+      // Interest saved against a market loan of the same amount and duration (negative when dearer)
+      savings: eligible ? calcLoanInterest(amount, marketRate, loanDuration) - calcLoanInterest(amount, rate, loanDuration) : 0
+    };
+  };
+
+  /**
+   * Loan stack layer of an eligible plan
+   * @param {Object} result - Épargne logement evaluation
+   * @returns {Object} Layer {label, amount, rate, duration}
+   */
+  const toLoanLayer = (result) => {
+    return {
+      label: `Prêt ${result.label}`,
+      amount: result.amount,
+      rate: result.rate,
+      duration: result.duration
+    };
+  };
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  return {
+    getGeneration,
+    calcAcquiredInterest,
+    calcMaxLoan,
+    calcLoanInterest,
+    evaluate,
+    toLoanLayer
+  };
+})();
@@ -0,0 +1,181 @@
+/**
+ * PTZ Module
+ * Prêt à taux zéro for first-time buyers of their primary residence
+ * - New homes in every zone, old homes in zones B2 and C with works of at least 25% of the cost
+ * - Amount: quotité of the operation cost (capped by zone and household), set by the income tranche
+ * - The tranche also sets the total duration and the deferral before repayment
+ * An eligible PTZ joins the loan stack as a zero-rate layer with its deferral
+ */
+
+// Use global Config object (set by config.js)
+var { PtzRules } = window.Config || {};
+
+// Extend the MortgageSimulator namespace
+MortgageSimulator.PTZ = (() => {
+
+  // ============================================
+  // 1. HOUSEHOLD AND INCOME
+  // ============================================
+
+  /**
+   * Number of persons in the household (at least one)
+   * @param {Object} household - Household {adults, children}
+   * @returns {number} Household size
+   */
+  const getHouseholdSize = (household) => {
+    return Math.max(1, (household.adults || 0) + (household.children || 0));
+  };
+
+  /**
+   * Family coefficient (coefficient familial) applied to the income and cost ceilings
+   * @param {number} persons - Household size
+   * @returns {number} Coefficient
+   */
+  const getFamilyCoefficient = (persons) => {
+    const coefficients = PtzRules.familyCoefficients;
+    return coefficients[Math.min(Math.max(1, persons), coefficients.length) - 1];
+  };
+
+  /**
+   * Income retained for the tranche: the reference tax income, at least the operation cost / 9
+   * @param {number} referenceIncome - Revenu fiscal de référence (€/year)
+   * @param {number} operationCost - Total operation cost (€)
+   * @returns {number} Retained income (€/year)
+   */
+  const getRetainedIncome = (referenceIncome, operationCost) => {
+    return Math.max(referenceIncome || 0, operationCost / PtzRules.incomeFloorDivisor);
+  };
+
+  /**
+   * Income tranche of the household
+   * @param {string} zone - Zone ('Abis', 'A', 'B1', 'B2' or 'C')
+   * @param {number} retainedIncome - Retained income (€/year)
+   * @param {number} persons - Household size
+   * @returns {Object|null} Tranche {tranche, quotity, durationYears, deferralYears}, null above the ceiling
+   */
+  const getTranche = (zone, retainedIncome, persons) => {
+    const ceilings = PtzRules.trancheCeilings[zone];
+    if (!ceilings) {
+      return null;
+    }
+
+    const income = retainedIncome / getFamilyCoefficient(persons);
+    const index = ceilings.findIndex(ceiling => income <= ceiling);
+    return index === -1 ? null : PtzRules.tranches[index];
+  };
+
+  // ============================================
+  // 2. AMOUNT
+  // ============================================
+
+  /**
+   * Operation cost ceiling for the zone and household
+   * @param {string} zone - Zone
+   * @param {number} persons - Household size
+   * @returns {number} Ceiling (€)
+   */
+  const getOperationCeiling = (zone, persons) => {
+    const base = PtzRules.operationCeilings[zone] || 0;
+    return base * getFamilyCoefficient(Math.min(persons, PtzRules.operationCeilingMaxPersons));
+  };
+
+  /**
+   * PTZ amount: quotité of the operation cost, within the ceiling
+   * @param {number} operationCost - Total operation cost (€)
+   * @param {string} zone - Zone
+   * @param {number} persons - Household size
+   * @param {Object} tranche - Income tranche
+   * @returns {number} PTZ amount (€)
+   */
+  const calcAmount = (operationCost, zone, persons, tranche) => {
+    if (!tranche) {
+      return 0;
+    }
+    return Math.round(Math.min(operationCost, getOperationCeiling(zone, persons)) * tranche.quotity);
+  };
+
+  // ============================================
+  // 3. ELIGIBILITY
+  // ============================================
+
+  /**
+   * Evaluate the PTZ of a project
+   * The operation cost is the price plus the works, notary fees excluded
+   * @param {Object} params - {zone, household, referenceIncome, propertyType, propertyPrice, worksAmount,
+   *   firstTimeBuyer, rentalInvestment}
+   * @returns {Object} {eligible, reasons, persons, operationCost, retainedIncome, tranche, quotity, ceiling,
+   *   amount, durationYears, deferralYears, repaymentYears}
+   */
+  const evaluate = ({ zone, household, referenceIncome, propertyType, propertyPrice, worksAmount, firstTimeBuyer, rentalInvestment }) => {
+    const persons = getHouseholdSize(household);
+    const operationCost = (propertyPrice || 0) + (worksAmount || 0);
+    const retainedIncome = getRetainedIncome(referenceIncome, operationCost);
+    const tranche = getTranche(zone, retainedIncome, persons);
+    const reasons = [];
+
+    if (!firstTimeBuyer) {
+      reasons.push('Réservé aux primo-accédants (non propriétaires de leur résidence principale depuis 2 ans)');
+    }
+    if (rentalInvestment) {
+      reasons.push('Réservé à la résidence principale');
+    }
+    if (propertyType === 'old') {
+      if (!PtzRules.oldPropertyZones.includes(zone)) {
+        reasons.push(`Ancien : uniquement en zones ${PtzRules.oldPropertyZones.join(' et ')}`);
+      }
+      if ((worksAmount || 0) < operationCost * PtzRules.oldPropertyWorksShare) {
+        reasons.push(`Ancien : travaux d'au moins ${(PtzRules.oldPropertyWorksShare * 100).toFixed(0)}% du coût total de l'opération`);
+      }
+    }
+    if (!tranche) {
+      reasons.push('Revenus au-dessus du plafond de la zone');
+    }
+
+    const eligible = reasons.length === 0;
+
+    return {
+      eligible: eligible,
+      reasons: reasons,
+      persons: persons,
+      operationCost: operationCost,
+      retainedIncome: retainedIncome,
+      tranche: tranche ? tranche.tranche : null,
+      quotity: tranche ? tranche.quotity : 0,
+      ceiling: getOperationCeiling(zone, persons),
+      amount: eligible ? calcAmount(operationCost, zone, persons, tranche) : 0,
+      durationYears: tranche ? tranche.durationYears : 0,
+      deferralYears: tranche ? tranche.deferralYears : 0,
+      repaymentYears: tranche ? tranche.durationYears - tranche.deferralYears : 0
+    };
+  };
+
+  /**
+   * Loan stack layer of an eligible PTZ: zero rate, total duration with the tranche deferral
+   * @param {Object} result - PTZ evaluation
+   * @returns {Object} Layer {label, amount, rate, duration, deferral}
+   */
+  const toLoanLayer = (result) => {
+    return {
+      label: 'PTZ',
+      amount: result.amount,
+      rate: 0,
+      duration: result.durationYears,
+      deferral: { type: 'total', months: result.deferralYears * 12 }
+    };
+  };
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  return {
+    getHouseholdSize,
+    getFamilyCoefficient,
+    getRetainedIncome,
+    getTranche,
+    getOperationCeiling,
+    calcAmount,
+    evaluate,
+    toLoanLayer
+  };
+})();
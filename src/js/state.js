@@ -5,28 +5,92 @@
  */
 
 // Use global Config object (set by config.js)
-var { AppDefaults, ItemDefaults, GigogneDefaults } = window.Config || {};
+var { AppDefaults, ItemDefaults, GigogneDefaults, PtzDefaults, ActionLogementDefaults, SavingsPlanDefaults, VefaDefaults, OwnershipDefaults, RentVsBuyDefaults, VariableRateDefaults, WorksDefaults, InvestmentDefaults, DeferralDefaults, PrepaymentDefaults } = window.Config || {};
 
 const MortgageSimulator = (() => {
   // Private ID counter for dynamic rows
   let idCounter = 1;
 
+  /**
+   * Build the default borrower list from config (each borrower gets an ID)
+   * @returns {Array} Array of borrower objects {id, age, coverage}
+   */
+  const createDefaultBorrowers = () => {
+    return AppDefaults.borrowers.map(b => ({ id: idCounter++, ...b }));
+  };
+
+  const initialBorrowers = createDefaultBorrowers();
+
+  /**
+   * Build the default rate grid from config (each row gets an ID)
+   * @returns {Array} Array of rate rows {id, duration, rate}
+   */
+  const createDefaultRates = () => {
+    return AppDefaults.rates.map(r => ({ id: idCounter++, ...r }));
+  };
+
+  /**
+   * Build the default VEFA settings from config (each call for funds gets an ID)
+   * @returns {Object} VEFA settings {enabled, calls: [{id, label, percent, month}]}
+   */
+  const createDefaultVefa = () => {
+    return {
+      enabled: VefaDefaults.enabled,
+      calls: VefaDefaults.calls.map(c => ({ id: idCounter++, ...c }))
+    };
+  };
+
+  /**
+   * Copy and sort rate rows by ascending duration (empty durations last)
+   * @param {Array} rates - Rate rows
+   * @returns {Array} Sorted copy
+   */
+  const sortRates = (rates) => {
+    return rates
+      .map(r => ({ ...r }))
+      .sort((a, b) => (a.duration || Infinity) - (b.duration || Infinity));
+  };
+
   // Default state values
   const defaultState = {
     // User inputs
-    revenues: [{id: idCounter++, type: ItemDefaults.revenue.type, amount: ItemDefaults.revenue.amount, frequency: ItemDefaults.revenue.frequency}],
+    borrowers: initialBorrowers,
+    insuranceMode: AppDefaults.insuranceMode,
+    capacityMode: AppDefaults.capacityMode,
+    household: { ...AppDefaults.household },
+    department: AppDefaults.department,
+    firstTimeBuyer: AppDefaults.firstTimeBuyer,
+    agencyFees: AppDefaults.agencyFees,
+    furnitureValue: AppDefaults.furnitureValue,
+    guaranteeType: AppDefaults.guaranteeType,
+    fmgRefundRate: AppDefaults.fmgRefundRate,
+    revenues: [{id: idCounter++, borrowerId: initialBorrowers[0].id, type: ItemDefaults.revenue.type, amount: ItemDefaults.revenue.amount, frequency: ItemDefaults.revenue.frequency}],
     charges: [],
-    ages: { ...AppDefaults.ages },
+    oneOffCosts: [],
+    loanLayers: [],
     capital: AppDefaults.capital,
     fraisDossier: AppDefaults.fraisDossier,
-    rates: { ...AppDefaults.rates },
+    rates: createDefaultRates(),
     duration: AppDefaults.duration,
     propertyType: AppDefaults.propertyType,
     propertyPrice: AppDefaults.propertyPrice,  // Fixed: now 250000
+    deferral: { ...DeferralDefaults },
+    vefa: createDefaultVefa(),
+    ownership: { ...OwnershipDefaults },
+    rentVsBuy: { ...RentVsBuyDefaults },
+    variableRate: { ...VariableRateDefaults },
+    works: { ...WorksDefaults },
+    investment: { ...InvestmentDefaults },
     
     // Gigogne state
     gigogne: { ...GigogneDefaults, optimalAmount: 0, actualAmount: 0 },
+    ptz: { ...PtzDefaults },
+    actionLogement: { ...ActionLogementDefaults },
+    savingsPlan: { ...SavingsPlanDefaults },
     primaryRateOverride: null,
+    
+    // Early repayment state
+    prepayment: { ...PrepaymentDefaults },
 
     // Computed values (cached)
     maxLoan: 0,
@@ -37,7 +101,13 @@ const MortgageSimulator = (() => {
     monthlyPaymentWithInsurance: 0,
     totalCost: 0,
     taeg: 0,
+    usuryCheck: null,
+    hcsfCheck: null,
     amortizationTable: [],
+    prepaymentResult: null,
+    investmentResult: null,
+    rentVsBuyResult: null,
+    variableRateResult: null,
     notaryFees: 0,
     cautionFees: 0,
     
@@ -80,6 +150,30 @@ const MortgageSimulator = (() => {
       return deepClone(state);
     },
 
+    /**
+     * Get insurance calculation mode
+     * @returns {string} 'initial' (on initial capital) or 'crd' (on remaining capital)
+     */
+    getInsuranceMode() {
+      return state.insuranceMode;
+    },
+
+    /**
+     * Get borrowing capacity method
+     * @returns {string} 'legacy' (35% before insurance) or 'hcsf' (HCSF strict)
+     */
+    getCapacityMode() {
+      return state.capacityMode;
+    },
+
+    /**
+     * Get household composition
+     * @returns {Object} Household {adults, children}
+     */
+    getHousehold() {
+      return { ...state.household };
+    },
+
     /**
      * Get all revenues
      * @returns {Array} Array of revenue objects
@@ -97,11 +191,11 @@ const MortgageSimulator = (() => {
     },
 
     /**
-     * Get ages of both persons
-     * @returns {Object} Ages object {person1}
+     * Get all borrowers
+     * @returns {Array} Array of borrower objects {id, age, coverage, customRate, fixedPremium}
      */
-    getAges() {
-      return { ...state.ages };
+    getBorrowers() {
+      return state.borrowers.map(b => ({ ...b }));
     },
 
     /**
@@ -112,6 +206,14 @@ const MortgageSimulator = (() => {
       return state.capital;
     },
 
+    /**
+     * Get one-off costs (courtage, agency, valuation...)
+     * @returns {Array} Costs {id, label, amount, financed, inTaeg}
+     */
+    getOneOffCosts() {
+      return state.oneOffCosts.map(c => ({ ...c }));
+    },
+
     /**
      * Get frais de dossier
      * @returns {number} Frais de dossier amount
@@ -121,11 +223,11 @@ const MortgageSimulator = (() => {
     },
 
     /**
-     * Get interest rates by duration
-     * @returns {Object} Rates object {15, 20, 25}
+     * Get bank rate grid
+     * @returns {Array} Rate rows {id, duration, rate} sorted by duration
      */
     getRates() {
-      return { ...state.rates };
+      return state.rates.map(r => ({ ...r }));
     },
 
     /**
@@ -136,6 +238,105 @@ const MortgageSimulator = (() => {
       return { ...state.gigogne };
     },
 
+    /**
+     * Get the loans smoothed with the main loan (besides gigogne and PTZ)
+     * @returns {Array} Layers {id, label, amount, rate, duration, deferralType, deferralMonths}
+     */
+    getLoanLayers() {
+      return state.loanLayers.map(l => ({ ...l }));
+    },
+
+    /**
+     * Get PTZ inputs
+     * @returns {Object} PTZ inputs {enabled, zone, referenceIncome}
+     */
+    getPtz() {
+      return { ...state.ptz };
+    },
+
+    /**
+     * Get Action Logement loan inputs
+     * @returns {Object} Inputs {enabled, amount, duration, companyStaff}
+     */
+    getActionLogement() {
+      return { ...state.actionLogement };
+    },
+
+    /**
+     * Get épargne logement (PEL/CEL) inputs
+     * @returns {Object} Inputs {enabled, type, balance, openingDate, generation, duration}
+     */
+    getSavingsPlan() {
+      return { ...state.savingsPlan };
+    },
+
+    /**
+     * Get VEFA settings (calls for funds sorted by month)
+     * @returns {Object} VEFA settings {enabled, calls: [{id, label, percent, month}]}
+     */
+    getVefa() {
+      return {
+        enabled: state.vefa.enabled,
+        calls: state.vefa.calls.map(c => ({ ...c }))
+      };
+    },
+
+    /**
+     * Get amortization deferral settings
+     * @returns {Object} Deferral {type: 'none'|'partial'|'total', months}
+     */
+    getDeferral() {
+      return { ...state.deferral };
+    },
+
+    /**
+     * Get cost of ownership inputs
+     * @returns {Object} Ownership costs {propertyTax, coOwnership, homeInsurance, energy, maintenanceRate}
+     */
+    getOwnership() {
+      return { ...state.ownership };
+    },
+
+    /**
+     * Get renovation works settings
+     * @returns {Object} {amount, ecoPtzEnabled, ecoPtzAmount, ecoPtzDuration}
+     */
+    getWorks() {
+      return { ...state.works };
+    },
+
+    /**
+     * Get rent vs buy comparator inputs
+     * @returns {Object} {rent, rentGrowth, appreciation, investmentReturn}
+     */
+    getRentVsBuy() {
+      return { ...state.rentVsBuy };
+    },
+
+    /**
+     * Get variable rate loan settings
+     * @returns {Object} Settings {enabled, index, indexValue, margin, cap, reviewMonths, scenario, customPath}
+     */
+    getVariableRate() {
+      return { ...state.variableRate };
+    },
+
+    /**
+     * Get rental investment settings
+     * @returns {Object} Investment settings {enabled, monthlyRent, propertyTax, charges}
+     */
+    getInvestment() {
+      return { ...state.investment };
+    },
+
+    /**
+     * Get early repayment settings
+     * @returns {Object} Prepayment settings {enabled, month, amount, type, mode}
+     */
+    getPrepayment() {
+      return { ...state.prepayment };
+    },
+
     /**
      * Get primary rate override
      * @returns {number|null} Override rate or null
@@ -160,6 +361,54 @@ const MortgageSimulator = (() => {
       return state.propertyType;
     },
 
+    /**
+     * Get département code (DMTO rate)
+     * @returns {string} Département code, '' for the national flat rate
+     */
+    getDepartment() {
+      return state.department;
+    },
+
+    /**
+     * Get first-time buyer status
+     * @returns {boolean} True for a primo-accédant
+     */
+    getFirstTimeBuyer() {
+      return state.firstTimeBuyer;
+    },
+
+    /**
+     * Get agency fees paid by the buyer (included in the price)
+     * @returns {number} Agency fees (€)
+     */
+    getAgencyFees() {
+      return state.agencyFees;
+    },
+
+    /**
+     * Get furniture value included in the price
+     * @returns {number} Furniture value (€)
+     */
+    getFurnitureValue() {
+      return state.furnitureValue;
+    },
+
+    /**
+     * Get loan guarantee type
+     * @returns {string} 'caution', 'hypotheque' or 'ppd'
+     */
+    getGuaranteeType() {
+      return state.guaranteeType;
+    },
+
+    /**
+     * Get FMG refund rate
+     * @returns {number} Refunded share of the FMG (%)
+     */
+    getFmgRefundRate() {
+      return state.fmgRefundRate;
+    },
+
     /**
      * Get property price
      * @returns {number} Property price
@@ -182,7 +431,13 @@ const MortgageSimulator = (() => {
         monthlyPaymentWithInsurance: state.monthlyPaymentWithInsurance,
         totalCost: state.totalCost,
         taeg: state.taeg,
+        usuryCheck: state.usuryCheck ? { ...state.usuryCheck } : null,
+        hcsfCheck: state.hcsfCheck,
         amortizationTable: [...state.amortizationTable],
+        prepaymentResult: state.prepaymentResult,
+        investmentResult: state.investmentResult,
+        rentVsBuyResult: state.rentVsBuyResult,
+        variableRateResult: state.variableRateResult,
       };
     },
 
@@ -196,7 +451,7 @@ const MortgageSimulator = (() => {
 
     /**
      * Get caution fees
-     * @returns {number} Caution fees amount
+     * @returns {number} Guarantee fees amount (caution, hypothèque or PPD)
      */
     getCautionFees() {
       return state.cautionFees;
@@ -283,11 +538,119 @@ const MortgageSimulator = (() => {
     },
 
     /**
-     * Set ages for both persons
-     * @param {Object} ages - Ages object {person1}
+     * Set all borrowers at once
+     * @param {Array} borrowers - Array of borrower objects {id, age, coverage}
+     */
+    setBorrowers(borrowers) {
+      state.borrowers = borrowers.map(b => ({ ...b }));
+    },
+
+    /**
+     * Add a new borrower
+     * @param {Object} item - Borrower object {age, coverage, customRate, fixedPremium}
+     * @returns {Object} The added borrower with generated ID
+     */
+    addBorrower(item) {
+      const newBorrower = {
+        id: generateId(),
+        ...item,
+      };
+      state.borrowers.push(newBorrower);
+      return { ...newBorrower };
+    },
+
+    /**
+     * Remove a borrower by ID
+     * Revenues and charges owned by the removed borrower are reassigned
+     * to the first remaining borrower. The last borrower cannot be removed.
+     * @param {number} id - Borrower ID to remove
+     * @returns {boolean} True if the borrower was removed
+     */
+    removeBorrower(id) {
+      if (state.borrowers.length <= 1) {
+        return false;
+      }
+      state.borrowers = state.borrowers.filter(b => b.id !== id);
+      const fallbackId = state.borrowers[0].id;
+      state.revenues.forEach(r => {
+        if (r.borrowerId === id) r.borrowerId = fallbackId;
+      });
+      state.charges.forEach(c => {
+        if (c.borrowerId === id) c.borrowerId = fallbackId;
+      });
+      return true;
+    },
+
+    /**
+     * Set insurance calculation mode
+     * @param {string} mode - 'initial' or 'crd'
+     */
+    setInsuranceMode(mode) {
+      state.insuranceMode = mode;
+    },
+
+    /**
+     * Update household composition
+     * @param {Object} changes - Fields to update {adults, children}
+     */
+    setHousehold(changes) {
+      state.household = { ...state.household, ...changes };
+    },
+
+    /**
+     * Set département code
+     * @param {string} department - Département code, '' for the national flat rate
+     */
+    setDepartment(department) {
+      state.department = department;
+    },
+
+    /**
+     * Set first-time buyer status
+     * @param {boolean} firstTimeBuyer - True for a primo-accédant
+     */
+    setFirstTimeBuyer(firstTimeBuyer) {
+      state.firstTimeBuyer = firstTimeBuyer;
+    },
+
+    /**
+     * Set agency fees paid by the buyer (included in the price)
+     * @param {number} amount - Agency fees (€)
      */
-    setAges(ages) {
-      state.ages = { ...ages };
+    setAgencyFees(amount) {
+      state.agencyFees = amount;
+    },
+
+    /**
+     * Set furniture value included in the price
+     * @param {number} amount - Furniture value (€)
+     */
+    setFurnitureValue(amount) {
+      state.furnitureValue = amount;
+    },
+
+    /**
+     * Set loan guarantee type
+     * @param {string} type - 'caution', 'hypotheque' or 'ppd'
+     */
+    setGuaranteeType(type) {
+      state.guaranteeType = type;
+    },
+
+    /**
+     * Set FMG refund rate
+     * @param {number} rate - Refunded share of the FMG (%)
+     */
+    setFmgRefundRate(rate) {
+      state.fmgRefundRate = rate;
+    },
+
+    /**
+     * Set borrowing capacity method
+     * @param {string} mode - 'legacy' or 'hcsf'
+     */
+    setCapacityMode(mode) {
+      state.capacityMode = mode;
     },
 
     /**
@@ -298,6 +661,36 @@ const MortgageSimulator = (() => {
       state.capital = capital;
     },
 
+    /**
+     * Set one-off costs
+     * @param {Array} costs - Costs {id, label, amount, financed, inTaeg}
+     */
+    setOneOffCosts(costs) {
+      state.oneOffCosts = costs.map(c => ({ ...c }));
+    },
+
+    /**
+     * Add a one-off cost
+     * @param {Object} item - Cost data {label, amount, financed, inTaeg}
+     * @returns {Object} Added cost with ID
+     */
+    addOneOffCost(item) {
+      const cost = {
+        id: generateId(),
+        ...item
+      };
+      state.oneOffCosts.push(cost);
+      return { ...cost };
+    },
+
+    /**
+     * Remove a one-off cost by ID
+     * @param {number} id - Cost ID
+     */
+    removeOneOffCost(id) {
+      state.oneOffCosts = state.oneOffCosts.filter(c => c.id !== id);
+    },
+
     /**
      * Set frais de dossier
      * @param {number} frais - Frais de dossier amount
@@ -307,11 +700,38 @@ const MortgageSimulator = (() => {
     },
 
     /**
-     * Set interest rates
-     * @param {Object} rates - Rates object {15, 20, 25}
+     * Set bank rate grid (rows are kept sorted by duration)
+     * @param {Array} rates - Rate rows {id, duration, rate}
      */
     setRates(rates) {
-      state.rates = { ...rates };
+      state.rates = sortRates(rates);
+    },
+
+    /**
+     * Add a row to the rate grid
+     * @param {Object} item - Rate data {duration, rate}
+     * @returns {Object} Added row with ID
+     */
+    addRate(item) {
+      const row = {
+        id: generateId(),
+        ...item
+      };
+      state.rates = sortRates([...state.rates, row]);
+      return row;
+    },
+
+    /**
+     * Remove a row from the rate grid (the last row cannot be removed)
+     * @param {number} id - Rate row ID
+     * @returns {boolean} True if removed
+     */
+    removeRate(id) {
+      if (state.rates.length <= 1) {
+        return false;
+      }
+      state.rates = state.rates.filter(r => r.id !== id);
+      return true;
     },
 
     /**
@@ -356,6 +776,161 @@ const MortgageSimulator = (() => {
       state.gigogne.actualAmount = Math.min(optimal, state.gigogne.maxAmount);
     },
 
+    /**
+     * Set the loans smoothed with the main loan
+     * @param {Array} layers - Layers {id, label, amount, rate, duration, deferralType, deferralMonths}
+     */
+    setLoanLayers(layers) {
+      state.loanLayers = layers.map(l => ({ ...l }));
+    },
+
+    /**
+     * Add a loan layer
+     * @param {Object} item - Layer data {label, amount, rate, duration, deferralType, deferralMonths}
+     * @returns {Object} Added layer with ID
+     */
+    addLoanLayer(item) {
+      const layer = {
+        id: generateId(),
+        ...item
+      };
+      state.loanLayers.push(layer);
+      return { ...layer };
+    },
+
+    /**
+     * Remove a loan layer by ID
+     * @param {number} id - Layer ID
+     */
+    removeLoanLayer(id) {
+      state.loanLayers = state.loanLayers.filter(l => l.id !== id);
+    },
+
+    /**
+     * Update PTZ inputs
+     * @param {Object} changes - Fields to update {enabled, zone, referenceIncome}
+     */
+    setPtz(changes) {
+      state.ptz = { ...state.ptz, ...changes };
+    },
+
+    /**
+     * Update Action Logement loan inputs
+     * @param {Object} changes - Fields to update {enabled, amount, duration, companyStaff}
+     */
+    setActionLogement(changes) {
+      state.actionLogement = { ...state.actionLogement, ...changes };
+    },
+
+    /**
+     * Update épargne logement (PEL/CEL) inputs
+     * @param {Object} changes - Fields to update {enabled, type, balance, openingDate, generation, duration}
+     */
+    setSavingsPlan(changes) {
+      state.savingsPlan = { ...state.savingsPlan, ...changes };
+    },
+
+    /**
+     * Enable or disable the VEFA calls for funds
+     * @param {boolean} enabled - Enabled state
+     */
+    setVefaEnabled(enabled) {
+      state.vefa.enabled = enabled;
+    },
+
+    /**
+     * Set VEFA calls for funds (kept sorted by month)
+     * @param {Array} calls - Calls {id, label, percent, month}
+     */
+    setVefaCalls(calls) {
+      state.vefa.calls = calls
+        .map(c => ({ ...c }))
+        .sort((a, b) => a.month - b.month);
+    },
+
+    /**
+     * Add a VEFA call for funds
+     * @param {Object} item - Call data {label, percent, month}
+     * @returns {Object} Added call with ID
+     */
+    addVefaCall(item) {
+      const call = {
+        id: generateId(),
+        ...item
+      };
+      state.vefa.calls = [...state.vefa.calls, call].sort((a, b) => a.month - b.month);
+      return call;
+    },
+
+    /**
+     * Remove a VEFA call for funds (the last call cannot be removed)
+     * @param {number} id - Call ID
+     * @returns {boolean} True if removed
+     */
+    removeVefaCall(id) {
+      if (state.vefa.calls.length <= 1) {
+        return false;
+      }
+      state.vefa.calls = state.vefa.calls.filter(c => c.id !== id);
+      return true;
+    },
+
+    /**
+     * Update amortization deferral settings
+     * @param {Object} changes - Fields to update {type, months}
+     */
+    setDeferral(changes) {
+      state.deferral = { ...state.deferral, ...changes };
+    },
+
+    /**
+     * Update cost of ownership inputs
+     * @param {Object} changes - Fields to update {propertyTax, coOwnership, homeInsurance, energy, maintenanceRate}
+     */
+    setOwnership(changes) {
+      state.ownership = { ...state.ownership, ...changes };
+    },
+
+    /**
+     * Update renovation works settings
+     * @param {Object} changes - Fields to update {amount, ecoPtzEnabled, ecoPtzAmount, ecoPtzDuration}
+     */
+    setWorks(changes) {
+      state.works = { ...state.works, ...changes };
+    },
+
+    /**
+     * Update rent vs buy comparator inputs
+     * @param {Object} changes - Fields to update {rent, rentGrowth, appreciation, investmentReturn}
+     */
+    setRentVsBuy(changes) {
+      state.rentVsBuy = { ...state.rentVsBuy, ...changes };
+    },
+
+    /**
+     * Update variable rate loan settings
+     * @param {Object} changes - Fields to update {enabled, index, indexValue, margin, cap, reviewMonths, scenario, customPath}
+     */
+    setVariableRate(changes) {
+      state.variableRate = { ...state.variableRate, ...changes };
+    },
+
+    /**
+     * Update rental investment settings
+     * @param {Object} changes - Fields to update {enabled, monthlyRent, propertyTax, charges}
+     */
+    setInvestment(changes) {
+      state.investment = { ...state.investment, ...changes };
+    },
+
+    /**
+     * Update early repayment settings
+     * @param {Object} changes - Fields to update {enabled, month, amount, type, mode}
+     */
+    setPrepayment(changes) {
+      state.prepayment = { ...state.prepayment, ...changes };
+    },
+
     /**
      * Set primary rate override
      * @param {number|null} rate - Rate or null
@@ -456,6 +1031,14 @@ const MortgageSimulator = (() => {
       state.taeg = taeg;
     },
 
+    /**
+     * Set usury check result
+     * @param {Object|null} check - {ceiling, compliant, margin, category, band, maxInsuranceRate, maxFees}
+     */
+    setUsuryCheck(check) {
+      state.usuryCheck = check ? { ...check } : null;
+    },
+
     /**
      * Set amortization table
      * @param {Array} table - Amortization table array
@@ -464,6 +1047,46 @@ const MortgageSimulator = (() => {
       state.amortizationTable = [...table];
     },
 
+    /**
+     * Set HCSF compliance result
+     * @param {Object|null} check - Output of HCSF.evaluate
+     */
+    setHcsfCheck(check) {
+      state.hcsfCheck = check;
+    },
+
+    /**
+     * Set early repayment result (schedule with prepayment and savings summary)
+     * @param {Object|null} result - Output of Formulas.generatePrepaymentTable
+     */
+    setPrepaymentResult(result) {
+      state.prepaymentResult = result;
+    },
+
+    /**
+     * Set rental investment result (yields and cash flow)
+     * @param {Object|null} result - {weightedRent, grossYield, netYield, monthlyCashFlow, cashFlowSeries}
+     */
+    setInvestmentResult(result) {
+      state.investmentResult = result;
+    },
+
+    /**
+     * Set rent vs buy comparison result
+     * @param {Object|null} result - Output of Formulas.compareRentVsBuy
+     */
+    setRentVsBuyResult(result) {
+      state.rentVsBuyResult = result;
+    },
+
+    /**
+     * Set variable rate scenario comparison
+     * @param {Object|null} result - Output of Formulas.compareVariableRateScenarios
+     */
+    setVariableRateResult(result) {
+      state.variableRateResult = result;
+    },
+
     /**
      * Set notary fees
      * @param {number} amount - Notary fees amount
@@ -474,7 +1097,7 @@ const MortgageSimulator = (() => {
 
     /**
      * Set caution fees
-     * @param {number} amount - Caution fees amount
+     * @param {number} amount - Guarantee fees amount (caution, hypothèque or PPD)
      */
     setCautionFees(amount) {
       state.cautionFees = amount;
@@ -509,19 +1132,41 @@ const MortgageSimulator = (() => {
      */
     reset() {
       // Reset all properties to defaults
-      state.revenues = [{ id: idCounter++, ...ItemDefaults.revenue }];
+      state.borrowers = createDefaultBorrowers();
+      state.insuranceMode = AppDefaults.insuranceMode;
+      state.capacityMode = AppDefaults.capacityMode;
+      state.household = { ...AppDefaults.household };
+      state.department = AppDefaults.department;
+      state.firstTimeBuyer = AppDefaults.firstTimeBuyer;
+      state.agencyFees = AppDefaults.agencyFees;
+      state.furnitureValue = AppDefaults.furnitureValue;
+      state.guaranteeType = AppDefaults.guaranteeType;
+      state.fmgRefundRate = AppDefaults.fmgRefundRate;
+      state.revenues = [{ id: idCounter++, borrowerId: state.borrowers[0].id, ...ItemDefaults.revenue }];
       state.charges = [];
-      state.ages = { ...AppDefaults.ages };
+      state.oneOffCosts = [];
+      state.loanLayers = [];
       state.capital = AppDefaults.capital;  // Fixed: was 0, now 50000
       state.fraisDossier = AppDefaults.fraisDossier;
-      state.rates = { ...AppDefaults.rates };
+      state.rates = createDefaultRates();
       state.duration = AppDefaults.duration;
       state.propertyType = AppDefaults.propertyType;
       state.propertyPrice = AppDefaults.propertyPrice;  // Fixed: now 250000
+      state.deferral = { ...DeferralDefaults };
+      state.vefa = createDefaultVefa();
+      state.ownership = { ...OwnershipDefaults };
+      state.rentVsBuy = { ...RentVsBuyDefaults };
+      state.variableRate = { ...VariableRateDefaults };
+      state.works = { ...WorksDefaults };
+      state.investment = { ...InvestmentDefaults };
       
       // Reset gigogne state
       state.gigogne = { ...GigogneDefaults, optimalAmount: 0, actualAmount: 0 };
+      state.ptz = { ...PtzDefaults };
+      state.actionLogement = { ...ActionLogementDefaults };
+      state.savingsPlan = { ...SavingsPlanDefaults };
       state.primaryRateOverride = null;
+      state.prepayment = { ...PrepaymentDefaults };
 
       // Reset computed values
       state.maxLoan = 0;
@@ -532,7 +1177,13 @@ const MortgageSimulator = (() => {
       state.monthlyPaymentWithInsurance = 0;
       state.totalCost = 0;
       state.taeg = 0;
+      state.usuryCheck = null;
+      state.hcsfCheck = null;
       state.amortizationTable = [];
+      state.prepaymentResult = null;
+      state.investmentResult = null;
+      state.rentVsBuyResult = null;
+      state.variableRateResult = null;
       state.notaryFees = 0;
       state.cautionFees = 0;
       
@@ -560,6 +1211,25 @@ const MortgageSimulator = (() => {
     fromJSON(json) {
       try {
         const imported = JSON.parse(json);
+        
+        // Legacy exports stored a single {person1} age instead of borrowers
+        if (imported.ages && !imported.borrowers) {
+          imported.borrowers = [{ id: generateId(), ...ItemDefaults.borrower, age: imported.ages.person1 }];
+          delete imported.ages;
+        }
+        
+        // Legacy exports stored rates as a {15, 20, 25} object
+        if (imported.rates && !Array.isArray(imported.rates)) {
+          imported.rates = Object.keys(imported.rates).map(duration => ({
+            id: generateId(),
+            duration: parseFloat(duration),
+            rate: imported.rates[duration]
+          }));
+        }
+        if (imported.rates) {
+          imported.rates = sortRates(imported.rates);
+        }
+        
         Object.assign(state, imported);
         return true;
       } catch (error) {
@@ -4,7 +4,7 @@
  */
 
 // Use global Config object (set by config.js)
-var { UIOptions } = window.Config || {};
+var { UIOptions, DmtoRates, SavingsPlanRules, VariableRateRules } = window.Config || {};
 
 const UI = (() => {
   
@@ -61,13 +61,23 @@ const UI = (() => {
   // DYNAMIC ROW MANAGEMENT
   // ============================================
 
+  /**
+   * Get display label for a borrower by position
+   * @param {number} index - Zero-based borrower position
+   * @returns {string} Label (e.g. 'Emprunteur 1')
+   */
+  const getBorrowerLabel = (index) => {
+    return `Emprunteur ${index + 1}`;
+  };
+
   /**
    * Create HTML for a revenue/charge row
-   * @param {Object} data - Row data {id, type, amount, frequency}
+   * @param {Object} data - Row data {id, borrowerId, type, amount, frequency}
    * @param {string} rowType - 'revenue' or 'charge'
+   * @param {Array} borrowers - Borrowers available as owners of the row
    * @returns {HTMLElement} Row element
    */
-  const createRow = (data, rowType) => {
+  const createRow = (data, rowType, borrowers = []) => {
     const row = document.createElement('div');
     row.className = 'row g-2 mb-2 align-items-center';
     row.dataset.id = data.id;
@@ -75,7 +85,7 @@ const UI = (() => {
 
     // Dropdown for type
     const colType = document.createElement('div');
-    colType.className = 'col-md-4';
+    colType.className = borrowers.length > 1 ? 'col-md-3' : 'col-md-4';
     
     const select = document.createElement('select');
     select.className = 'form-select form-select-sm';
@@ -96,9 +106,32 @@ const UI = (() => {
     colType.appendChild(select);
     row.appendChild(colType);
 
+    // Dropdown for owner (only when there are several borrowers)
+    if (borrowers.length > 1) {
+      const colBorrower = document.createElement('div');
+      colBorrower.className = 'col-md-2';
+      
+      const selectBorrower = document.createElement('select');
+      selectBorrower.className = 'form-select form-select-sm';
+      selectBorrower.dataset.field = 'borrowerId';
+      selectBorrower.setAttribute('aria-label', 'Emprunteur');
+      
+      borrowers.forEach((borrower, index) => {
+        const option = document.createElement('option');
+        option.value = borrower.id;
+        option.textContent = `E${index + 1}`;
+        option.title = getBorrowerLabel(index);
+        option.selected = (borrower.id === (data.borrowerId || borrowers[0].id));
+        selectBorrower.appendChild(option);
+      });
+      
+      colBorrower.appendChild(selectBorrower);
+      row.appendChild(colBorrower);
+    }
+
     // Amount input
     const colAmount = document.createElement('div');
-    colAmount.className = 'col-md-4';
+    colAmount.className = borrowers.length > 1 ? 'col-md-3' : 'col-md-4';
     
     const inputAmount = document.createElement('input');
     inputAmount.type = 'number';
@@ -173,15 +206,197 @@ const UI = (() => {
     return row;
   };
 
+  /**
+   * Get current borrowers from state (empty if state is unavailable)
+   * @returns {Array} Array of borrower objects
+   */
+  const getStateBorrowers = () => {
+    return typeof MortgageSimulator !== 'undefined' ? MortgageSimulator.getBorrowers() : [];
+  };
+
+  /**
+   * Create HTML for a borrower row
+   * @param {Object} data - Borrower data {id, age, coverage, customRate, fixedPremium}
+   * @param {number} index - Zero-based borrower position
+   * @returns {HTMLElement} Row element
+   */
+  const createBorrowerRow = (data, index) => {
+    const row = document.createElement('div');
+    row.className = 'row g-2 mb-2 align-items-center';
+    row.dataset.id = data.id;
+    row.dataset.rowType = 'borrower';
+
+    // Label + per-borrower info
+    const colLabel = document.createElement('div');
+    colLabel.className = 'col-md-4';
+    
+    const label = document.createElement('div');
+    label.className = 'fw-medium small';
+    label.textContent = getBorrowerLabel(index);
+    colLabel.appendChild(label);
+    
+    const info = document.createElement('div');
+    info.className = 'text-muted small';
+    info.dataset.info = 'borrower';
+    info.textContent = '—';
+    colLabel.appendChild(info);
+    
+    row.appendChild(colLabel);
+
+    // Age input
+    const colAge = document.createElement('div');
+    colAge.className = 'col-md-3';
+    
+    const inputAge = document.createElement('input');
+    inputAge.type = 'number';
+    inputAge.className = 'form-control form-control-sm';
+    inputAge.placeholder = 'Âge (18-75)';
+    inputAge.min = '18';
+    inputAge.max = '75';
+    inputAge.value = data.age || '';
+    inputAge.dataset.field = 'age';
+    inputAge.setAttribute('aria-label', 'Âge (pour assurance)');
+    
+    colAge.appendChild(inputAge);
+    row.appendChild(colAge);
+
+    // Coverage (quotité) input
+    const colCoverage = document.createElement('div');
+    colCoverage.className = 'col-md-4';
+    
+    const group = document.createElement('div');
+    group.className = 'input-group input-group-sm';
+    
+    const inputCoverage = document.createElement('input');
+    inputCoverage.type = 'number';
+    inputCoverage.className = 'form-control form-control-sm';
+    inputCoverage.min = '0';
+    inputCoverage.max = '100';
+    inputCoverage.step = '10';
+    inputCoverage.value = data.coverage;
+    inputCoverage.dataset.field = 'coverage';
+    inputCoverage.setAttribute('aria-label', 'Quotité assurance (%)');
+    
+    const suffix = document.createElement('span');
+    suffix.className = 'input-group-text';
+    suffix.textContent = '% quotité';
+    
+    group.appendChild(inputCoverage);
+    group.appendChild(suffix);
+    colCoverage.appendChild(group);
+    row.appendChild(colCoverage);
+
+    // Remove button (first borrower cannot be removed)
+    const colBtn = document.createElement('div');
+    colBtn.className = 'col-md-1';
+    
+    if (index > 0) {
+      const btnRemove = document.createElement('button');
+      btnRemove.type = 'button';
+      btnRemove.className = 'btn btn-sm btn-danger w-100';
+      btnRemove.dataset.action = 'remove';
+      btnRemove.innerHTML = '&times;';
+      btnRemove.setAttribute('aria-label', 'Supprimer');
+      colBtn.appendChild(btnRemove);
+    }
+    
+    row.appendChild(colBtn);
+
+    // Délégation d'assurance (second line): quoted rate and/or fixed monthly premium
+    const colDelegation = document.createElement('div');
+    colDelegation.className = 'col-md-4 text-muted small';
+    colDelegation.textContent = 'Délégation (optionnel)';
+    row.appendChild(colDelegation);
+    
+    const createDelegationInput = (field, placeholder, step, value, suffixText) => {
+      const col = document.createElement('div');
+      col.className = field === 'customRate' ? 'col-md-3' : 'col-md-4';
+      
+      const inputGroup = document.createElement('div');
+      inputGroup.className = 'input-group input-group-sm';
+      
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'form-control form-control-sm';
+      input.placeholder = placeholder;
+      input.min = '0';
+      input.step = step;
+      input.value = value !== null && value !== undefined ? value : '';
+      input.dataset.field = field;
+      input.setAttribute('aria-label', placeholder);
+      
+      const inputSuffix = document.createElement('span');
+      inputSuffix.className = 'input-group-text';
+      inputSuffix.textContent = suffixText;
+      
+      inputGroup.appendChild(input);
+      inputGroup.appendChild(inputSuffix);
+      col.appendChild(inputGroup);
+      return col;
+    };
+    
+    row.appendChild(createDelegationInput('customRate', 'Taux', '0.01', data.customRate, '%'));
+    row.appendChild(createDelegationInput('fixedPremium', 'Prime fixe', '1', data.fixedPremium, '€/mois'));
+
+    return row;
+  };
+
+  /**
+   * Add a borrower row to the DOM
+   * @param {Object} data - Borrower data {id, age, coverage}
+   */
+  const addBorrowerRow = (data) => {
+    const container = document.getElementById('borrower-rows');
+    if (!container) return;
+    
+    const index = container.querySelectorAll('[data-row-type="borrower"]').length;
+    container.appendChild(createBorrowerRow(data, index));
+    updateAddBorrowerButton();
+  };
+
+  /**
+   * Disable the add borrower button once the maximum is reached
+   */
+  const updateAddBorrowerButton = () => {
+    const btn = document.getElementById('add-borrower-btn');
+    if (btn) {
+      btn.disabled = getStateBorrowers().length >= UIOptions.maxBorrowers;
+    }
+  };
+
+  /**
+   * Update per-borrower income and insurance info
+   * @param {Array} breakdown - Output of Formulas.calcBorrowerBreakdown
+   */
+  const updateBorrowerInfo = (breakdown) => {
+    const container = document.getElementById('borrower-rows');
+    if (!container) return;
+    
+    breakdown.forEach(item => {
+      const info = container.querySelector(`[data-id="${item.id}"][data-row-type="borrower"] [data-info="borrower"]`);
+      if (info) {
+        info.textContent = `${formatCurrency(item.income)}/mois · assur. ${formatCurrency(item.monthlyInsurance)}/mois`;
+      }
+    });
+    
+    // Total quotité hint (banks usually require at least 100%)
+    const coverageEl = document.getElementById('borrower-coverage-total');
+    if (coverageEl) {
+      const total = getStateBorrowers().reduce((sum, b) => sum + (parseFloat(b.coverage) || 0), 0);
+      coverageEl.textContent = `Quotité totale : ${formatNumber(total)} %`;
+      coverageEl.classList.toggle('text-danger', total < 100);
+    }
+  };
+
   /**
    * Add a revenue row to the DOM
-   * @param {Object} data - Revenue data {id, type, amount, frequency}
+   * @param {Object} data - Revenue data {id, borrowerId, type, amount, frequency}
    */
   const addRevenueRow = (data) => {
     const container = document.getElementById('revenue-rows');
     if (!container) return;
     
-    const row = createRow(data, 'revenue');
+    const row = createRow(data, 'revenue', getStateBorrowers());
     container.appendChild(row);
   };
 
@@ -201,13 +416,13 @@ const UI = (() => {
 
   /**
    * Add a charge row to the DOM
-   * @param {Object} data - Charge data {id, type, amount, frequency}
+   * @param {Object} data - Charge data {id, borrowerId, type, amount, frequency}
    */
   const addChargeRow = (data) => {
     const container = document.getElementById('charge-rows');
     if (!container) return;
     
-    const row = createRow(data, 'charge');
+    const row = createRow(data, 'charge', getStateBorrowers());
     container.appendChild(row);
   };
 
@@ -225,6 +440,289 @@ const UI = (() => {
     }
   };
 
+  /**
+   * Create a rate grid row (duration, rate, remove button)
+   * @param {Object} data - Rate row {id, duration, rate}
+   * @returns {HTMLElement} Table row element
+   */
+  const createRateRow = (data) => {
+    const row = document.createElement('tr');
+    row.dataset.id = data.id;
+    row.dataset.rowType = 'rate';
+
+    const createCell = (field, value, step, min, max, ariaLabel) => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'form-control form-control-sm rate-input';
+      input.step = step;
+      input.min = min;
+      input.max = max;
+      input.value = value !== null && value !== undefined ? value : '';
+      input.dataset.field = field;
+      input.setAttribute('aria-label', ariaLabel);
+      cell.appendChild(input);
+      return cell;
+    };
+
+    row.appendChild(createCell('duration', data.duration, '1', UIOptions.rateDurationBounds.min, UIOptions.rateDurationBounds.max, 'Durée (ans)'));
+    row.appendChild(createCell('rate', data.rate, '0.01', '0', '10', 'Taux (%)'));
+
+    // Remove button
+    const cellBtn = document.createElement('td');
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'btn btn-sm btn-danger w-100';
+    btnRemove.dataset.action = 'remove';
+    btnRemove.innerHTML = '&times;';
+    btnRemove.setAttribute('aria-label', 'Supprimer');
+    cellBtn.appendChild(btnRemove);
+    row.appendChild(cellBtn);
+
+    return row;
+  };
+
+  /**
+   * Render the bank rate grid from state (rows sorted by duration)
+   */
+  const renderRateRows = () => {
+    const container = document.getElementById('rate-rows');
+    if (!container || typeof MortgageSimulator === 'undefined') return;
+    
+    container.innerHTML = '';
+    const rates = MortgageSimulator.getRates();
+    rates.forEach(rate => container.appendChild(createRateRow(rate)));
+    
+    // The last row cannot be removed
+    if (rates.length <= 1) {
+      container.querySelectorAll('[data-action="remove"]').forEach(btn => { btn.disabled = true; });
+    }
+  };
+
+  /**
+   * Create a VEFA call for funds row (label, cumulative %, month, remove button)
+   * @param {Object} data - Call {id, label, percent, month}
+   * @returns {HTMLElement} Table row element
+   */
+  const createVefaCallRow = (data) => {
+    const row = document.createElement('tr');
+    row.dataset.id = data.id;
+    row.dataset.rowType = 'vefa-call';
+
+    const createCell = (field, type, value, attrs, ariaLabel) => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = type;
+      input.className = 'form-control form-control-sm';
+      Object.keys(attrs).forEach(key => { input[key] = attrs[key]; });
+      input.value = value !== null && value !== undefined ? value : '';
+      input.dataset.field = field;
+      input.setAttribute('aria-label', ariaLabel);
+      cell.appendChild(input);
+      return cell;
+    };
+
+    row.appendChild(createCell('label', 'text', data.label, {}, 'Étape'));
+    row.appendChild(createCell('percent', 'number', data.percent, { min: '0', max: '100', step: '1' }, '% cumulé du prix'));
+    row.appendChild(createCell('month', 'number', data.month, { min: '0', max: '60', step: '1' }, 'Mois depuis la signature'));
+
+    // Remove button
+    const cellBtn = document.createElement('td');
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'btn btn-sm btn-danger w-100';
+    btnRemove.dataset.action = 'remove';
+    btnRemove.innerHTML = '&times;';
+    btnRemove.setAttribute('aria-label', 'Supprimer');
+    cellBtn.appendChild(btnRemove);
+    row.appendChild(cellBtn);
+
+    return row;
+  };
+
+  /**
+   * Create a one-off cost row (label, amount, financed and TAEG flags, remove button)
+   * @param {Object} data - Cost {id, label, amount, financed, inTaeg}
+   * @returns {HTMLElement} Table row element
+   */
+  const createOneOffCostRow = (data) => {
+    const row = document.createElement('tr');
+    row.dataset.id = data.id;
+    row.dataset.rowType = 'one-off-cost';
+
+    const createCell = (field, type, value, attrs, ariaLabel) => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = type;
+      input.className = type === 'checkbox' ? 'form-check-input' : 'form-control form-control-sm';
+      Object.keys(attrs).forEach(key => { input.setAttribute(key, attrs[key]); });
+      if (type === 'checkbox') {
+        input.checked = !!value;
+        cell.className = 'text-center align-middle';
+      } else {
+        input.value = value !== null && value !== undefined ? value : '';
+      }
+      input.dataset.field = field;
+      input.setAttribute('aria-label', ariaLabel);
+      cell.appendChild(input);
+      return cell;
+    };
+
+    row.appendChild(createCell('label', 'text', data.label, { list: 'one-off-cost-labels' }, 'Libellé'));
+    row.appendChild(createCell('amount', 'number', data.amount, { min: '0', step: '100' }, 'Montant (€)'));
+    row.appendChild(createCell('financed', 'checkbox', data.financed, {}, 'Financé par le prêt'));
+    row.appendChild(createCell('inTaeg', 'checkbox', data.inTaeg, {}, 'Inclus dans le TAEG'));
+
+    // Remove button
+    const cellBtn = document.createElement('td');
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'btn btn-sm btn-danger w-100';
+    btnRemove.dataset.action = 'remove';
+    btnRemove.innerHTML = '&times;';
+    btnRemove.setAttribute('aria-label', 'Supprimer');
+    cellBtn.appendChild(btnRemove);
+    row.appendChild(cellBtn);
+
+    return row;
+  };
+
+  /**
+   * Render the one-off costs from state, with the label suggestions
+   */
+  const renderOneOffCostRows = () => {
+    const container = document.getElementById('one-off-cost-rows');
+    if (!container || typeof MortgageSimulator === 'undefined') return;
+    
+    const labels = document.getElementById('one-off-cost-labels');
+    if (labels && labels.children.length === 0) {
+      UIOptions.oneOffCostLabels.forEach(label => {
+        const option = document.createElement('option');
+        option.value = label;
+        labels.appendChild(option);
+      });
+    }
+    
+    container.innerHTML = '';
+    MortgageSimulator.getOneOffCosts().forEach(cost => container.appendChild(createOneOffCostRow(cost)));
+  };
+
+  /**
+   * Create a loan layer row (label, amount, rate, duration, deferral, remove button)
+   * @param {Object} data - Layer {id, label, amount, rate, duration, deferralType, deferralMonths}
+   * @returns {HTMLElement} Table row element
+   */
+  const createLoanLayerRow = (data) => {
+    const row = document.createElement('tr');
+    row.dataset.id = data.id;
+    row.dataset.rowType = 'loan-layer';
+
+    const createCell = (field, type, value, attrs, ariaLabel) => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = type;
+      input.className = 'form-control form-control-sm';
+      Object.keys(attrs).forEach(key => { input[key] = attrs[key]; });
+      input.value = value !== null && value !== undefined ? value : '';
+      input.dataset.field = field;
+      input.setAttribute('aria-label', ariaLabel);
+      cell.appendChild(input);
+      return cell;
+    };
+
+    row.appendChild(createCell('label', 'text', data.label, {}, 'Libellé'));
+    row.appendChild(createCell('amount', 'number', data.amount, { min: '0', step: '1000' }, 'Montant (€)'));
+    row.appendChild(createCell('rate', 'number', data.rate, { min: '0', max: '10', step: '0.01' }, 'Taux (%)'));
+    row.appendChild(createCell('duration', 'number', data.duration, { min: '1', max: '30', step: '1' }, 'Durée (ans)'));
+
+    // Deferral type and length
+    const cellDeferral = document.createElement('td');
+    const select = document.createElement('select');
+    select.className = 'form-select form-select-sm mb-1';
+    select.dataset.field = 'deferralType';
+    select.setAttribute('aria-label', 'Type de différé');
+    [['none', 'Aucun'], ['partial', 'Partiel'], ['total', 'Total']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = data.deferralType;
+    cellDeferral.appendChild(select);
+    cellDeferral.appendChild(createCell('deferralMonths', 'number', data.deferralMonths, { min: '0', max: '240', step: '1' }, 'Différé (mois)').firstChild);
+    row.appendChild(cellDeferral);
+
+    // Remove button
+    const cellBtn = document.createElement('td');
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'btn btn-sm btn-danger w-100';
+    btnRemove.dataset.action = 'remove';
+    btnRemove.innerHTML = '&times;';
+    btnRemove.setAttribute('aria-label', 'Supprimer');
+    cellBtn.appendChild(btnRemove);
+    row.appendChild(cellBtn);
+
+    return row;
+  };
+
+  /**
+   * Render the loans smoothed with the main loan from state
+   */
+  const renderLoanLayerRows = () => {
+    const container = document.getElementById('loan-layer-rows');
+    if (!container || typeof MortgageSimulator === 'undefined') return;
+    
+    container.innerHTML = '';
+    MortgageSimulator.getLoanLayers().forEach(layer => container.appendChild(createLoanLayerRow(layer)));
+  };
+
+  /**
+   * Render the VEFA calls for funds from state (rows sorted by month)
+   */
+  const renderVefaCallRows = () => {
+    const container = document.getElementById('vefa-call-rows');
+    if (!container || typeof MortgageSimulator === 'undefined') return;
+    
+    container.innerHTML = '';
+    const calls = MortgageSimulator.getVefa().calls;
+    calls.forEach(call => container.appendChild(createVefaCallRow(call)));
+    
+    // The last call cannot be removed
+    if (calls.length <= 1) {
+      container.querySelectorAll('[data-action="remove"]').forEach(btn => { btn.disabled = true; });
+    }
+  };
+
+  /**
+   * Show the VEFA section for new properties, and its calendar when enabled
+   * @param {string} propertyType - 'old' or 'new'
+   * @param {boolean} enabled - Whether calls for funds are simulated
+   */
+  const renderVefaFields = (propertyType, enabled) => {
+    const section = document.getElementById('vefa-section');
+    if (section) {
+      section.classList.toggle('d-none', propertyType !== 'new');
+    }
+    const fields = document.getElementById('vefa-fields');
+    if (fields) {
+      fields.classList.toggle('d-none', !enabled);
+    }
+  };
+
+  /**
+   * Limit the loan duration slider to the durations covered by the rate grid
+   * @param {number} min - Shortest grid duration (years)
+   * @param {number} max - Longest grid duration (years)
+   */
+  const updateDurationRange = (min, max) => {
+    const slider = document.getElementById('loan-duration');
+    if (slider) {
+      slider.min = min;
+      slider.max = max;
+    }
+  };
+
   /**
    * Clear and re-render all dynamic rows from state
    * Requires MortgageSimulator global to be available
@@ -232,6 +730,14 @@ const UI = (() => {
   const renderDynamicRows = () => {
     if (typeof MortgageSimulator === 'undefined') return;
     
+    // Clear and re-render borrowers
+    const borrowerContainer = document.getElementById('borrower-rows');
+    if (borrowerContainer) {
+      borrowerContainer.innerHTML = '';
+      const borrowers = MortgageSimulator.getBorrowers();
+      borrowers.forEach(borrower => addBorrowerRow(borrower));
+    }
+    
     // Clear and re-render revenues
     const revenueContainer = document.getElementById('revenue-rows');
     if (revenueContainer) {
@@ -247,6 +753,12 @@ const UI = (() => {
       const charges = MortgageSimulator.getCharges();
       charges.forEach(charge => addChargeRow(charge));
     }
+    
+    // Re-render the bank rate grid, the VEFA calendar, the one-off costs and the loan layers
+    renderRateRows();
+    renderVefaCallRows();
+    renderOneOffCostRows();
+    renderLoanLayerRows();
   };
 
   // ============================================
@@ -279,6 +791,158 @@ const UI = (() => {
     }
   };
 
+  /**
+   * Enable the deferral length only when a deferral type is selected
+   * @param {Object} deferral - Deferral {type, months}
+   */
+  const renderDeferralFields = (deferral) => {
+    const months = document.getElementById('deferral-months');
+    if (months) {
+      months.disabled = deferral.type === 'none';
+    }
+  };
+
+  /**
+   * Show/hide early repayment fields
+   * @param {Object} prepayment - Prepayment settings {enabled, type}
+   */
+  const renderPrepaymentFields = (prepayment) => {
+    const fields = document.getElementById('prepayment-fields');
+    if (fields) {
+      fields.classList.toggle('d-none', !prepayment.enabled);
+    }
+    
+    // Amount and recalculation mode only apply to a partial prepayment
+    const partialFields = document.getElementById('prepayment-partial-fields');
+    if (partialFields) {
+      partialFields.classList.toggle('d-none', prepayment.type === 'total');
+    }
+  };
+
+  /**
+   * Show or hide the rental investment inputs
+   * @param {Object} investment - Investment settings {enabled}
+   */
+  const renderInvestmentFields = (investment) => {
+    const fields = document.getElementById('investment-fields');
+    if (fields) {
+      fields.classList.toggle('d-none', !investment.enabled);
+    }
+  };
+
+  /**
+   * Show the éco-PTZ fields when enabled
+   * @param {Object} works - Works settings {ecoPtzEnabled}
+   */
+  const renderWorksFields = (works) => {
+    const fields = document.getElementById('eco-ptz-fields');
+    if (fields) {
+      fields.classList.toggle('d-none', !works.ecoPtzEnabled);
+    }
+  };
+
+  /**
+   * Show or hide the PTZ inputs
+   * @param {Object} ptz - PTZ inputs {enabled, zone, referenceIncome}
+   */
+  const renderPtzFields = (ptz) => {
+    const fields = document.getElementById('ptz-fields');
+    if (fields) {
+      fields.classList.toggle('d-none', !ptz.enabled);
+    }
+  };
+
+  /**
+   * Display the PTZ evaluation
+   * @param {Object|null} result - PTZ evaluation, null when the PTZ is off
+   */
+  const renderPtzResult = (result) => {
+    const infoEl = document.getElementById('ptz-info');
+    if (!infoEl || !result) return;
+
+    const household = `Foyer de ${result.persons} personne${result.persons > 1 ? 's' : ''}, revenu retenu ${formatCurrency(result.retainedIncome)}.`;
+
+    if (!result.eligible) {
+      infoEl.textContent = `Non éligible : ${result.reasons.join(' ; ')}. ${household}`;
+      return;
+    }
+
+    const base = Math.min(result.operationCost, result.ceiling);
+    infoEl.textContent = `Tranche ${result.tranche} : ${formatCurrency(result.amount)} ` +
+      `(${(result.quotity * 100).toFixed(0)}% de ${formatCurrency(base)}), ` +
+      `${result.durationYears} ans dont ${result.deferralYears} ans de différé. ${household}`;
+  };
+
+  /**
+   * Show or hide the Action Logement loan inputs
+   * @param {Object} actionLogement - Inputs {enabled, amount, duration, companyStaff}
+   */
+  const renderActionLogementFields = (actionLogement) => {
+    const fields = document.getElementById('action-logement-fields');
+    if (fields) {
+      fields.classList.toggle('d-none', !actionLogement.enabled);
+    }
+  };
+
+  /**
+   * Display the Action Logement loan evaluation
+   * @param {Object|null} result - Action Logement evaluation, null when the loan is off
+   */
+  const renderActionLogementResult = (result) => {
+    const infoEl = document.getElementById('action-logement-info');
+    if (!infoEl || !result) return;
+
+    if (!result.eligible) {
+      infoEl.textContent = `Non éligible : ${result.reasons.join(' ; ')}.`;
+      return;
+    }
+
+    infoEl.textContent = `${formatCurrency(result.amount)} à ${result.rate.toFixed(2)}% sur ${result.duration} ans.`;
+  };
+
+  /**
+   * Show or hide the épargne logement inputs and list the generations of the plan type
+   * @param {Object} savingsPlan - Inputs {enabled, type, balance, openingDate, generation, duration}
+   */
+  const renderSavingsPlanFields = (savingsPlan) => {
+    const fields = document.getElementById('savings-plan-fields');
+    if (fields) {
+      fields.classList.toggle('d-none', !savingsPlan.enabled);
+    }
+
+    const select = document.getElementById('savings-plan-generation');
+    const rules = SavingsPlanRules[savingsPlan.type];
+    if (!select || !rules) return;
+
+    const options = ['<option value="auto">Selon la date d\'ouverture</option>'].concat(
+      rules.generations.slice().reverse().map(g =>
+        `<option value="${g.from}">Depuis le ${new Date(g.from).toLocaleDateString('fr-FR')} : épargne ${formatPercent(g.savingsRate)}, prêt ${formatPercent(g.loanRate)}</option>`
+      )
+    );
+    select.innerHTML = options.join('');
+    select.value = savingsPlan.generation;
+  };
+
+  /**
+   * Display the épargne logement loan evaluation and its comparison with the market rate
+   * @param {Object|null} result - Épargne logement evaluation, null when the plan is off
+   */
+  const renderSavingsPlanResult = (result) => {
+    const infoEl = document.getElementById('savings-plan-info');
+    if (!infoEl || !result) return;
+
+    if (!result.eligible) {
+      infoEl.textContent = `Non éligible : ${result.reasons.join(' ; ')}.`;
+      return;
+    }
+
+    const verdict = result.beatsMarket
+      ? `plus avantageux que le marché (${formatPercent(result.marketRate)}), ${formatCurrency(result.savings)} d'intérêts économisés`
+      : `moins avantageux que le marché (${formatPercent(result.marketRate)}), ${formatCurrency(-result.savings)} d'intérêts en plus`;
+    infoEl.textContent = `Intérêts acquis ${formatCurrency(result.acquiredInterest)}, droits ${formatCurrency(result.rights)} : ` +
+      `prêt ${result.label} de ${formatCurrency(result.amount)} à ${formatPercent(result.rate)} sur ${result.duration} ans, ${verdict}.`;
+  };
+
   /**
    * Update gigogne info display
    * @param {number} optimal - Optimal amount
@@ -306,6 +970,61 @@ const UI = (() => {
     return 'bg-danger';
   };
 
+  /**
+   * Fill the département selector from the DMTO rates table
+   * @param {string} selected - Selected département code ('' = national flat rate)
+   */
+  const renderDepartmentOptions = (selected) => {
+    const select = document.getElementById('department');
+    if (!select) return;
+    
+    const options = [`<option value="">Non précisé (taux national ${formatPercent(MortgageSimulator.Formulas.getDmtoRate('', false) * 100)})</option>`]
+      .concat(DmtoRates.departments.map(d =>
+        `<option value="${d.code}">${d.code} - ${d.name} (${formatPercent(MortgageSimulator.Formulas.getDmtoRate(d.code, false) * 100)})</option>`
+      ));
+    select.innerHTML = options.join('');
+    select.value = selected || '';
+  };
+
+  /**
+   * Itemised notary fees as HTML (popover content)
+   * @param {Object} breakdown - Output of Formulas.calcNotaryFeesBreakdown
+   * @returns {string} HTML table
+   */
+  const buildNotaryFeesBreakdownHTML = (breakdown) => {
+    const lines = [
+      [`${breakdown.transferTaxLabel} (${formatPercent(breakdown.transferTaxRate)})`, breakdown.transferTax],
+      ['Émoluments du notaire (HT)', breakdown.emoluments],
+      ['TVA sur émoluments', breakdown.emolumentsVAT],
+      ['Débours', breakdown.debours],
+      ['Contribution de sécurité immobilière', breakdown.contribution]
+    ];
+    
+    return `<table class="table table-sm mb-0"><tr class="text-muted"><td>Assiette taxable</td><td class="text-end">${formatCurrency(breakdown.taxableBase)}</td></tr>${lines.map(([label, value]) =>
+      `<tr><td>${label}</td><td class="text-end">${formatCurrency(value)}</td></tr>`
+    ).join('')}<tr class="fw-bold"><td>Total</td><td class="text-end">${formatCurrency(breakdown.total)}</td></tr></table>`;
+  };
+
+  /**
+   * Update the notary fees detail popover
+   * @param {Object} breakdown - Output of Formulas.calcNotaryFeesBreakdown
+   */
+  const renderNotaryFeesBreakdown = (breakdown) => {
+    const button = document.getElementById('notary-fees-detail-btn');
+    if (!button || typeof bootstrap === 'undefined') return;
+    
+    const content = buildNotaryFeesBreakdownHTML(breakdown);
+    const popover = bootstrap.Popover.getOrCreateInstance(button, {
+      html: true,
+      sanitize: false,
+      placement: 'bottom',
+      trigger: 'focus',
+      title: 'Détail des frais de notaire',
+      content: content
+    });
+    popover.setContent({ '.popover-header': 'Détail des frais de notaire', '.popover-body': content });
+  };
+
   /**
    * Update summary dashboard with computed values
    * @param {Object} data - Summary data object
@@ -326,8 +1045,14 @@ const UI = (() => {
     // Loan amount
     const loanAmountEl = document.getElementById('summary-loan-amount');
     if (loanAmountEl) {
-      if (data.gigogne) {
-        loanAmountEl.innerHTML = `${formatCurrency(data.loanAmount)}<br><small class="text-muted">P1: ${formatCurrency(data.gigogne.primaryAmount)} | P2: ${formatCurrency(data.gigogne.secondaryAmount)}</small>`;
+      if (data.loanStack) {
+        // Labels are typed by the user: text nodes only
+        const parts = document.createElement('small');
+        parts.className = 'text-muted';
+        parts.textContent = data.loanStack.map(layer => `${layer.label}: ${formatCurrency(layer.amount)}`).join(' | ');
+        loanAmountEl.textContent = formatCurrency(data.loanAmount);
+        loanAmountEl.appendChild(document.createElement('br'));
+        loanAmountEl.appendChild(parts);
       } else {
         loanAmountEl.textContent = formatCurrency(data.loanAmount || data.requiredLoan);
       }
@@ -337,9 +1062,13 @@ const UI = (() => {
     const monthlyPaymentEl = document.getElementById('summary-monthly-payment');
     if (monthlyPaymentEl) {
       monthlyPaymentEl.textContent = formatCurrency(data.monthlyPayment);
-      if (data.gigogne) {
+      if (data.loanStack) {
         monthlyPaymentEl.innerHTML += ' <small class="text-muted">(lissée)</small>';
       }
+      if (data.deferral) {
+        const deferralLabel = data.deferral.type === 'total' ? 'différé total' : 'différé partiel';
+        monthlyPaymentEl.innerHTML += `<br><small class="text-muted">Après ${deferralLabel} de ${data.deferral.months} mois (pendant : ${formatCurrency(data.deferral.payment)} + assur. ${formatCurrency(data.deferral.insurance)})</small>`;
+      }
     }
 
     // Monthly payment (with insurance)
@@ -360,18 +1089,112 @@ const UI = (() => {
       taegEl.textContent = formatPercent(data.taeg || 0);
     }
 
+    // Insurance: bank group contract vs delegated contract
+    const insuranceComparisonEl = document.getElementById('summary-insurance-comparison');
+    if (insuranceComparisonEl) {
+      const comparison = data.insuranceComparison;
+      if (comparison) {
+        const savings = comparison.group - comparison.delegated;
+        insuranceComparisonEl.innerHTML = `${formatCurrency(comparison.delegated)}<br><small class="text-muted">Groupe : ${formatCurrency(comparison.group)} | ${savings >= 0 ? 'Économie' : 'Surcoût'} : ${formatCurrency(Math.abs(savings))}</small>`;
+      } else {
+        insuranceComparisonEl.textContent = '—';
+      }
+    }
+
+    // VEFA construction phase
+    const intercalaryEl = document.getElementById('summary-intercalary');
+    if (intercalaryEl) {
+      const vefa = data.vefa;
+      if (vefa) {
+        intercalaryEl.innerHTML = `${formatCurrency(vefa.intercalaryInterest + vefa.intercalaryInsurance)}<br><small class="text-muted">Intérêts : ${formatCurrency(vefa.intercalaryInterest)} | Assurance : ${formatCurrency(vefa.intercalaryInsurance)} | Livraison au mois ${vefa.deliveryMonth}</small>`;
+      } else {
+        intercalaryEl.textContent = '—';
+      }
+    }
+
+    // Early repayment savings vs the original schedule
+    const prepaymentEl = document.getElementById('summary-prepayment');
+    if (prepaymentEl) {
+      const prepayment = data.prepayment;
+      if (prepayment) {
+        const effect = prepayment.monthsSaved > 0
+          ? `−${prepayment.monthsSaved} mois`
+          : `Mensualité : ${formatCurrency(prepayment.newPayment)}`;
+        prepaymentEl.innerHTML = `${formatCurrency(prepayment.netSavings)}<br><small class="text-muted">Intérêts et assurance économisés : ${formatCurrency(prepayment.interestSaved + prepayment.insuranceSaved)} | IRA : ${formatCurrency(prepayment.penalty)} | ${effect}</small>`;
+      } else {
+        prepaymentEl.textContent = '—';
+      }
+    }
+
+    // Monthly cost of owning: loan, insurance and recurring property costs
+    const ownershipEl = document.getElementById('summary-ownership');
+    if (ownershipEl) {
+      const ownership = data.ownership;
+      if (ownership) {
+        const parts = [
+          `Prêt : ${formatCurrency(ownership.loan)}`,
+          `Assurance emprunteur : ${formatCurrency(ownership.insurance)}`,
+          `Taxe foncière : ${formatCurrency(ownership.propertyTax)}`,
+          `Copropriété : ${formatCurrency(ownership.coOwnership)}`,
+          `Assurance habitation : ${formatCurrency(ownership.homeInsurance)}`,
+          `Énergie : ${formatCurrency(ownership.energy)}`,
+          `Entretien : ${formatCurrency(ownership.maintenance)}`
+        ];
+        ownershipEl.innerHTML = `${formatCurrency(ownership.total)} / mois<br><small class="text-muted">${parts.join(' | ')}</small>`;
+      } else {
+        ownershipEl.textContent = '—';
+      }
+    }
+
+    // Rental investment yields and cash flow
+    const investmentEl = document.getElementById('summary-investment');
+    if (investmentEl) {
+      const investment = data.investment;
+      if (investment) {
+        const cashFlowClass = investment.monthlyCashFlow >= 0 ? 'text-success' : 'text-danger';
+        investmentEl.innerHTML = `<span class="${cashFlowClass}">${formatCurrency(investment.monthlyCashFlow)} / mois</span><br><small class="text-muted">Rendement brut : ${formatPercent(investment.grossYield)} | net : ${formatPercent(investment.netYield)} | Loyer retenu par la banque : ${formatCurrency(investment.weightedRent)}</small>`;
+      } else {
+        investmentEl.textContent = '—';
+      }
+    }
+
     // Notary fees
     const notaryFeesEl = document.getElementById('summary-notary-fees');
     if (notaryFeesEl) {
       notaryFeesEl.textContent = formatCurrency(data.notaryFees || 0);
     }
+    if (data.notaryFeesBreakdown) {
+      renderNotaryFeesBreakdown(data.notaryFeesBreakdown);
+    }
 
-    // Caution fees
+    // Guarantee fees (caution, hypothèque or PPD)
     const cautionFeesEl = document.getElementById('summary-caution-fees');
     if (cautionFeesEl) {
       cautionFeesEl.textContent = formatCurrency(data.cautionFees || 0);
     }
 
+    // FMG refund at loan end (caution only)
+    const guaranteeRefundEl = document.getElementById('summary-guarantee-refund');
+    if (guaranteeRefundEl) {
+      guaranteeRefundEl.textContent = data.guaranteeRefund > 0
+        ? `Restitution FMG en fin de prêt : ${formatCurrency(data.guaranteeRefund)} (coût net ${formatCurrency((data.cautionFees || 0) - data.guaranteeRefund)})`
+        : '';
+    }
+    const fmgRefundGroup = document.getElementById('fmg-refund-group');
+    if (fmgRefundGroup) {
+      fmgRefundGroup.classList.toggle('d-none', data.guaranteeType !== 'caution');
+    }
+
+    // The three guarantees side by side for the current loan
+    const guaranteeBody = document.getElementById('guarantee-comparison-body');
+    if (guaranteeBody && data.guaranteeComparison) {
+      guaranteeBody.innerHTML = data.guaranteeComparison.map(option => {
+        const note = option.type === 'ppd' ? ' <small class="text-muted">(ancien uniquement)</small>' : '';
+        const selected = option.type === data.guaranteeType ? ' class="table-primary"' : '';
+        return `<tr${selected}><td>${option.label}${note}</td><td class="text-end">${formatCurrency(option.upfront)}</td><td class="text-end">${option.refund > 0 ? formatCurrency(option.refund) : '—'}</td><td class="text-end">${option.mainlevee > 0 ? formatCurrency(option.mainlevee) : '—'}</td></tr>`;
+      }).join('');
+    }
+
     // Debt ratio
     const debtRatioBar = document.getElementById('debt-ratio-bar');
     const debtRatioText = document.getElementById('debt-ratio-text');
@@ -387,6 +1210,68 @@ const UI = (() => {
       debtRatioBar.className = `progress-bar ${getDebtRatioColor(ratio)}`;
     }
 
+    // Reste à vivre against the household minimum
+    const resteAVivreEl = document.getElementById('reste-a-vivre-text');
+    if (resteAVivreEl) {
+      const resteAVivre = data.resteAVivre;
+      if (resteAVivre) {
+        const household = resteAVivre.household;
+        const composition = `${household.adults} adulte${household.adults > 1 ? 's' : ''}, ${household.children} enfant${household.children > 1 ? 's' : ''}`;
+        const status = resteAVivre.amount >= resteAVivre.threshold ? 'text-success' : 'text-danger';
+        resteAVivreEl.innerHTML = `<span class="${status} fw-bold">${formatCurrency(resteAVivre.amount)} / mois</span> <small class="text-muted">(minimum ${formatCurrency(resteAVivre.threshold)} pour ${composition})</small>`;
+      } else {
+        resteAVivreEl.textContent = '—';
+      }
+    }
+
+    // Usury ceiling check
+    const usuryAlertEl = document.getElementById('usury-alert');
+    if (usuryAlertEl) {
+      const usury = data.usuryCheck;
+      if (usury) {
+        const headroom = [];
+        if (usury.maxInsuranceRate !== undefined) {
+          headroom.push(`Taux d'assurance max : ${usury.maxInsuranceRate === null ? '—' : formatPercent(usury.maxInsuranceRate * 100)}`);
+        }
+        if (usury.maxFees !== undefined) {
+          headroom.push(`Frais max : ${usury.maxFees === null ? '—' : formatCurrency(usury.maxFees)}`);
+        }
+        const headline = usury.compliant
+          ? `✓ TAEG ${formatPercent(data.taeg || 0)} sous le taux d'usure de ${formatPercent(usury.ceiling)} (marge ${formatPercent(usury.margin)})`
+          : `⚠ Offre illégale : TAEG ${formatPercent(data.taeg || 0)} au-dessus du taux d'usure de ${formatPercent(usury.ceiling)}`;
+        
+        usuryAlertEl.className = `alert ${usury.compliant ? 'alert-success' : 'alert-danger'} mb-0`;
+        usuryAlertEl.innerHTML = `<strong>${headline}</strong><br><small>${usury.category}, ${usury.band}${headroom.length ? ' | ' + headroom.join(' | ') : ''}</small>`;
+      } else {
+        usuryAlertEl.className = 'alert alert-secondary mb-0';
+        usuryAlertEl.textContent = '—';
+      }
+    }
+
+    // HCSF compliance, rule by rule
+    const hcsfAlertEl = document.getElementById('hcsf-alert');
+    if (hcsfAlertEl) {
+      const hcsf = data.hcsfCheck;
+      if (hcsf) {
+        const formatRuleValue = (value, unit) => unit === '%'
+          ? formatPercent(value)
+          : `${formatNumber(Math.round(value * 10) / 10)} ${unit}`;
+        const rules = hcsf.rules.map(rule =>
+          `${rule.pass ? '✓' : '✗'} ${rule.label} : ${formatRuleValue(rule.value, rule.unit)} (max ${formatRuleValue(rule.limit, rule.unit)})`
+        );
+        const modeLabel = data.capacityMode === 'hcsf' ? 'Capacité calculée en mode HCSF strict' : 'Capacité calculée en mode banque (historique)';
+        const headline = hcsf.compliant
+          ? '✓ Conforme aux règles du HCSF'
+          : '⚠ Hors règles du HCSF';
+        
+        hcsfAlertEl.className = `alert ${hcsf.compliant ? 'alert-success' : 'alert-warning'} mb-0`;
+        hcsfAlertEl.innerHTML = `<strong>${headline}</strong><br><small>${rules.join('<br>')}${hcsf.exception ? '<br>' + hcsf.exception.reason : ''}<br>${modeLabel}</small>`;
+      } else {
+        hcsfAlertEl.className = 'alert alert-secondary mb-0';
+        hcsfAlertEl.textContent = '—';
+      }
+    }
+
     // Formula calculation display
     const formulaValueEl = document.getElementById('formula-value');
     if (formulaValueEl) {
@@ -395,9 +1280,44 @@ const UI = (() => {
       const fraisDossier = data.fraisDossier || 0;
       const cautionFees = data.cautionFees || 0;
       const capital = data.capital || 0;
-      const calculatedLoan = propertyPrice + notaryFees + fraisDossier + cautionFees - capital;
+      const oneOffCosts = data.oneOffCosts || { financed: 0, fromCapital: 0, total: 0 };
+      
+      // Agency fees and furniture are part of the price, listed apart (outside the notary base)
+      const priceDetails = [
+        data.agencyFees > 0 ? `agence ${formatCurrency(data.agencyFees)}` : null,
+        data.furnitureValue > 0 ? `mobilier ${formatCurrency(data.furnitureValue)}` : null
+      ].filter(Boolean);
+      const pricePart = priceDetails.length > 0
+        ? `${formatCurrency(propertyPrice)} <small class="text-muted">(dont ${priceDetails.join(', ')})</small>`
+        : formatCurrency(propertyPrice);
+      const works = data.works || { amount: 0 };
+      const calculatedLoan = propertyPrice + notaryFees + fraisDossier + cautionFees + oneOffCosts.financed +
+        works.amount - (capital - oneOffCosts.fromCapital);
       
-      formulaValueEl.innerHTML = `${formatCurrency(propertyPrice)} + ${formatCurrency(notaryFees)} + ${formatCurrency(fraisDossier)} + ${formatCurrency(cautionFees)} - ${formatCurrency(capital)} = <strong>${formatCurrency(calculatedLoan)}</strong>`;
+      // One-off costs and works only appear once the project has some
+      const financedPart = oneOffCosts.total > 0 ? ` + ${formatCurrency(oneOffCosts.financed)}` : '';
+      const worksPart = works.amount > 0 ? ` + ${formatCurrency(works.amount)}` : '';
+      const capitalPart = oneOffCosts.total > 0
+        ? `(${formatCurrency(capital)} - ${formatCurrency(oneOffCosts.fromCapital)})`
+        : formatCurrency(capital);
+      formulaValueEl.innerHTML = `${pricePart} + ${formatCurrency(notaryFees)} + ${formatCurrency(fraisDossier)} + ${formatCurrency(cautionFees)}${financedPart}${worksPart} - ${capitalPart} = <strong>${formatCurrency(calculatedLoan)}</strong>`;
+    }
+    const formulaLabelEl = document.getElementById('formula-label');
+    if (formulaLabelEl) {
+      const hasCosts = data.oneOffCosts && data.oneOffCosts.total > 0;
+      const terms = ['Prix', 'Frais de notaire', 'Frais de dossier', 'Frais de garantie'];
+      if (hasCosts) terms.push('Frais financés');
+      if (data.works && data.works.amount > 0) terms.push('Travaux');
+      formulaLabelEl.textContent = terms.join(' + ') +
+        (hasCosts ? ' - (Apport personnel - Frais payés sur l\'apport)' : ' - Apport personnel');
+    }
+
+    // Éco-PTZ granted on the works
+    const ecoPtzInfoEl = document.getElementById('eco-ptz-info');
+    if (ecoPtzInfoEl) {
+      ecoPtzInfoEl.textContent = data.works && data.works.ecoPtzAmount > 0
+        ? `Éco-PTZ retenu : ${formatCurrency(data.works.ecoPtzAmount)}, ${formatCurrency(data.works.ecoPtzPayment)}/mois pendant ${Math.round(data.works.ecoPtzMonths / 12)} ans`
+        : 'Aucun éco-PTZ : renseignez un montant de travaux';
     }
   };
 
@@ -450,28 +1370,118 @@ const UI = (() => {
     }
 
     const Charts = MortgageSimulator.Charts;
-    const state = MortgageSimulator.getState();
     const computed = MortgageSimulator.getComputed();
-    const gigogne = MortgageSimulator.getGigogne();
 
     if (!computed || !computed.totalCost) {
       return;
     }
 
-    // Calculate chart data from current state
-    const monthlyInsurance = computed.monthlyInsurance || 0;
-    const totalInsurance = monthlyInsurance * (state ? state.duration : 240) * 12;
-    const totalInterest = computed.totalCost - (computed.requiredLoan || 0) - totalInsurance;
+    // Calculate chart data from the amortization table (insurance may decline in 'crd' mode)
+    const totals = MortgageSimulator.Formulas.calcTableTotals(computed.amortizationTable);
+
+    // Non-loan ownership costs over the loan duration, from delivery after a VEFA construction phase
+    const ownershipCosts = MortgageSimulator.Formulas.calcOwnershipCosts(
+      MortgageSimulator.getOwnership(),
+      MortgageSimulator.getPropertyPrice()
+    );
 
     Charts.renderDonut({
       principal: computed.requiredLoan || 0,
-      interest: totalInterest,
-      insurance: totalInsurance,
-      gigogne: gigogne.enabled,
+      interest: totals.interest,
+      insurance: totals.insurance,
+      ownership: ownershipCosts.total * computed.amortizationTable.filter(row => !row.construction).length,
       amortization: computed.amortizationTable
     });
   };
 
+  /**
+   * Render rent vs buy verdict (break-even year and net worth at the end of the loan)
+   * @param {Object} result - Output of Formulas.compareRentVsBuy
+   */
+  const renderRentVsBuy = (result) => {
+    const resultEl = document.getElementById('rent-vs-buy-result');
+    if (!resultEl) return;
+    
+    if (!result || result.points.length === 0) {
+      resultEl.className = 'alert alert-secondary';
+      resultEl.textContent = '—';
+      return;
+    }
+    
+    const last = result.points[result.points.length - 1];
+    const headline = result.breakEvenYear !== null
+      ? `Acheter devient plus avantageux à partir de l'année ${result.breakEvenYear}`
+      : 'Louer reste plus avantageux sur toute la durée du prêt';
+    
+    resultEl.className = `alert ${result.breakEvenYear !== null ? 'alert-success' : 'alert-warning'}`;
+    resultEl.innerHTML = `<strong>${headline}</strong><br><small>Patrimoine en année ${last.year} : achat ${formatCurrency(last.buy)} | location ${formatCurrency(last.rent)} (frais de revente non déduits)</small>`;
+  };
+
+  /**
+   * Fill the variable rate selects from the rules and show the fields that apply
+   * @param {Object} variableRate - Settings {enabled, index, indexValue, margin, cap, reviewMonths, scenario, customPath}
+   */
+  const renderVariableRateFields = (variableRate) => {
+    const fillSelect = (id, entries) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      if (select.options.length === 0) {
+        select.innerHTML = entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+      }
+    };
+    const reviewLabels = { 3: 'Trimestrielle', 12: 'Annuelle', 60: 'Tous les 5 ans' };
+
+    fillSelect('variable-rate-index', Object.entries(VariableRateRules.indices));
+    fillSelect('variable-rate-cap', VariableRateRules.caps.map(cap => [cap, cap > 0 ? `Capé ±${cap}` : 'Non capé']));
+    fillSelect('variable-rate-review', VariableRateRules.reviewMonths.map(months => [months, reviewLabels[months] || `Tous les ${months} mois`]));
+    fillSelect('variable-rate-scenario', Object.entries(VariableRateRules.scenarios)
+      .map(([key, scenario]) => [key, scenario.label])
+      .concat([['custom', 'Personnalisé']]));
+
+    const fields = document.getElementById('variable-rate-fields');
+    if (fields) {
+      fields.classList.toggle('d-none', !variableRate.enabled);
+    }
+    const customPath = document.getElementById('variable-rate-custom');
+    if (customPath) {
+      customPath.classList.toggle('d-none', variableRate.scenario !== 'custom');
+    }
+  };
+
+  /**
+   * Render the variable rate verdict: payment and interest ranges against the fixed rate
+   * @param {Object|null} result - Output of Formulas.compareVariableRateScenarios
+   * @param {boolean} enabled - Whether the variable rate loan is selected
+   * @param {boolean} [stacked] - Whether loans are smoothed with the main loan (variable rate not available)
+   */
+  const renderVariableRateResult = (result, enabled, stacked = false) => {
+    // Smoothed loans keep the fixed rate: the variable rate settings are locked meanwhile
+    document.querySelectorAll('#variable-rate-fields input, #variable-rate-fields select').forEach(input => {
+      input.disabled = stacked;
+    });
+
+    const resultEl = document.getElementById('variable-rate-result');
+    if (!resultEl) return;
+
+    if (!result) {
+      resultEl.className = enabled && stacked ? 'alert alert-warning' : 'alert alert-secondary';
+      resultEl.textContent = enabled && stacked
+        ? 'Taux variable non disponible avec des prêts lissés : le prêt principal est calculé au taux fixe de la grille.'
+        : '—';
+      return;
+    }
+
+    const selected = result.scenarios.find(scenario => scenario.key === result.selected) || result.scenarios[0];
+    const dearer = selected.interest > result.fixed.interest;
+
+    resultEl.className = `alert ${dearer ? 'alert-warning' : 'alert-success'}`;
+    resultEl.innerHTML = `<strong>Scénario ${selected.label} : ${formatCurrency(selected.interest)} d'intérêts, ` +
+      `${dearer ? 'plus' : 'moins'} que le taux fixe à ${formatPercent(result.fixed.rate)} (${formatCurrency(result.fixed.interest)})</strong><br>` +
+      `<small>Taux initial ${formatPercent(result.initialRate)}. Selon les scénarios : mensualité de ${formatCurrency(result.range.minPayment)} à ${formatCurrency(result.range.maxPayment)} ` +
+      `(taux fixe ${formatCurrency(result.fixed.payment)}), intérêts de ${formatCurrency(result.range.minInterest)} à ${formatCurrency(result.range.maxInterest)}. ` +
+      `Le TAEG et le contrôle du taux d'usure supposent le taux initial maintenu sur toute la durée.</small>`;
+  };
+
   /**
    * Switch between monthly and yearly view for amortization table
    * @param {string} view - 'monthly' or 'yearly'
@@ -529,7 +1539,8 @@ const UI = (() => {
     let currentYear = null;
     let yearData = null;
     
-    const isGigogne = data.length > 0 && data[0].paymentP2 !== undefined;
+    const isStack = data.length > 0 && data[0].layers !== undefined;
+    const hasPrepayment = data.some(row => row.prepayment !== undefined);
 
     data.forEach((row, index) => {
       const year = Math.ceil((index + 1) / 12);
@@ -548,14 +1559,25 @@ const UI = (() => {
           insurance: 0,
           totalPaid: row.totalPaid || 0,
           remainingCapital: row.remainingCapital || 0,
-          // Gigogne fields
-          principalP1: 0,
-          interestP1: 0,
-          principalP2: 0,
-          interestP2: 0,
-          remainingCapitalP1: row.remainingCapitalP1 || 0,
-          remainingCapitalP2: row.remainingCapitalP2 || 0,
         };
+        
+        // Loan stack: one entry per loan
+        if (isStack) {
+          yearData.layers = row.layers.map(layer => ({
+            label: layer.label,
+            payment: 0,
+            principal: 0,
+            interest: 0,
+            capitalizedInterest: 0,
+            remainingCapital: layer.remainingCapital
+          }));
+        }
+        
+        // Early repayment columns only exist on prepayment schedules
+        if (hasPrepayment) {
+          yearData.prepayment = 0;
+          yearData.penalty = 0;
+        }
       }
       
       yearData.payment += (row.payment || 0);
@@ -565,13 +1587,20 @@ const UI = (() => {
       yearData.totalPaid = row.totalPaid || 0;
       yearData.remainingCapital = row.remainingCapital || 0;
       
-      if (isGigogne) {
-        yearData.principalP1 += (row.principalP1 || 0);
-        yearData.interestP1 += (row.interestP1 || 0);
-        yearData.principalP2 += (row.principalP2 || 0);
-        yearData.interestP2 += (row.interestP2 || 0);
-        yearData.remainingCapitalP1 = row.remainingCapitalP1 || 0;
-        yearData.remainingCapitalP2 = row.remainingCapitalP2 || 0;
+      if (hasPrepayment) {
+        yearData.prepayment += (row.prepayment || 0);
+        yearData.penalty += (row.penalty || 0);
+      }
+      
+      if (isStack) {
+        row.layers.forEach((layer, i) => {
+          const yearLayer = yearData.layers[i];
+          yearLayer.payment += layer.payment;
+          yearLayer.principal += layer.principal;
+          yearLayer.interest += layer.interest;
+          yearLayer.capitalizedInterest += layer.capitalizedInterest;
+          yearLayer.remainingCapital = layer.remainingCapital;
+        });
       }
     });
     
@@ -593,35 +1622,30 @@ const UI = (() => {
     
     if (!tbody || !thead) return;
 
-    // Check if data has gigogne fields
-    const isGigogne = data && data.length > 0 && data[0].paymentP2 !== undefined;
+    // Loan stack tables carry one installment column per loan
+    const stackLayers = data && data.length > 0 ? data[0].layers : undefined;
+    const hasPrepayment = data && data.some(row => row.prepayment !== undefined);
 
     // Update headers
-    if (isGigogne) {
-      thead.innerHTML = `
-        <th>${view === 'yearly' ? 'Année' : 'Mois'}</th>
-        ${view === 'monthly' ? '<th>Année</th>' : ''}
-        <th>Mensualité</th>
-        <th>Capital P1</th>
-        <th>Intérêts P1</th>
-        <th>Capital P2</th>
-        <th>Intérêts P2</th>
-        <th>Assurance</th>
-        <th>Total payé</th>
-        <th>Restant P1</th>
-        <th>Restant P2</th>
-      `;
-    } else {
-      thead.innerHTML = `
-        <th>${view === 'yearly' ? 'Année' : 'Mois'}</th>
-        ${view === 'monthly' ? '<th>Année</th>' : ''}
-        <th>Mensualité</th>
-        <th>Capital</th>
-        <th>Intérêts</th>
-        <th>Assurance</th>
-        <th>Total payé</th>
-        <th>Capital restant</th>
-      `;
+    thead.innerHTML = `
+      <th>${view === 'yearly' ? 'Année' : 'Mois'}</th>
+      ${view === 'monthly' ? '<th>Année</th>' : ''}
+      <th>Mensualité</th>
+      ${stackLayers ? stackLayers.map(() => '<th></th>').join('') : ''}
+      <th>Capital</th>
+      <th>Intérêts</th>
+      <th>Assurance</th>
+      ${hasPrepayment ? '<th>Remb. anticipé</th>' : ''}
+      <th>Total payé</th>
+      <th>Capital restant</th>
+    `;
+    
+    // Loan labels are typed by the user: text nodes only
+    if (stackLayers) {
+      const firstLayerIndex = view === 'monthly' ? 3 : 2;
+      stackLayers.forEach((layer, i) => {
+        thead.children[firstLayerIndex + i].textContent = layer.label;
+      });
     }
 
     // Clear existing rows
@@ -648,82 +1672,94 @@ const UI = (() => {
       const row = processedData[i];
       const tr = document.createElement('tr');
 
-      if (isGigogne) {
-        // Gigogne Row
-        const tdTime = document.createElement('td');
-        tdTime.textContent = view === 'yearly' ? `Année ${row.year}` : row.month || (i + 1);
-        tr.appendChild(tdTime);
-
-        if (view === 'monthly') {
-          const tdYear = document.createElement('td');
-          tdYear.textContent = row.year || Math.ceil((i + 1) / 12);
-          tr.appendChild(tdYear);
-        }
+      // Month
+      const tdMonth = document.createElement('td');
+      tdMonth.textContent = view === 'yearly' ? `Année ${row.year}` : row.month || (i + 1);
+      if (row.deferred && view === 'monthly') {
+        tdMonth.textContent += ' (différé)';
+        tr.classList.add('table-warning');
+      }
+      if (row.construction && view === 'monthly') {
+        tdMonth.textContent += ' (chantier)';
+        tr.classList.add('table-secondary');
+      }
+      tr.appendChild(tdMonth);
 
-        const createCell = (val) => {
-          const td = document.createElement('td');
-          td.textContent = formatCurrency(val);
-          return td;
-        };
+      // Year
+      if (view === 'monthly') {
+        const tdYear = document.createElement('td');
+        tdYear.textContent = row.year || Math.ceil((i + 1) / 12);
+        tr.appendChild(tdYear);
+      }
 
-        tr.appendChild(createCell(row.payment));
-        tr.appendChild(createCell(row.principalP1 || row.principalPart)); // Fallback if aggregated differently
-        tr.appendChild(createCell(row.interestP1 || row.interestPart));
-        tr.appendChild(createCell(row.principalP2 || 0));
-        tr.appendChild(createCell(row.interestP2 || 0));
-        tr.appendChild(createCell(row.insurance));
-        tr.appendChild(createCell(row.totalPaid));
-        tr.appendChild(createCell(row.remainingCapitalP1 || row.remainingCapital));
-        tr.appendChild(createCell(row.remainingCapitalP2 || 0));
+      // Payment
+      const tdPayment = document.createElement('td');
+      tdPayment.textContent = formatCurrency(row.payment);
+      tr.appendChild(tdPayment);
+
+      // Installment of each loan of the stack (details on hover)
+      if (stackLayers) {
+        row.layers.forEach(layer => {
+          const tdLayer = document.createElement('td');
+          tdLayer.textContent = formatCurrency(layer.payment);
+          tdLayer.title = `Capital ${formatCurrency(layer.principal)}, intérêts ${formatCurrency(layer.interest)}, restant ${formatCurrency(layer.remainingCapital)}`;
+          tr.appendChild(tdLayer);
+        });
+      }
 
-      } else {
-        // Standard Row
-        // Month
-        const tdMonth = document.createElement('td');
-        tdMonth.textContent = view === 'yearly' ? `Année ${row.year}` : row.month || (i + 1);
-        tr.appendChild(tdMonth);
-
-        // Year
-        if (view === 'monthly') {
-          const tdYear = document.createElement('td');
-          tdYear.textContent = row.year || Math.ceil((i + 1) / 12);
-          tr.appendChild(tdYear);
+      // Principal
+      const tdPrincipal = document.createElement('td');
+      tdPrincipal.textContent = formatCurrency(row.principalPart);
+      tr.appendChild(tdPrincipal);
+
+      // Interest
+      const tdInterest = document.createElement('td');
+      tdInterest.textContent = formatCurrency(row.interestPart);
+      tr.appendChild(tdInterest);
+
+      // Insurance
+      const tdInsurance = document.createElement('td');
+      tdInsurance.textContent = formatCurrency(row.insurance);
+      tr.appendChild(tdInsurance);
+
+      // Prepayment (amount + IRA)
+      if (hasPrepayment) {
+        const tdPrepayment = document.createElement('td');
+        if (row.prepayment) {
+          tdPrepayment.textContent = `${formatCurrency(row.prepayment)} + IRA ${formatCurrency(row.penalty || 0)}`;
+          tr.classList.add('table-info');
         }
-
-        // Payment
-        const tdPayment = document.createElement('td');
-        tdPayment.textContent = formatCurrency(row.payment);
-        tr.appendChild(tdPayment);
-
-        // Principal
-        const tdPrincipal = document.createElement('td');
-        tdPrincipal.textContent = formatCurrency(row.principalPart);
-        tr.appendChild(tdPrincipal);
-
-        // Interest
-        const tdInterest = document.createElement('td');
-        tdInterest.textContent = formatCurrency(row.interestPart);
-        tr.appendChild(tdInterest);
-
-        // Insurance
-        const tdInsurance = document.createElement('td');
-        tdInsurance.textContent = formatCurrency(row.insurance);
-        tr.appendChild(tdInsurance);
-
-        // Total paid
-        const tdTotalPaid = document.createElement('td');
-        tdTotalPaid.textContent = formatCurrency(row.totalPaid);
-        tr.appendChild(tdTotalPaid);
-
-        // Remaining capital
-        const tdRemaining = document.createElement('td');
-        tdRemaining.textContent = formatCurrency(row.remainingCapital);
-        tr.appendChild(tdRemaining);
+        tr.appendChild(tdPrepayment);
       }
 
+      // Total paid
+      const tdTotalPaid = document.createElement('td');
+      tdTotalPaid.textContent = formatCurrency(row.totalPaid);
+      tr.appendChild(tdTotalPaid);
+
+      // Remaining capital
+      const tdRemaining = document.createElement('td');
+      tdRemaining.textContent = formatCurrency(row.remainingCapital);
+      tr.appendChild(tdRemaining);
+
       tbody.appendChild(tr);
     }
 
+    // Guarantee refund (FMG) received with the last installment
+    const guaranteeRefund = data[data.length - 1].guaranteeRefund || 0;
+    if (guaranteeRefund > 0 && maxRows === processedData.length) {
+      const refundRow = document.createElement('tr');
+      refundRow.className = 'table-success';
+      const labelCell = document.createElement('td');
+      labelCell.colSpan = thead.children.length - 1;
+      labelCell.textContent = 'Restitution FMG (Crédit Logement)';
+      const amountCell = document.createElement('td');
+      amountCell.textContent = `+${formatCurrency(guaranteeRefund)}`;
+      refundRow.appendChild(labelCell);
+      refundRow.appendChild(amountCell);
+      tbody.appendChild(refundRow);
+    }
+
     // Add pagination info if data was truncated
     if (view === 'monthly' && processedData.length > maxRows) {
       const infoRow = document.createElement('tr');
@@ -746,50 +1782,41 @@ const UI = (() => {
       return;
     }
 
-    const isGigogne = data[0].paymentP2 !== undefined;
+    const stackLayers = data[0].layers;
+    const hasPrepayment = data.some(row => row.prepayment !== undefined);
+    const prepaymentHeader = hasPrepayment ? ',Remboursement Anticipé,IRA' : '';
+    
+    // Loan stack: installment, principal, interest and remaining capital of each loan
+    const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+    const layersHeader = stackLayers
+      ? stackLayers.map(layer => ['Mensualité', 'Capital', 'Intérêts', 'Restant'].map(col => ',' + quote(`${col} ${layer.label}`)).join('')).join('')
+      : '';
 
     // CSV header
-    let header;
-    if (isGigogne) {
-      header = 'Mois,Année,Mensualité,Capital P1,Intérêts P1,Capital P2,Intérêts P2,Assurance,Total Payé,Restant P1,Restant P2\n';
-    } else {
-      header = 'Mois,Année,Mensualité,Capital,Intérêts,Assurance,Total Payé,Capital Restant\n';
-    }
+    const header = `Mois,Année,Mensualité${layersHeader},Capital,Intérêts,Assurance${prepaymentHeader},Total Payé,Capital Restant\n`;
     
     // CSV rows
     const rows = data.map((row, index) => {
       const month = row.month || (index + 1);
       const year = row.year || Math.ceil((index + 1) / 12);
       
-      if (isGigogne) {
-        return [
-          month,
-          year,
-          row.payment || 0,
-          row.principalP1 || 0,
-          row.interestP1 || 0,
-          row.principalP2 || 0,
-          row.interestP2 || 0,
-          row.insurance || 0,
-          row.totalPaid || 0,
-          row.remainingCapitalP1 || 0,
-          row.remainingCapitalP2 || 0,
-        ].join(',');
-      } else {
-        return [
-          month,
-          year,
-          row.payment || 0,
-          row.principalPart || 0,
-          row.interestPart || 0,
-          row.insurance || 0,
-          row.totalPaid || 0,
-          row.remainingCapital || 0,
-        ].join(',');
-      }
+      return [
+        month,
+        year,
+        row.payment || 0,
+        ...(stackLayers ? row.layers.flatMap(layer => [layer.payment, layer.principal, layer.interest, layer.remainingCapital]) : []),
+        row.principalPart || 0,
+        row.interestPart || 0,
+        row.insurance || 0,
+        ...(hasPrepayment ? [row.prepayment || 0, row.penalty || 0] : []),
+        row.totalPaid || 0,
+        row.remainingCapital || 0,
+      ].join(',');
     }).join('\n');
 
-    const csv = header + rows;
+    // Guarantee refund (FMG) received with the last installment
+    const guaranteeRefund = data[data.length - 1].guaranteeRefund || 0;
+    const csv = header + rows + (guaranteeRefund > 0 ? `\nRestitution FMG,,${guaranteeRefund}` : '');
 
     // Create download link
     const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
@@ -805,6 +1832,42 @@ const UI = (() => {
     document.body.removeChild(link);
   };
 
+  /**
+   * Export itemised notary fees to CSV
+   * @param {Object} breakdown - Output of Formulas.calcNotaryFeesBreakdown
+   */
+  const exportNotaryFeesCSV = (breakdown) => {
+    if (!breakdown || breakdown.total <= 0) {
+      alert('Aucune donnée à exporter');
+      return;
+    }
+
+    const rows = [
+      ['Poste', 'Montant'],
+      ['Assiette taxable', breakdown.taxableBase],
+      [`${breakdown.transferTaxLabel} (${breakdown.transferTaxRate.toFixed(3)}%)`, breakdown.transferTax],
+      ['Émoluments HT', breakdown.emoluments],
+      ['TVA sur émoluments', breakdown.emolumentsVAT],
+      ['Débours', breakdown.debours],
+      ['Contribution de sécurité immobilière', breakdown.contribution],
+      ['Total', breakdown.total]
+    ];
+    const csv = rows.map(row => row.join(',')).join('\n');
+
+    // Create download link
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    
+    link.setAttribute('href', url);
+    link.setAttribute('download', `frais_notaire_${Date.now()}.csv`);
+    link.style.visibility = 'hidden';
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
   // ============================================
   // VALIDATION FEEDBACK
   // ============================================
@@ -883,10 +1946,16 @@ const UI = (() => {
     formatNumber,
     
     // Dynamic rows
+    addBorrowerRow,
+    updateBorrowerInfo,
     addRevenueRow,
     removeRevenueRow,
     addChargeRow,
     removeChargeRow,
+    renderRateRows,
+    renderVefaCallRows,
+    renderOneOffCostRows,
+    renderLoanLayerRows,
     renderDynamicRows,
     
     // Summary
@@ -904,6 +1973,7 @@ const UI = (() => {
     // Table
     renderTable,
     exportCSV,
+    exportNotaryFeesCSV,
     
     // Validation
     showValidation,
@@ -912,7 +1982,23 @@ const UI = (() => {
 
     // Gigogne
     renderGigogneFields,
+    renderPtzFields,
+    renderPtzResult,
+    renderActionLogementFields,
+    renderActionLogementResult,
+    renderSavingsPlanFields,
+    renderSavingsPlanResult,
+    renderVefaFields,
+    renderDeferralFields,
+    renderPrepaymentFields,
+    renderInvestmentFields,
+    renderWorksFields,
+    renderRentVsBuy,
+    renderVariableRateFields,
+    renderVariableRateResult,
+    renderDepartmentOptions,
     updatePrimaryRateDisplay,
+    updateDurationRange,
     updateGigogneInfo,
   };
 })();